@@ -7,7 +7,10 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const logger = require('./utils/logger');
+const { stripAccessToken } = require('./middleware/authMiddleware');
+const { isActionsPath } = require('./middleware/actionsCorsMiddleware');
 const { pool, getDatabaseStatus } = require('./config/database');
+const { startTipConfirmationWorker } = require('./utils/tipConfirmation');
 const path = require('path');
 
 /**
@@ -21,14 +24,23 @@ dotenv.config();
  */
 const app = express();
 
+// 部署在反向代理之后时需要设置，否则req.ip为代理地址，按IP限流会失效
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 /**
  * 配置中间件
  */
-app.use(cors({
+const apiCors = cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
-}));
+});
+
+// Actions接口使用单独的跨域策略（见routes/actions.js），不经过全局CORS
+app.use((req, res, next) => (isActionsPath(req.path) ? next() : apiCors(req, res, next)));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
@@ -40,16 +52,20 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use((req, res, next) => {
   // 记录请求开始
   const requestId = Date.now().toString();
+  // 实时推送连接可能在查询参数中携带令牌，不写入日志
+  const query = { ...req.query };
+  delete query.access_token;
+  const requestUrl = stripAccessToken(req.originalUrl);
   const requestData = {
     id: requestId,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     body: req.method !== 'GET' ? req.body : undefined,
-    query: Object.keys(req.query).length ? req.query : undefined,
+    query: Object.keys(query).length ? query : undefined,
     params: Object.keys(req.params).length ? req.params : undefined
   };
   
-  logger.info(`[请求开始] ${req.method} ${req.originalUrl}`, requestData);
+  logger.info(`[请求开始] ${req.method} ${requestUrl}`, requestData);
   
   // 记录响应时间
   const startTime = Date.now();
@@ -96,6 +112,12 @@ app.use('/api/users', require('./routes/users'));
 // 论坛相关路由
 app.use('/api/forum', require('./routes/forum'));
 
+// 实时推送路由
+app.use('/api/realtime', require('./routes/realtime'));
+
+// Solana Actions (Blinks) 路由，包括站点根目录的actions.json
+app.use(require('./routes/actions'));
+
 // 404处理 - 当没有匹配的路由时
 app.use((req, res) => {
   logger.warn(`路由未找到: ${req.method} ${req.originalUrl}`);
@@ -126,6 +148,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logger.info(`服务器运行在端口 ${PORT}`);
+
+  // 启动打赏确认任务，定时到链上确认Blink生成的打赏交易
+  startTipConfirmationWorker();
 });
 
 module.exports = app;
\ No newline at end of file
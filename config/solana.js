@@ -0,0 +1,14 @@
+const { Connection, clusterApiUrl } = require('@solana/web3.js');
+require('dotenv').config();
+
+// Solana网络配置，SOLANA_RPC_URL未配置时使用所选网络的公共RPC（有限流，生产环境应配置专用RPC）
+const cluster = process.env.SOLANA_CLUSTER || 'mainnet-beta';
+const rpcUrl = process.env.SOLANA_RPC_URL || clusterApiUrl(cluster);
+
+// 创建RPC连接
+const connection = new Connection(rpcUrl, 'confirmed');
+
+module.exports = {
+  connection,
+  cluster
+};
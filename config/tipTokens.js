@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+require('dotenv').config();
+
+// 可用于打赏的SPL代币列表，可通过ACTIONS_TIP_TOKENS_FILE指定其他配置文件。
+// 每项包含 symbol、mint、decimals、amounts（预设金额）和 tokenProgram（spl-token 或 token-2022），
+// 代币精度直接取自配置，生成交易时不需要查询链上的代币信息
+const TIP_TOKENS_FILE = process.env.ACTIONS_TIP_TOKENS_FILE || path.join(__dirname, 'tip-tokens.json');
+
+const TOKEN_PROGRAMS = ['spl-token', 'token-2022'];
+
+/**
+ * 校验一项代币配置
+ * @param {Object} token - 代币配置
+ * @returns {Object} 规范化后的代币配置
+ */
+const normalizeToken = (token) => {
+  const { symbol, mint, decimals, amounts = [], tokenProgram = 'spl-token' } = token;
+
+  if (typeof symbol !== 'string' || !symbol || symbol.toUpperCase() === 'SOL') {
+    throw new Error(`打赏代币配置无效：symbol不能为空且不能为SOL (${TIP_TOKENS_FILE})`);
+  }
+
+  // 无效的mint地址会在这里抛出异常
+  new PublicKey(mint);
+
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+    throw new Error(`打赏代币配置无效：${symbol} 的decimals必须是0到18之间的整数`);
+  }
+
+  if (!TOKEN_PROGRAMS.includes(tokenProgram)) {
+    throw new Error(`打赏代币配置无效：${symbol} 的tokenProgram必须是 ${TOKEN_PROGRAMS.join(' / ')}`);
+  }
+
+  return {
+    symbol,
+    mint,
+    decimals,
+    amounts: amounts.map(String),
+    tokenProgram
+  };
+};
+
+const tipTokens = JSON.parse(fs.readFileSync(TIP_TOKENS_FILE, 'utf8')).tokens.map(normalizeToken);
+
+/**
+ * 按符号（不区分大小写）或mint地址查找打赏代币
+ * @param {String} value - 代币符号或mint地址
+ * @returns {Object|null} 代币配置或null
+ */
+const findTipToken = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  return tipTokens.find(token =>
+    token.symbol.toUpperCase() === String(value).toUpperCase() || token.mint === value
+  ) || null;
+};
+
+module.exports = {
+  tipTokens,
+  findTipToken
+};
@@ -0,0 +1,439 @@
+/**
+ * Solana Actions控制器模块
+ * 按Solana Actions规范提供Blink接口：GET返回操作元数据，POST返回待用户签名的交易。
+ * 出错时返回 { message }（Actions规范的ActionError格式）
+ */
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const Topic = require('../models/Topic');
+const User = require('../models/User');
+const Tip = require('../models/Tip');
+const logger = require('../utils/logger');
+const { isValidWalletAddress } = require('../utils/solanaAuth');
+const { tipTokens, findTipToken } = require('../config/tipTokens');
+const {
+  SOL_DECIMALS,
+  toBaseUnits,
+  fromBaseUnits,
+  buildSolTransferTransaction,
+  buildTokenTransferTransaction
+} = require('../utils/solanaTransactions');
+const { verifyTipTransaction } = require('../utils/tipConfirmation');
+
+// 预设打赏金额（SOL），可通过ACTIONS_TIP_AMOUNTS配置，逗号分隔
+const TIP_AMOUNTS = (process.env.ACTIONS_TIP_AMOUNTS || '0.01,0.05,0.1')
+  .split(',')
+  .map(amount => amount.trim())
+  .filter(amount => Number(amount) > 0);
+
+// actions.json的规则文件，可通过ACTIONS_RULES_FILE指定其他路径
+const ACTIONS_RULES_FILE = process.env.ACTIONS_RULES_FILE || path.join(__dirname, '../config/actions-rules.json');
+
+// 交易签名格式（base58编码的64字节签名）
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+
+let actionsRules = null;
+
+/**
+ * 读取actions.json规则（首次读取后缓存，修改规则文件后需重启服务）
+ * @returns {Array} 规则列表，每项为 { pathPattern, apiPath }
+ */
+const loadActionsRules = () => {
+  if (!actionsRules) {
+    const { rules } = JSON.parse(fs.readFileSync(ACTIONS_RULES_FILE, 'utf8'));
+
+    if (!Array.isArray(rules) || rules.some(rule => typeof rule.pathPattern !== 'string' || typeof rule.apiPath !== 'string')) {
+      throw new Error(`actions.json规则文件格式无效: ${ACTIONS_RULES_FILE}`);
+    }
+
+    actionsRules = rules.map(({ pathPattern, apiPath }) => ({ pathPattern, apiPath }));
+    logger.info('已加载actions.json规则', { file: ACTIONS_RULES_FILE, count: actionsRules.length });
+  }
+
+  return actionsRules;
+};
+
+/**
+ * 获取Actions链接使用的站点地址（用于图标等绝对URL）
+ * @param {Object} req - 请求对象
+ * @returns {String} 站点地址
+ */
+const getBaseUrl = (req) => {
+  return process.env.ACTIONS_BASE_URL || `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * 获取论坛前端页面地址（打赏完成后的后续操作跳转到这里）
+ * @param {Object} req - 请求对象
+ * @param {String} pagePath - 页面路径，如 /forum/topics/1
+ * @returns {String} 页面地址
+ */
+const getSiteUrl = (req, pagePath) => {
+  return `${process.env.APP_URL || getBaseUrl(req)}${pagePath}`;
+};
+
+/**
+ * 查找可打赏的话题及作者
+ * @param {Number} topicId - 话题ID
+ * @returns {Promise<Object>} { topic, author, error }，error为 { status, message }
+ */
+const findTipTarget = async (topicId) => {
+  const topic = /^\d+$/.test(String(topicId)) ? await Topic.findById(topicId) : null;
+
+  if (!topic) {
+    return { error: { status: 404, message: '话题不存在' } };
+  }
+
+  const author = await User.findById(topic.authorId);
+
+  if (!author || !author.wallet_address) {
+    return { topic, author, error: { status: 400, message: '作者尚未关联钱包，暂时无法打赏' } };
+  }
+
+  return { topic, author };
+};
+
+/**
+ * @desc    获取Actions发现规则
+ * @route   GET /actions.json
+ * @access  Public
+ */
+exports.getActionsJson = async (req, res, next) => {
+  try {
+    res.json({ rules: loadActionsRules() });
+  } catch (error) {
+    logger.error('读取actions.json规则失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取话题打赏Action的元数据
+ * @route   GET /api/actions/tip/:topicId
+ * @access  Public
+ */
+exports.getTipAction = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+
+    logger.info('开始处理获取打赏Action请求', { topicId });
+
+    const { topic, author, error } = await findTipTarget(topicId);
+
+    if (!topic) {
+      logger.warn('获取打赏Action失败：话题不存在', { topicId });
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const href = `/api/actions/tip/${topic.id}`;
+    const currencies = ['SOL', ...tipTokens.map(token => token.symbol)];
+    const response = {
+      type: 'action',
+      icon: `${getBaseUrl(req)}/donate-sol.jpg`,
+      title: `打赏「${topic.title}」`,
+      description: `向作者 ${author ? author.username : ''} 打赏${currencies.join('或')}，支持优质内容`,
+      label: '打赏',
+      links: {
+        actions: [
+          ...TIP_AMOUNTS.map(amount => ({
+            type: 'transaction',
+            label: `${amount} SOL`,
+            href: `${href}?amount=${amount}`
+          })),
+          ...tipTokens.flatMap(token => token.amounts.map(amount => ({
+            type: 'transaction',
+            label: `${amount} ${token.symbol}`,
+            href: `${href}?token=${encodeURIComponent(token.symbol)}&amount=${amount}`
+          }))),
+          {
+            type: 'transaction',
+            label: '打赏',
+            href: `${href}?token={token}&amount={amount}`,
+            parameters: [
+              {
+                type: 'select',
+                name: 'token',
+                label: '选择币种',
+                required: true,
+                options: currencies.map((currency, index) => ({
+                  label: currency,
+                  value: currency,
+                  selected: index === 0
+                }))
+              },
+              {
+                type: 'number',
+                name: 'amount',
+                label: '输入打赏数量',
+                required: true
+              }
+            ]
+          }
+        ]
+      }
+    };
+
+    // 作者没有钱包时仍返回元数据，但禁用操作并附带错误说明
+    if (error) {
+      logger.warn('打赏Action不可用', { topicId, reason: error.message });
+      response.disabled = true;
+      response.error = { message: error.message };
+    }
+
+    res.json(response);
+  } catch (error) {
+    logger.error('获取打赏Action失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    生成话题打赏交易（body.account为付款钱包，query.token为币种符号或mint地址，
+ *          不传或为SOL时打赏SOL，query.amount为打赏数量）
+ * @route   POST /api/actions/tip/:topicId
+ * @access  Public
+ */
+exports.postTipAction = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+    const account = req.body && req.body.account;
+    const amount = String(req.query.amount || '');
+    const isSol = !req.query.token || String(req.query.token).toUpperCase() === 'SOL';
+    const token = isSol ? null : findTipToken(req.query.token);
+
+    logger.info('开始处理打赏交易请求', { topicId, account, token: req.query.token || 'SOL', amount });
+
+    if (!isValidWalletAddress(account)) {
+      logger.warn('生成打赏交易失败：无效的付款账户', { topicId, account });
+      return res.status(400).json({ message: '无效的付款账户地址' });
+    }
+
+    if (!isSol && !token) {
+      logger.warn('生成打赏交易失败：不支持的代币', { topicId, token: req.query.token });
+      return res.status(400).json({ message: '不支持的打赏代币' });
+    }
+
+    const baseUnits = toBaseUnits(amount, isSol ? SOL_DECIMALS : token.decimals);
+    if (!baseUnits) {
+      logger.warn('生成打赏交易失败：无效的打赏金额', { topicId, amount });
+      return res.status(400).json({ message: '请输入有效的打赏金额' });
+    }
+
+    const { topic, author, error } = await findTipTarget(topicId);
+
+    if (error) {
+      logger.warn('生成打赏交易失败', { topicId, reason: error.message });
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (author.wallet_address === account) {
+      logger.warn('生成打赏交易失败：不能打赏自己', { topicId, account });
+      return res.status(400).json({ message: '不能给自己打赏' });
+    }
+
+    const symbol = isSol ? 'SOL' : token.symbol;
+    const memo = `tip:topic:${topic.id}`;
+    // 每笔交易使用新的reference公钥，确认任务据此在链上查找交易
+    const reference = Keypair.generate().publicKey.toBase58();
+    const transaction = isSol
+      ? await buildSolTransferTransaction({
+        payer: account,
+        recipient: author.wallet_address,
+        lamports: baseUnits,
+        memo,
+        reference
+      })
+      : await buildTokenTransferTransaction({
+        payer: account,
+        recipient: author.wallet_address,
+        token,
+        amount: baseUnits,
+        memo,
+        reference
+      });
+
+    await Tip.create({
+      reference,
+      topicId: topic.id,
+      recipientId: author.id,
+      recipientWallet: author.wallet_address,
+      payerWallet: account,
+      currency: symbol,
+      mint: isSol ? null : token.mint,
+      decimals: isSol ? SOL_DECIMALS : token.decimals,
+      amount: baseUnits
+    });
+
+    logger.info('打赏交易生成成功', {
+      topicId,
+      account,
+      recipient: author.wallet_address,
+      symbol,
+      amount: baseUnits.toString(),
+      reference
+    });
+
+    res.json({
+      type: 'transaction',
+      transaction,
+      message: `感谢你打赏 ${amount} ${symbol} 给 ${author.username}`,
+      // 交易确认后钱包回调该地址获取后续操作
+      links: {
+        next: {
+          type: 'post',
+          href: `/api/actions/tip/${topic.id}/next?reference=${reference}`
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('生成打赏交易失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    打赏交易确认后的回调（body.account为付款钱包，body.signature为交易签名，
+ *          query.reference为生成交易时写入的reference）。核对交易后记录打赏人，
+ *          返回点赞话题、查看作者主页的后续操作；交易尚未查到时返回完成状态
+ * @route   POST /api/actions/tip/:topicId/next
+ * @access  Public
+ */
+exports.postTipNextAction = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+    const account = req.body && req.body.account;
+    const signature = req.body && req.body.signature;
+    const reference = String(req.query.reference || '');
+
+    logger.info('开始处理打赏交易回调', { topicId, account, signature, reference });
+
+    if (!isValidWalletAddress(account)) {
+      logger.warn('打赏交易回调失败：无效的付款账户', { topicId, account });
+      return res.status(400).json({ message: '无效的付款账户地址' });
+    }
+
+    if (typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) {
+      logger.warn('打赏交易回调失败：无效的交易签名', { topicId, signature });
+      return res.status(400).json({ message: '无效的交易签名' });
+    }
+
+    const tip = isValidWalletAddress(reference) ? await Tip.findByReference(reference) : null;
+
+    if (!tip || String(tip.topic_id) !== String(topicId)) {
+      logger.warn('打赏交易回调失败：打赏记录不存在', { topicId, reference });
+      return res.status(404).json({ message: '打赏记录不存在' });
+    }
+
+    if (tip.status === 'failed' || tip.status === 'expired') {
+      logger.warn('打赏交易回调失败：打赏记录已失效', { tipId: tip.id, status: tip.status });
+      return res.status(400).json({ message: tip.failure_reason || '打赏记录已失效' });
+    }
+
+    if (tip.status === 'confirmed' && tip.signature !== signature) {
+      logger.warn('打赏交易回调失败：交易签名与打赏记录不符', { tipId: tip.id, signature });
+      return res.status(400).json({ message: '交易签名与打赏记录不符' });
+    }
+
+    const icon = `${getBaseUrl(req)}/donate-sol.jpg`;
+    const amount = fromBaseUnits(tip.amount, tip.decimals);
+
+    // 已确认的打赏不需要再查询链上交易
+    const result = tip.status === 'confirmed'
+      ? { status: 'confirmed', payerWallet: tip.payer_wallet }
+      : await verifyTipTransaction(tip, signature);
+
+    if (result.status === 'unresolved') {
+      logger.info('打赏交易尚未查到，等待确认任务处理', { tipId: tip.id, signature });
+      return res.json({
+        type: 'completed',
+        icon,
+        title: '打赏交易确认中',
+        description: `你打赏的 ${amount} ${tip.currency} 确认后将计入话题的打赏总额`,
+        label: '确认中'
+      });
+    }
+
+    if (result.status === 'invalid') {
+      logger.warn('打赏交易回调失败：交易核对未通过', { tipId: tip.id, signature, reason: result.reason });
+      return res.status(400).json({ message: result.reason });
+    }
+
+    if (result.payerWallet !== account) {
+      logger.warn('打赏交易回调失败：付款账户与交易不符', { tipId: tip.id, account, payerWallet: result.payerWallet });
+      return res.status(400).json({ message: '付款账户与交易不符' });
+    }
+
+    await Tip.updateStatus(tip.id, 'confirmed', { signature, payerWallet: result.payerWallet });
+
+    // 付款钱包关联了论坛用户时记录为打赏人
+    const tipper = await User.findByWalletAddress(account);
+    if (tipper) {
+      await Tip.setTipper(tip.id, tipper.id);
+    }
+
+    const author = await User.findById(tip.recipient_id);
+    const href = `/api/actions/tip/${tip.topic_id}/open`;
+
+    logger.info('打赏交易回调处理成功', { tipId: tip.id, signature, tipperId: tipper ? tipper.id : null });
+
+    res.json({
+      type: 'action',
+      icon,
+      title: '感谢你的打赏！',
+      description: `你已成功打赏 ${amount} ${tip.currency} 给 ${author ? author.username : '作者'}，去给话题点个赞，或看看作者的更多内容吧`,
+      label: '已打赏',
+      links: {
+        actions: [
+          { type: 'external-link', label: '点赞话题', href: `${href}/topic` },
+          { type: 'external-link', label: '查看作者主页', href: `${href}/author` }
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error('处理打赏交易回调失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    打赏后续操作的跳转链接（target为topic时跳转话题页，为author时跳转作者主页）
+ * @route   POST /api/actions/tip/:topicId/open/:target
+ * @access  Public
+ */
+exports.postTipExternalLink = async (req, res, next) => {
+  try {
+    const { topicId, target } = req.params;
+
+    logger.info('开始处理获取打赏跳转链接请求', { topicId, target });
+
+    if (target !== 'topic' && target !== 'author') {
+      logger.warn('获取打赏跳转链接失败：不支持的跳转目标', { topicId, target });
+      return res.status(404).json({ message: '不支持的跳转目标' });
+    }
+
+    const topic = /^\d+$/.test(String(topicId)) ? await Topic.findById(topicId) : null;
+
+    if (!topic) {
+      logger.warn('获取打赏跳转链接失败：话题不存在', { topicId });
+      return res.status(404).json({ message: '话题不存在' });
+    }
+
+    const author = target === 'author' ? await User.findById(topic.authorId) : null;
+
+    if (target === 'author' && !author) {
+      logger.warn('获取打赏跳转链接失败：作者不存在', { topicId, authorId: topic.authorId });
+      return res.status(404).json({ message: '作者不存在' });
+    }
+
+    res.json({
+      type: 'external-link',
+      externalLink: target === 'topic'
+        ? getSiteUrl(req, `/forum/topics/${topic.id}`)
+        : getSiteUrl(req, `/users/${encodeURIComponent(author.username)}`)
+    });
+  } catch (error) {
+    logger.error('获取打赏跳转链接失败', error);
+    next(error);
+  }
+};
@@ -7,9 +7,80 @@ const Comment = require('../models/Comment');
 const User = require('../models/User');
 const Category = require('../models/Category');
 const Tag = require('../models/Tag');
+const Report = require('../models/Report');
+const Mention = require('../models/Mention');
+const Tip = require('../models/Tip');
 const logger = require('../utils/logger');
+const { serializeUser } = require('../utils/userSerializer');
+const { diffLines, diffTags, exceedsDiffLimit, MAX_DIFF_LINES } = require('../utils/textDiff');
+const { notify } = require('../utils/notifier');
+const { resolveMentions } = require('../utils/mentions');
+const { publishTopicEvent } = require('../utils/realtime');
 const { pool } = require('../config/database');
 
+/**
+ * 解析内容中的@提及并更新提及记录，只通知本次新增的被提及用户
+ * 处理失败只记录日志，不影响发帖和编辑
+ * @param {String} sourceType - 内容类型(topic/comment)
+ * @param {Number} sourceId - 内容ID
+ * @param {String} content - 正文
+ * @param {Number} authorId - 内容作者ID
+ * @param {Number} topicId - 所属话题ID
+ */
+const syncMentions = async (sourceType, sourceId, content, authorId, topicId) => {
+  try {
+    const mentions = await resolveMentions(content);
+    const addedUserIds = await Mention.sync(sourceType, sourceId, mentions, authorId);
+    
+    for (const mentionedUserId of addedUserIds) {
+      await notify({
+        userId: mentionedUserId,
+        type: 'mention',
+        actorId: authorId,
+        targetType: sourceType,
+        targetId: sourceId,
+        topicId
+      });
+    }
+  } catch (error) {
+    logger.warn('处理提及失败', { sourceType, sourceId, error: error.message });
+  }
+};
+
+/**
+ * 评论的实时事件数据
+ * @param {Object} comment - 评论数据库记录
+ * @returns {Object} 事件中的评论对象
+ */
+const commentEventData = (comment) => ({
+  id: comment.id,
+  topicId: comment.topic_id,
+  parentId: comment.parent_id,
+  authorId: comment.author_id,
+  content: comment.content,
+  contentHtml: comment.content_html,
+  createdAt: comment.created_at,
+  editedAt: comment.edited_at
+});
+
+/**
+ * 按话题ID发布实时事件（需要查询话题所属分类），话题不存在或查询失败时跳过
+ * 调用方无需等待，查询和发布在后台完成
+ * @param {Number} topicId - 话题ID
+ * @param {String} type - 事件类型
+ * @param {Object} data - 事件数据
+ */
+const publishEventForTopic = async (topicId, type, data) => {
+  try {
+    const topic = await Topic.findById(topicId);
+    if (topic) {
+      publishTopicEvent(topic, type, data);
+    }
+  } catch (error) {
+    logger.warn('发布实时事件失败', { topicId, type, error: error.message });
+  }
+};
+
 /**
  * @desc    获取话题列表
  * @route   GET /api/forum/topics
@@ -87,17 +158,15 @@ exports.getTopicById = async (req, res, next) => {
       return res.status(404).json({ error: '作者不存在' });
     }
     
-    // 格式化作者信息
-    const formattedAuthor = {
-      id: author.id,
-      username: author.username,
-      avatar: author.avatar,
-      bio: author.bio || '',
-      github: author.github || '',
-      twitter: author.twitter || '',
-      wallet_address: author.wallet_address || '',
-      tech_stack: author.tech_stack || ''
-    };
+    // 格式化作者信息（按作者的隐私设置过滤字段）
+    const formattedAuthor = serializeUser(author, req.user);
+    
+    // 兼容旧客户端：保留话题作者原有的字段名，同样按隐私设置过滤
+    formattedAuthor.wallet_address = formattedAuthor.walletAddress || '';
+    formattedAuthor.tech_stack = formattedAuthor.techStack || '';
+    
+    // 已确认的打赏总额
+    topic.tips = await Tip.getTotals({ topicId: topic.id });
     
     logger.info('话题详情获取成功', { topicId });
     
@@ -111,6 +180,37 @@ exports.getTopicById = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    获取话题收到的打赏总额（仅统计链上已确认的打赏，按币种分组）
+ * @route   GET /api/forum/topics/:id/tips
+ * @access  Public
+ */
+exports.getTopicTips = async (req, res, next) => {
+  try {
+    const topicId = req.params.id;
+    logger.info('开始处理获取话题打赏总额请求', { topicId });
+    
+    const topic = await Topic.findById(topicId);
+    
+    if (!topic) {
+      logger.warn('获取话题打赏总额失败：话题不存在', { topicId });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    const tips = await Tip.getTotals({ topicId: topic.id });
+    
+    logger.info('话题打赏总额获取成功', { topicId, count: tips.count });
+    
+    res.json({
+      topicId: topic.id,
+      tips
+    });
+  } catch (error) {
+    logger.error('获取话题打赏总额失败', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    创建话题
  * @route   POST /api/forum/topics
@@ -158,6 +258,9 @@ exports.createTopic = async (req, res, next) => {
     
     logger.info('话题创建成功', { topicId: topic.id });
     
+    await syncMentions('topic', topic.id, content, req.user.id, topic.id);
+    publishTopicEvent(topic, 'topic.created', { topic });
+    
     res.status(201).json({
       success: true,
       topicId: topic.id
@@ -225,10 +328,18 @@ exports.updateTopic = async (req, res, next) => {
     if (categoryName) updateData.category = categoryName;
     if (tags) updateData.tags = tags;
     
-    await Topic.update(topicId, updateData);
+    const updatedTopic = await Topic.update(topicId, updateData, userId);
     
     logger.info('话题更新成功', { topicId });
     
+    if (updateData.content) {
+      await syncMentions('topic', topic.id, updateData.content, userId, topic.id);
+    }
+    
+    if (updatedTopic) {
+      publishTopicEvent(updatedTopic, 'topic.updated', { topic: updatedTopic });
+    }
+    
     res.json({
       success: true
     });
@@ -238,6 +349,343 @@ exports.updateTopic = async (req, res, next) => {
   }
 };
 
+/**
+ * 检查当前用户能否查看话题的历史版本（作者、版主和管理员）
+ * @param {Object} topic - 话题对象
+ * @param {Object} user - 当前用户
+ * @returns {Boolean} 是否可以查看
+ */
+const canViewTopicRevisions = (topic, user) => {
+  return topic.authorId === user.id || ['moderator', 'admin'].includes(user.role);
+};
+
+/**
+ * 解析版本号参数
+ * @param {*} value - 请求中的版本号
+ * @returns {Number|null} 正整数版本号，无效时返回null
+ */
+const parseRevisionNumber = (value) => {
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null;
+};
+
+/**
+ * @desc    获取话题历史版本
+ * @route   GET /api/forum/topics/:id/revisions
+ * @access  Private (作者/版主/管理员)
+ */
+exports.getTopicRevisions = async (req, res, next) => {
+  try {
+    const topicId = req.params.id;
+    
+    logger.info('开始处理获取话题历史版本请求', { topicId, userId: req.user.id });
+    
+    const topic = await Topic.findById(topicId);
+    
+    if (!topic) {
+      logger.warn('获取话题历史版本失败：话题不存在', { topicId });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    if (!canViewTopicRevisions(topic, req.user)) {
+      logger.warn('获取话题历史版本失败：无权限', { topicId, userId: req.user.id });
+      return res.status(403).json({ error: '无权查看此话题的历史版本' });
+    }
+    
+    const revisions = await Topic.getRevisions(topicId);
+    
+    logger.info('话题历史版本获取成功', { topicId, count: revisions.length });
+    
+    res.json({
+      topicId: topic.id,
+      revisions
+    });
+  } catch (error) {
+    logger.error('获取话题历史版本失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    比较话题的两个版本
+ * @route   GET /api/forum/topics/:id/revisions/diff?from=&to=
+ * @access  Private (作者/版主/管理员)
+ */
+exports.getTopicRevisionDiff = async (req, res, next) => {
+  try {
+    const topicId = req.params.id;
+    
+    logger.info('开始处理比较话题版本请求', { topicId, query: req.query });
+    
+    const topic = await Topic.findById(topicId);
+    
+    if (!topic) {
+      logger.warn('比较话题版本失败：话题不存在', { topicId });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    if (!canViewTopicRevisions(topic, req.user)) {
+      logger.warn('比较话题版本失败：无权限', { topicId, userId: req.user.id });
+      return res.status(403).json({ error: '无权查看此话题的历史版本' });
+    }
+    
+    // 未指定to时与最新版本比较
+    const revisions = await Topic.getRevisions(topicId);
+    const from = parseRevisionNumber(req.query.from);
+    const to = req.query.to === undefined
+      ? (revisions.length > 0 ? revisions[0].revision : null)
+      : parseRevisionNumber(req.query.to);
+    
+    if (!from || !to) {
+      logger.warn('比较话题版本失败：版本号无效', { topicId, from: req.query.from, to: req.query.to });
+      return res.status(400).json({ error: '请提供有效的版本号' });
+    }
+    
+    const [fromRevision, toRevision] = await Promise.all([
+      Topic.getRevision(topicId, from),
+      Topic.getRevision(topicId, to)
+    ]);
+    
+    if (!fromRevision || !toRevision) {
+      logger.warn('比较话题版本失败：版本不存在', { topicId, from, to });
+      return res.status(404).json({ error: '版本不存在' });
+    }
+    
+    if (exceedsDiffLimit(fromRevision.content, toRevision.content)) {
+      logger.warn('比较话题版本失败：内容过长', { topicId, from, to });
+      return res.status(413).json({ error: `内容超过${MAX_DIFF_LINES}行，无法比较差异` });
+    }
+    
+    const tagChanges = diffTags(fromRevision.tags, toRevision.tags);
+    
+    const summarize = ({ revision, action, editedBy, editorName, createdAt }) => ({
+      revision, action, editedBy, editorName, createdAt
+    });
+    
+    res.json({
+      topicId: topic.id,
+      from: summarize(fromRevision),
+      to: summarize(toRevision),
+      title: {
+        changed: fromRevision.title !== toRevision.title,
+        from: fromRevision.title,
+        to: toRevision.title
+      },
+      category: {
+        changed: fromRevision.category !== toRevision.category,
+        from: fromRevision.category,
+        to: toRevision.category
+      },
+      tags: {
+        changed: tagChanges.added.length > 0 || tagChanges.removed.length > 0,
+        ...tagChanges
+      },
+      content: {
+        changed: fromRevision.content !== toRevision.content,
+        lines: diffLines(fromRevision.content, toRevision.content)
+      }
+    });
+  } catch (error) {
+    logger.error('比较话题版本失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    将话题回滚到指定版本
+ * @route   POST /api/forum/topics/:id/revisions/:revision/rollback
+ * @access  Private/Admin
+ */
+exports.rollbackTopic = async (req, res, next) => {
+  try {
+    const topicId = req.params.id;
+    const revision = parseRevisionNumber(req.params.revision);
+    
+    logger.info('开始处理回滚话题请求', { topicId, revision, userId: req.user.id });
+    
+    if (!revision) {
+      logger.warn('回滚话题失败：版本号无效', { topicId, revision: req.params.revision });
+      return res.status(400).json({ error: '请提供有效的版本号' });
+    }
+    
+    const topic = await Topic.findById(topicId);
+    
+    if (!topic) {
+      logger.warn('回滚话题失败：话题不存在', { topicId });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    const updatedTopic = await Topic.rollback(topicId, revision, req.user.id);
+    
+    if (!updatedTopic) {
+      logger.warn('回滚话题失败：版本不存在', { topicId, revision });
+      return res.status(404).json({ error: '版本不存在' });
+    }
+    
+    logger.info('话题回滚成功', { topicId, revision });
+    
+    await syncMentions('topic', updatedTopic.id, updatedTopic.content, topic.authorId, updatedTopic.id);
+    const mentions = await Mention.getForSources('topic', [updatedTopic.id]);
+    updatedTopic.mentions = mentions.get(updatedTopic.id) || [];
+    publishTopicEvent(updatedTopic, 'topic.updated', { topic: updatedTopic });
+    
+    res.json({
+      success: true,
+      topic: updatedTopic
+    });
+  } catch (error) {
+    logger.error('回滚话题失败', error);
+    next(error);
+  }
+};
+
+// 话题管理操作成功后的提示
+const MODERATION_MESSAGES = {
+  pin: '话题已置顶',
+  unpin: '话题已取消置顶',
+  lock: '话题已锁定',
+  unlock: '话题已解除锁定',
+  feature: '话题已设为精选',
+  unfeature: '话题已取消精选',
+  official: '话题已标记为官方',
+  unofficial: '话题已取消官方标记'
+};
+
+/**
+ * 创建话题管理操作的请求处理函数
+ * @param {String} action - 管理操作
+ * @returns {Function} Express请求处理函数
+ */
+const moderationHandler = (action) => async (req, res, next) => {
+  try {
+    const topicId = req.params.id;
+    const moderatorId = req.user.id;
+    const scope = (req.body && req.body.scope) || 'category';
+    
+    logger.info('开始处理话题管理请求', { topicId, action, moderatorId, scope });
+    
+    if (action === 'pin' && !['category', 'global'].includes(scope)) {
+      logger.warn('话题管理失败：无效的置顶范围', { topicId, scope });
+      return res.status(400).json({ error: '无效的置顶范围' });
+    }
+    
+    const topic = await Topic.moderate(topicId, action, moderatorId, { scope });
+    
+    if (!topic) {
+      logger.warn('话题管理失败：话题不存在', { topicId, action });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    logger.info('话题管理成功', { topicId, action, moderatorId });
+    
+    publishTopicEvent(topic, 'topic.moderated', { action, topic });
+    
+    await notify({
+      userId: topic.authorId,
+      type: 'moderation',
+      actorId: moderatorId,
+      targetType: 'topic',
+      targetId: topic.id,
+      topicId: topic.id,
+      data: { action }
+    });
+    
+    res.json({
+      success: true,
+      message: MODERATION_MESSAGES[action],
+      topic
+    });
+  } catch (error) {
+    logger.error('话题管理失败', { action, error });
+    next(error);
+  }
+};
+
+/**
+ * @desc    置顶话题（body.scope: category 分类内置顶，global 全站置顶）
+ * @route   PUT /api/forum/topics/:id/pin
+ * @access  Private/Moderator
+ */
+exports.pinTopic = moderationHandler('pin');
+
+/**
+ * @desc    取消置顶
+ * @route   DELETE /api/forum/topics/:id/pin
+ * @access  Private/Moderator
+ */
+exports.unpinTopic = moderationHandler('unpin');
+
+/**
+ * @desc    锁定话题，锁定后不能再发表评论
+ * @route   PUT /api/forum/topics/:id/lock
+ * @access  Private/Moderator
+ */
+exports.lockTopic = moderationHandler('lock');
+
+/**
+ * @desc    解除话题锁定
+ * @route   DELETE /api/forum/topics/:id/lock
+ * @access  Private/Moderator
+ */
+exports.unlockTopic = moderationHandler('unlock');
+
+/**
+ * @desc    设为精选
+ * @route   PUT /api/forum/topics/:id/feature
+ * @access  Private/Moderator
+ */
+exports.featureTopic = moderationHandler('feature');
+
+/**
+ * @desc    取消精选
+ * @route   DELETE /api/forum/topics/:id/feature
+ * @access  Private/Moderator
+ */
+exports.unfeatureTopic = moderationHandler('unfeature');
+
+/**
+ * @desc    标记为官方话题
+ * @route   PUT /api/forum/topics/:id/official
+ * @access  Private/Moderator
+ */
+exports.markTopicOfficial = moderationHandler('official');
+
+/**
+ * @desc    取消官方标记
+ * @route   DELETE /api/forum/topics/:id/official
+ * @access  Private/Moderator
+ */
+exports.unmarkTopicOfficial = moderationHandler('unofficial');
+
+/**
+ * @desc    获取话题管理操作记录
+ * @route   GET /api/forum/topics/:id/moderation-logs
+ * @access  Private/Moderator
+ */
+exports.getTopicModerationLogs = async (req, res, next) => {
+  try {
+    const topicId = req.params.id;
+    
+    logger.info('开始处理获取话题管理记录请求', { topicId, userId: req.user.id });
+    
+    const topic = await Topic.findById(topicId);
+    
+    if (!topic) {
+      logger.warn('获取话题管理记录失败：话题不存在', { topicId });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    const logs = await Topic.getModerationLogs(topicId);
+    
+    res.json({
+      topicId: topic.id,
+      logs
+    });
+  } catch (error) {
+    logger.error('获取话题管理记录失败', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    删除话题
  * @route   DELETE /api/forum/topics/:id
@@ -258,10 +706,16 @@ exports.deleteTopic = async (req, res, next) => {
       return res.status(403).json({ error: '无权删除此话题' });
     }
     
+    const topic = await Topic.findById(topicId);
+    
     await Topic.delete(topicId);
     
     logger.info('话题删除成功', { topicId });
     
+    if (topic) {
+      publishTopicEvent(topic, 'topic.deleted', {});
+    }
+    
     res.json({
       success: true
     });
@@ -293,11 +747,22 @@ exports.likeTopic = async (req, res, next) => {
     
     await Topic.like(topicId, userId);
     
+    await notify({
+      userId: topic.authorId,
+      type: 'topic_like',
+      actorId: userId,
+      targetType: 'topic',
+      targetId: topic.id,
+      topicId: topic.id
+    });
+    
     // 获取最新点赞数
     const likesCount = await Topic.getLikesCount(topicId);
     
     logger.info('话题点赞成功', { topicId, userId, likesCount });
     
+    publishTopicEvent(topic, 'topic.likes', { likesCount });
+    
     res.json({
       success: true,
       likesCount
@@ -327,6 +792,8 @@ exports.unlikeTopic = async (req, res, next) => {
     
     logger.info('取消话题点赞成功', { topicId, userId, likesCount });
     
+    publishEventForTopic(topicId, 'topic.likes', { likesCount });
+    
     res.json({
       success: true,
       likesCount
@@ -385,6 +852,60 @@ exports.getComments = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    获取评论的回复列表（分页加载）
+ * @route   GET /api/forum/comments/:id/replies
+ * @access  Public
+ */
+exports.getCommentReplies = async (req, res, next) => {
+  try {
+    const commentId = req.params.id;
+    const { page = 1, limit = 10 } = req.query;
+    
+    logger.info('开始处理获取评论回复请求', { commentId, page, limit });
+    
+    // 已删除的评论仍可能有回复，这里需要包含已删除的评论
+    const parentComment = await Comment.findById(commentId, { includeDeleted: true });
+    
+    if (!parentComment) {
+      logger.warn('获取评论回复失败：评论不存在', { commentId });
+      return res.status(404).json({ error: '评论不存在' });
+    }
+    
+    // 话题被删除或隐藏后，其中的回复也不再公开
+    const topic = await Topic.findById(parentComment.topic_id);
+    
+    if (!topic) {
+      logger.warn('获取评论回复失败：话题不存在', { commentId, topicId: parentComment.topic_id });
+      return res.status(404).json({ error: '话题不存在' });
+    }
+    
+    const options = {
+      topicId: parentComment.topic_id,
+      parentId: parentComment.id,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    };
+    
+    if (req.user) {
+      options.userId = req.user.id;
+    }
+    
+    const result = await Comment.getList(options);
+    
+    logger.info('评论回复获取成功', { 
+      commentId,
+      repliesCount: result.comments.length,
+      totalCount: result.totalCount
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('获取评论回复失败', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    发表评论
  * @route   POST /api/forum/topics/:id/comments
@@ -412,9 +933,15 @@ exports.createComment = async (req, res, next) => {
       return res.status(404).json({ error: '话题不存在' });
     }
     
+    if (topic.isLocked) {
+      logger.warn('发表评论失败：话题已锁定', { topicId, userId });
+      return res.status(403).json({ error: '话题已锁定，无法发表评论' });
+    }
+    
     // 如果有父评论ID，检查父评论是否存在
+    let parentComment = null;
     if (parentId) {
-      const parentComment = await Comment.findById(parentId);
+      parentComment = await Comment.findById(parentId);
       
       if (!parentComment) {
         logger.warn('发表评论失败：父评论不存在', { parentId });
@@ -444,6 +971,39 @@ exports.createComment = async (req, res, next) => {
     
     logger.info('评论发表成功', { commentId: comment.id });
     
+    await syncMentions('comment', comment.id, content, userId, topic.id);
+    
+    // 通知被回复的评论作者和话题作者（同一人只通知一次）
+    if (parentComment) {
+      await notify({
+        userId: parentComment.author_id,
+        type: 'reply',
+        actorId: userId,
+        targetType: 'comment',
+        targetId: comment.id,
+        topicId: topic.id
+      });
+    }
+    
+    if (!parentComment || parentComment.author_id !== topic.authorId) {
+      await notify({
+        userId: topic.authorId,
+        type: 'comment',
+        actorId: userId,
+        targetType: 'comment',
+        targetId: comment.id,
+        topicId: topic.id
+      });
+    }
+    
+    publishTopicEvent(topic, 'comment.created', {
+      comment: {
+        ...commentEventData(comment),
+        authorName: req.user.username,
+        authorAvatar: req.user.avatar
+      }
+    });
+    
     res.status(201).json({
       success: true,
       commentId: comment.id
@@ -476,11 +1036,22 @@ exports.likeComment = async (req, res, next) => {
     
     await Comment.like(commentId, userId);
     
+    await notify({
+      userId: comment.author_id,
+      type: 'comment_like',
+      actorId: userId,
+      targetType: 'comment',
+      targetId: comment.id,
+      topicId: comment.topic_id
+    });
+    
     // 获取最新点赞数
     const likesCount = await Comment.getLikesCount(commentId);
     
     logger.info('评论点赞成功', { commentId, userId, likesCount });
     
+    publishEventForTopic(comment.topic_id, 'comment.likes', { commentId: comment.id, likesCount });
+    
     res.json({
       success: true,
       likesCount
@@ -510,6 +1081,11 @@ exports.unlikeComment = async (req, res, next) => {
     
     logger.info('取消评论点赞成功', { commentId, userId, likesCount });
     
+    const comment = await Comment.findById(commentId);
+    if (comment) {
+      publishEventForTopic(comment.topic_id, 'comment.likes', { commentId: comment.id, likesCount });
+    }
+    
     res.json({
       success: true,
       likesCount
@@ -845,9 +1421,7 @@ exports.search = async (req, res, next) => {
       totalUsers = userCountRows[0].total;
       
       users = userRows.map(user => ({
-        id: user.id,
-        username: user.username,
-        avatar: user.avatar,
+        ...serializeUser(user, req.user),
         topics_count: user.topics_count
       }));
     }
@@ -929,9 +1503,7 @@ exports.getStats = async (req, res, next) => {
     const usersCount = usersCountRows[0].total;
     
     const topUsers = topUsersRows.map(user => ({
-      id: user.id,
-      username: user.username,
-      avatar: user.avatar,
+      ...serializeUser(user, req.user),
       topics_count: user.topics_count,
       comments_count: user.comments_count
     }));
@@ -943,12 +1515,7 @@ exports.getStats = async (req, res, next) => {
       likes_count: topic.likes_count
     }));
     
-    const latestUsers = latestUsersRows.map(user => ({
-      id: user.id,
-      username: user.username,
-      avatar: user.avatar,
-      created_at: user.created_at
-    }));
+    const latestUsers = latestUsersRows.map(user => serializeUser(user, req.user));
     
     logger.info('社区统计数据获取成功');
     
@@ -998,6 +1565,8 @@ exports.deleteComment = async (req, res, next) => {
     
     logger.info('评论删除成功', { commentId });
     
+    publishEventForTopic(comment.topic_id, 'comment.deleted', { commentId: comment.id });
+    
     res.json({
       success: true
     });
@@ -1007,6 +1576,321 @@ exports.deleteComment = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    编辑评论
+ * @route   PUT /api/forum/comments/:id
+ * @access  Private
+ */
+exports.updateComment = async (req, res, next) => {
+  try {
+    const commentId = req.params.id;
+    const userId = req.user.id;
+    const { content } = req.body;
+    
+    logger.info('开始处理编辑评论请求', { commentId, userId });
+    
+    if (!content || !String(content).trim()) {
+      logger.warn('编辑评论失败：缺少评论内容', { commentId });
+      return res.status(400).json({ error: '评论内容不能为空' });
+    }
+    
+    // 检查评论是否存在
+    const comment = await Comment.findById(commentId);
+    
+    if (!comment) {
+      logger.warn('编辑评论失败：评论不存在', { commentId });
+      return res.status(404).json({ error: '评论不存在' });
+    }
+    
+    // 检查用户是否有权限编辑评论
+    const hasPermission = await Comment.checkPermission(commentId, userId);
+    
+    if (!hasPermission) {
+      logger.warn('编辑评论失败：无权限', { commentId, userId });
+      return res.status(403).json({ error: '无权编辑此评论' });
+    }
+    
+    const updatedComment = await Comment.update(commentId, content, userId);
+    
+    if (!updatedComment) {
+      logger.warn('编辑评论失败：评论已被删除', { commentId });
+      return res.status(404).json({ error: '评论不存在' });
+    }
+    
+    logger.info('评论编辑成功', { commentId });
+    
+    await syncMentions('comment', updatedComment.id, updatedComment.content, updatedComment.author_id, updatedComment.topic_id);
+    const mentions = await Mention.getForSources('comment', [updatedComment.id]);
+    
+    publishEventForTopic(updatedComment.topic_id, 'comment.updated', {
+      comment: {
+        ...commentEventData(updatedComment),
+        mentions: mentions.get(updatedComment.id) || []
+      }
+    });
+    
+    res.json({
+      success: true,
+      comment: {
+        id: updatedComment.id,
+        content: updatedComment.content,
+        contentHtml: updatedComment.content_html,
+        mentions: mentions.get(updatedComment.id) || [],
+        edited: !!updatedComment.edited_at,
+        editedAt: updatedComment.edited_at
+      }
+    });
+  } catch (error) {
+    logger.error('编辑评论失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取评论的历史版本
+ * @route   GET /api/forum/comments/:id/revisions
+ * @access  Private（评论作者、版主和管理员）
+ */
+exports.getCommentRevisions = async (req, res, next) => {
+  try {
+    const commentId = req.params.id;
+    const userId = req.user.id;
+    
+    logger.info('开始处理获取评论历史版本请求', { commentId, userId });
+    
+    const comment = await Comment.findById(commentId, { includeDeleted: true });
+    
+    if (!comment) {
+      logger.warn('获取评论历史版本失败：评论不存在', { commentId });
+      return res.status(404).json({ error: '评论不存在' });
+    }
+    
+    const isModerator = ['moderator', 'admin'].includes(req.user.role);
+    
+    if (!isModerator && comment.author_id !== userId) {
+      logger.warn('获取评论历史版本失败：无权限', { commentId, userId });
+      return res.status(403).json({ error: '无权查看此评论的历史版本' });
+    }
+    
+    const revisions = await Comment.getRevisions(commentId);
+    
+    logger.info('评论历史版本获取成功', { commentId, count: revisions.length });
+    
+    res.json({
+      commentId: comment.id,
+      currentContent: comment.content,
+      editedAt: comment.edited_at,
+      revisions
+    });
+  } catch (error) {
+    logger.error('获取评论历史版本失败', error);
+    next(error);
+  }
+};
+
+// 举报对象类型对应的名称，用于错误提示
+const REPORT_TARGET_NAMES = {
+  topic: '话题',
+  comment: '评论'
+};
+
+/**
+ * 创建举报请求处理函数
+ * @param {String} targetType - 举报对象类型(topic/comment)
+ * @returns {Function} Express请求处理函数
+ */
+const reportHandler = (targetType) => async (req, res, next) => {
+  try {
+    const targetId = req.params.id;
+    const reporterId = req.user.id;
+    const { reason, note } = req.body;
+    
+    logger.info('开始处理举报请求', { targetType, targetId, reporterId, reason });
+    
+    if (!Report.REASONS.includes(reason)) {
+      logger.warn('举报失败：无效的举报原因', { reason });
+      return res.status(400).json({ error: `举报原因必须是以下之一: ${Report.REASONS.join(', ')}` });
+    }
+    
+    if (note && String(note).length > 500) {
+      logger.warn('举报失败：补充说明过长', { targetType, targetId });
+      return res.status(400).json({ error: '补充说明不能超过500个字符' });
+    }
+    
+    const target = await Report.findTarget(targetType, targetId);
+    
+    if (!target || target.status === 'deleted') {
+      logger.warn('举报失败：内容不存在', { targetType, targetId });
+      return res.status(404).json({ error: `${REPORT_TARGET_NAMES[targetType]}不存在` });
+    }
+    
+    if (target.authorId === reporterId) {
+      logger.warn('举报失败：不能举报自己的内容', { targetType, targetId, reporterId });
+      return res.status(400).json({ error: '不能举报自己的内容' });
+    }
+    
+    await Report.create({
+      targetType,
+      targetId: target.id,
+      reporterId,
+      reason,
+      note: note ? String(note) : null
+    });
+    
+    logger.info('举报提交成功', { targetType, targetId, reporterId });
+    
+    res.status(201).json({
+      success: true,
+      message: '举报已提交，感谢您的反馈'
+    });
+  } catch (error) {
+    logger.error('举报失败', { targetType, error });
+    next(error);
+  }
+};
+
+/**
+ * @desc    举报话题
+ * @route   POST /api/forum/topics/:id/report
+ * @access  Private
+ */
+exports.reportTopic = reportHandler('topic');
+
+/**
+ * @desc    举报评论
+ * @route   POST /api/forum/comments/:id/report
+ * @access  Private
+ */
+exports.reportComment = reportHandler('comment');
+
+/**
+ * @desc    获取待处理举报队列（按内容分组）
+ * @route   GET /api/forum/reports
+ * @access  Private/Moderator
+ */
+exports.getReportQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+    
+    logger.info('开始处理获取举报队列请求', { page, limit, type });
+    
+    if (type && !REPORT_TARGET_NAMES[type]) {
+      logger.warn('获取举报队列失败：无效的内容类型', { type });
+      return res.status(400).json({ error: '无效的内容类型' });
+    }
+    
+    const result = await Report.getQueue({ page, limit, targetType: type });
+    
+    res.json({
+      reports: result.reports,
+      totalCount: result.totalCount,
+      pageCount: result.pageCount
+    });
+  } catch (error) {
+    logger.error('获取举报队列失败', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    处理某个内容的待处理举报
+ * @route   POST /api/forum/reports/:type/:id/resolve
+ * @access  Private/Moderator
+ */
+exports.resolveReports = async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    const { action, note, durationDays } = req.body;
+    const moderatorId = req.user.id;
+    
+    logger.info('开始处理举报处理请求', { type, id, action, moderatorId });
+    
+    if (!REPORT_TARGET_NAMES[type]) {
+      logger.warn('处理举报失败：无效的内容类型', { type });
+      return res.status(400).json({ error: '无效的内容类型' });
+    }
+    
+    if (!Report.RESOLUTION_ACTIONS.includes(action)) {
+      logger.warn('处理举报失败：无效的处理方式', { action });
+      return res.status(400).json({ error: `处理方式必须是以下之一: ${Report.RESOLUTION_ACTIONS.join(', ')}` });
+    }
+    
+    // 不提供封禁天数时为永久封禁
+    const hasDuration = durationDays !== undefined && durationDays !== null;
+    if (action === 'suspend' && hasDuration && !(Number.isInteger(Number(durationDays)) && Number(durationDays) > 0)) {
+      logger.warn('处理举报失败：无效的封禁天数', { durationDays });
+      return res.status(400).json({ error: '封禁天数必须是正整数' });
+    }
+    
+    if (action === 'suspend' && !hasDuration && req.user.role !== 'admin') {
+      logger.warn('处理举报失败：版主不能永久封禁', { type, id, moderatorId });
+      return res.status(403).json({ error: '只有管理员可以永久封禁用户' });
+    }
+    
+    const target = await Report.findTarget(type, id);
+    
+    if (!target) {
+      logger.warn('处理举报失败：内容不存在', { type, id });
+      return res.status(404).json({ error: `${REPORT_TARGET_NAMES[type]}不存在` });
+    }
+    
+    if (action === 'suspend') {
+      const author = await User.findById(target.authorId);
+      if (author && ['moderator', 'admin'].includes(author.role)) {
+        logger.warn('处理举报失败：不能封禁版主或管理员', { authorId: target.authorId });
+        return res.status(403).json({ error: '不能封禁版主或管理员' });
+      }
+    }
+    
+    // 隐藏或删除内容后需要通知实时订阅者，话题被隐藏后无法再查到所属分类，先查询
+    const removesContent = ['hide', 'delete', 'suspend'].includes(action);
+    const topic = removesContent ? await Topic.findById(type === 'topic' ? target.id : target.topicId) : null;
+    
+    const resolution = await Report.resolve(type, target.id, {
+      action,
+      moderatorId,
+      note: note ? String(note).substring(0, 500) : null,
+      durationDays: hasDuration ? Number(durationDays) : null
+    });
+    
+    if (!resolution) {
+      logger.warn('处理举报失败：没有待处理的举报', { type, id });
+      return res.status(404).json({ error: '没有待处理的举报' });
+    }
+    
+    logger.info('举报处理成功', { type, id, action, resolutionId: resolution.resolutionId });
+    
+    if (topic) {
+      if (type === 'topic') {
+        publishTopicEvent(topic, 'topic.deleted', {});
+      } else {
+        publishTopicEvent(topic, 'comment.deleted', { commentId: target.id });
+      }
+    }
+    
+    // 驳回举报不通知作者，其他处理结果通知作者
+    if (action !== 'dismiss') {
+      await notify({
+        userId: target.authorId,
+        type: 'moderation',
+        actorId: moderatorId,
+        targetType: type,
+        targetId: target.id,
+        topicId: type === 'topic' ? target.id : target.topicId,
+        data: { action, note: note ? String(note).substring(0, 500) : null }
+      });
+    }
+    
+    res.json({
+      success: true,
+      resolution
+    });
+  } catch (error) {
+    logger.error('处理举报失败', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    创建标签
  * @route   POST /api/forum/tags
@@ -0,0 +1,174 @@
+/**
+ * 实时推送控制器模块
+ * 通过Server-Sent Events向客户端推送话题、分类和个人通知的实时事件
+ */
+const UserSession = require('../models/UserSession');
+const { subscribe } = require('../utils/pubsub');
+const { channels } = require('../utils/realtime');
+const logger = require('../utils/logger');
+
+// 单个连接最多订阅的频道数
+const MAX_CHANNELS = 50;
+
+// 心跳间隔（毫秒），避免代理因连接空闲而断开
+const HEARTBEAT_INTERVAL = 25000;
+
+// 每个用户、每个IP同时保持的最大连接数（按进程统计）
+const MAX_CONNECTIONS_PER_USER = parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER) || 5;
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_IP) || 20;
+
+// 每个连接记住的最近事件ID数量，用于过滤同时订阅话题和分类时收到的重复事件
+const RECENT_EVENT_LIMIT = 200;
+
+// 当前进程中各用户、各IP的连接数
+const connectionCounts = {
+  user: new Map(),
+  ip: new Map()
+};
+
+/**
+ * 调整连接计数，减到0时删除
+ * @param {Map} counts - 计数表
+ * @param {String|Number} key - 用户ID或IP
+ * @param {Number} delta - 增减数量
+ */
+const adjustConnectionCount = (counts, key, delta) => {
+  const count = (counts.get(key) || 0) + delta;
+
+  if (count > 0) {
+    counts.set(key, count);
+  } else {
+    counts.delete(key);
+  }
+};
+
+/**
+ * 解析逗号分隔的查询参数
+ * @param {String} value - 参数值
+ * @returns {Array<String>} 去除空白后的列表
+ */
+const parseList = (value) => {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * @desc    订阅实时事件（SSE），topics为话题ID列表，categories为分类名列表，
+ *          notifications=true时同时订阅自己的通知；浏览器EventSource可用access_token参数传递令牌
+ *          每个用户、每个IP的同时连接数有上限；心跳时检查会话，会话失效后发送session.expired事件并关闭连接
+ * @route   GET /api/realtime/stream?topics=1,2&categories=技术讨论&notifications=true
+ * @access  Private
+ */
+exports.stream = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const topicIds = parseList(req.query.topics);
+    const categories = parseList(req.query.categories);
+    const withNotifications = ['true', '1'].includes(String(req.query.notifications));
+
+    logger.info('开始处理实时订阅请求', { userId, topicIds, categories, withNotifications });
+
+    if (topicIds.some(id => !/^\d+$/.test(id))) {
+      logger.warn('实时订阅失败：话题ID无效', { userId, topicIds });
+      return res.status(400).json({ message: '话题ID无效' });
+    }
+
+    const targets = [...new Set([
+      ...topicIds.map(id => channels.topic(Number(id))),
+      ...categories.map(category => channels.category(category))
+    ])];
+
+    if (withNotifications) {
+      targets.push(channels.user(userId));
+    }
+
+    if (targets.length === 0) {
+      logger.warn('实时订阅失败：未指定订阅内容', { userId });
+      return res.status(400).json({ message: '请至少订阅一个话题、分类或通知' });
+    }
+
+    if (targets.length > MAX_CHANNELS) {
+      logger.warn('实时订阅失败：订阅数量过多', { userId, count: targets.length });
+      return res.status(400).json({ message: `单个连接最多订阅${MAX_CHANNELS}个话题或分类` });
+    }
+
+    if ((connectionCounts.user.get(userId) || 0) >= MAX_CONNECTIONS_PER_USER ||
+        (connectionCounts.ip.get(req.ip) || 0) >= MAX_CONNECTIONS_PER_IP) {
+      logger.warn('实时订阅失败：连接数过多', { userId, ip: req.ip });
+      return res.status(429).json({ message: '实时连接数过多，请关闭其他页面后重试' });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // 关闭Nginx对响应的缓冲，事件才能立即送达
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('ready', { channels: targets });
+
+    const recentEventIds = new Set();
+    const onMessage = (message) => {
+      if (recentEventIds.has(message.id)) {
+        return;
+      }
+
+      recentEventIds.add(message.id);
+      if (recentEventIds.size > RECENT_EVENT_LIMIT) {
+        recentEventIds.delete(recentEventIds.values().next().value);
+      }
+
+      send(message.type, message);
+    };
+
+    const unsubscribes = targets.map(channel => subscribe(channel, onMessage));
+
+    // 心跳时重新检查会话，退出登录或会话被撤销后关闭连接
+    const heartbeat = setInterval(async () => {
+      try {
+        const session = await UserSession.findActiveById(req.sessionId);
+
+        if (res.writableEnded || res.destroyed) {
+          return;
+        }
+
+        if (!session || session.user_id !== userId) {
+          logger.info('实时订阅会话已失效，关闭连接', { userId, sessionId: req.sessionId });
+          send('session.expired', { message: '会话已失效，请重新登录' });
+          return res.end();
+        }
+      } catch (error) {
+        logger.warn('实时订阅检查会话失败', { userId, error: error.message });
+        if (res.writableEnded || res.destroyed) {
+          return;
+        }
+      }
+
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    adjustConnectionCount(connectionCounts.user, userId, 1);
+    adjustConnectionCount(connectionCounts.ip, req.ip, 1);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      adjustConnectionCount(connectionCounts.user, userId, -1);
+      adjustConnectionCount(connectionCounts.ip, req.ip, -1);
+      logger.info('实时订阅连接已关闭', { userId, channels: targets.length });
+    });
+
+    logger.info('实时订阅已建立', { userId, channels: targets });
+  } catch (error) {
+    logger.error('实时订阅失败', error);
+    next(error);
+  }
+};
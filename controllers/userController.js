@@ -8,18 +8,134 @@ const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
 const { uploadAvatar } = require('../middleware/uploadMiddleware');
+const WalletNonce = require('../models/WalletNonce');
+const UserSession = require('../models/UserSession');
+const PasswordReset = require('../models/PasswordReset');
+const AuthThrottle = require('../models/AuthThrottle');
+const TwoFactor = require('../models/TwoFactor');
+const UserWallet = require('../models/UserWallet');
+const UserSuspension = require('../models/UserSuspension');
+const WalletBan = require('../models/WalletBan');
+const Notification = require('../models/Notification');
+const Tip = require('../models/Tip');
+const { sendMail } = require('../utils/mailer');
+const { notify } = require('../utils/notifier');
+const { isValidWalletAddress, verifySignature } = require('../utils/solanaAuth');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { serializeUser, getPrivacySettings, validatePrivacySettings } = require('../utils/userSerializer');
 
 /**
- * 生成JWT令牌
+ * 生成JWT访问令牌
+ * 令牌中携带会话ID，会话被撤销后令牌在protect中间件中立即失效
  * @param {string} id - 用户ID
+ * @param {number} sessionId - 会话ID
  * @returns {string} 生成的JWT令牌
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
   });
 };
 
+/**
+ * 为用户创建新会话并签发令牌
+ * @param {string} id - 用户ID
+ * @param {Object} req - 请求对象，用于记录设备信息
+ * @returns {Promise<Object>} 包含访问令牌和刷新令牌的对象
+ */
+const startSession = async (id, req) => {
+  const { sessionId, refreshToken } = await UserSession.create(id, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(id, sessionId),
+    refreshToken
+  };
+};
+
+/**
+ * 判断是否为钱包创建账户时生成的占位邮箱（无法接收邮件）
+ * @param {string} email - 邮箱
+ * @returns {boolean} 是否为占位邮箱
+ */
+const isPlaceholderEmail = (email) => {
+  return !email || email.endsWith('@wallet.user');
+};
+
+/**
+ * 发送邮箱验证邮件
+ * 验证链接中携带签名令牌，令牌绑定用户ID和当前邮箱，更换邮箱后旧链接失效
+ * @param {Object} user - 用户对象
+ * @returns {Promise<Object>} 邮件发送结果
+ */
+const sendVerificationEmail = (user) => {
+  const token = jwt.sign(
+    { id: user.id, email: user.email, purpose: 'email_verify' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFY_EXPIRES_IN || '24h' }
+  );
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const verifyUrl = `${baseUrl}/api/users/email/verify?token=${token}`;
+  
+  return sendMail({
+    to: user.email,
+    subject: '验证您的邮箱',
+    text: `您好 ${user.username}，\n\n请点击以下链接验证您的邮箱：\n${verifyUrl}\n\n如果这不是您本人的操作，请忽略此邮件。`
+  });
+};
+
+/**
+ * 签发两步验证登录挑战令牌
+ * 密码验证通过但启用了两步验证时返回此令牌代替访问令牌，
+ * 令牌不含会话ID，无法通过protect中间件访问受保护接口
+ * @param {string} id - 用户ID
+ * @returns {string} 挑战令牌
+ */
+const generateTwoFactorChallenge = (id) => {
+  return jwt.sign({ id, purpose: 'two_factor_login' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+  });
+};
+
+/**
+ * 验证TOTP验证码并记录已使用的时间步
+ * @param {string} userId - 用户ID
+ * @param {string} secret - base32编码的共享密钥
+ * @param {string} code - 用户输入的验证码
+ * @returns {Promise<boolean>} 验证码是否有效且未被使用过
+ */
+const verifyTwoFactorCode = async (userId, secret, code) => {
+  const step = verifyCode(secret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  return TwoFactor.useStep(userId, step);
+};
+
+/**
+ * 验证请求者是否持有钱包私钥
+ * 先原子地消费nonce（无论签名是否有效都会作废，防止重放和暴力尝试），
+ * 再用钱包公钥验证对签发消息的ed25519签名
+ * @param {string} walletAddress - base58编码的钱包地址
+ * @param {string} nonce - 签发的一次性随机数
+ * @param {string} signature - 对签发消息的签名
+ * @param {string} purpose - nonce用途(login/associate)
+ * @returns {Promise<boolean>} 签名是否有效
+ */
+const verifyWalletOwnership = async (walletAddress, nonce, signature, purpose) => {
+  const message = await WalletNonce.consume(walletAddress, nonce, purpose);
+
+  if (!message) {
+    return false;
+  }
+
+  return verifySignature(message, signature, walletAddress);
+};
+
 /**
  * @desc    注册新用户
  * @route   POST /api/users/register
@@ -74,11 +190,20 @@ exports.registerUser = async (req, res, next) => {
         username: user.username,
         email: user.email
       });
+      // 发送邮箱验证邮件，发送失败不影响注册
+      sendVerificationEmail(user).catch(error => {
+        logger.error('注册验证邮件发送失败', { userId: user.id, error: error.message });
+      });
+      
+      const { token, refreshToken } = await startSession(user.id, req);
+      
       res.status(201).json({
         id: user.id,
         username: user.username,
         email: user.email,
-        token: generateToken(user.id)
+        emailVerified: false,
+        token,
+        refreshToken
       });
     } else {
       logger.warn('注册失败：无效的用户数据');
@@ -118,6 +243,15 @@ exports.loginUser = async (req, res, next) => {
     const isMatch = await User.verifyPassword(password, user.password);
     
     if (isMatch) {
+      // 启用了两步验证时只返回挑战令牌，需要再提交验证码才能完成登录
+      if (await TwoFactor.isEnabled(user.id)) {
+        logger.info('密码验证通过，等待两步验证', { userId: user.id });
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user.id)
+        });
+      }
+
       logger.info('用户登录成功', { 
         userId: user.id, 
         username: user.username,
@@ -126,11 +260,13 @@ exports.loginUser = async (req, res, next) => {
       });
       
       // 返回用户信息，包括钱包地址（如果存在）
+      const { token, refreshToken } = await startSession(user.id, req);
       const response = {
         id: user.id,
         username: user.username,
         email: user.email,
-        token: generateToken(user.id)
+        token,
+        refreshToken
       };
       
       // 如果用户已关联钱包地址，则一并返回
@@ -179,7 +315,8 @@ exports.updateUserProfile = async (req, res, next) => {
       bio,
       github,
       twitter,
-      website
+      website,
+      privacy
     } = req.body;
     
     // 查找用户 - 使用MySQL方法
@@ -189,6 +326,17 @@ exports.updateUserProfile = async (req, res, next) => {
       logger.warn('更新个人资料失败：用户不存在', { userId });
       return res.status(404).json({ message: '用户不存在' });
     }
+    
+    // 校验隐私设置（只需提交要修改的字段）
+    let privacySettings;
+    if (privacy !== undefined) {
+      const { error, settings } = validatePrivacySettings(privacy);
+      if (error) {
+        logger.warn('更新个人资料失败：隐私设置无效', { userId, privacy });
+        return res.status(400).json({ message: error });
+      }
+      privacySettings = { ...getPrivacySettings(user), ...settings };
+    }
 
     // 更新用户信息 - 使用MySQL方法
     const updateData = {
@@ -201,7 +349,8 @@ exports.updateUserProfile = async (req, res, next) => {
       bio: bio !== undefined ? bio : user.bio,
       github: github !== undefined ? github : user.github,
       twitter: twitter !== undefined ? twitter : user.twitter,
-      website: website !== undefined ? website : user.website
+      website: website !== undefined ? website : user.website,
+      privacySettings
     };
     
     try {
@@ -214,27 +363,32 @@ exports.updateUserProfile = async (req, res, next) => {
         updatedFields: Object.keys(req.body)
       });
       
+      // 邮箱变更后需要重新验证（钱包用户可在此设置真实邮箱）
+      let emailVerified = !!updatedUser.email_verified;
+      if (email && email !== user.email) {
+        await User.setEmailVerified(userId, false);
+        emailVerified = false;
+        
+        if (!isPlaceholderEmail(updatedUser.email)) {
+          sendVerificationEmail(updatedUser).catch(error => {
+            logger.error('更换邮箱验证邮件发送失败', { userId, error: error.message });
+          });
+        }
+        logger.info('用户邮箱已变更，需要重新验证', { userId });
+      }
+      
       // 如果用户名或邮箱更新成功，需要生成新的令牌
       let newToken = null;
       if ((username && username !== user.username) || (email && email !== user.email)) {
-        newToken = generateToken(userId);
+        newToken = generateToken(userId, req.sessionId);
         logger.info('用户名或邮箱更新，生成新令牌');
       }
       
       // 返回更新后的用户信息
       const response = {
-        id: updatedUser.id,
-        username: updatedUser.username,
-        email: updatedUser.email,
-        phone: updatedUser.phone,
-        qq: updatedUser.qq,
-        region: updatedUser.region,
-        techStack: updatedUser.tech_stack,
-        bio: updatedUser.bio,
-        github: updatedUser.github,
-        twitter: updatedUser.twitter,
-        website: updatedUser.website,
-        created_at: updatedUser.created_at
+        ...serializeUser(updatedUser, updatedUser),
+        emailVerified,
+        privacy: getPrivacySettings(updatedUser)
       };
       
       // 如果生成了新令牌，添加到响应中
@@ -283,20 +437,15 @@ exports.getUserProfile = async (req, res, next) => {
     
     // 返回用户信息
     res.json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      phone: user.phone,
-      qq: user.qq,
-      region: user.region,
-      techStack: user.tech_stack,
-      bio: user.bio,
-      github: user.github,
-      twitter: user.twitter,
-      website: user.website,
-      avatar: user.avatar || '', // 确保返回avatar字段，如果为null则返回空字符串
-      walletAddress: user.wallet_address || '',
-      created_at: user.created_at
+      ...serializeUser(user, user),
+      emailVerified: !!user.email_verified,
+      twoFactorEnabled: await TwoFactor.isEnabled(user.id),
+      privacy: getPrivacySettings(user),
+      suspension: req.suspension ? {
+        reason: req.suspension.reason,
+        permanent: req.suspension.permanent,
+        expiresAt: req.suspension.expiresAt
+      } : null
     });
   } catch (error) {
     logger.error('获取个人资料过程中发生错误', error);
@@ -346,12 +495,15 @@ exports.updateUserPassword = async (req, res, next) => {
     const hashedPassword = await bcrypt.hash(newPassword, 10);
     
     await pool.execute(
-      'UPDATE users SET password = ? WHERE id = ?',
+      'UPDATE users SET password = ?, password_set = 1 WHERE id = ?',
       [hashedPassword, userId]
     );
     
-    logger.info('用户密码更新成功', { userId });
-    res.json({ message: '密码更新成功' });
+    // 撤销除当前会话以外的所有会话，其他设备需要重新登录
+    const revokedCount = await UserSession.revokeAllExcept(userId, req.sessionId);
+    
+    logger.info('用户密码更新成功', { userId, revokedSessions: revokedCount });
+    res.json({ message: '密码更新成功', revokedSessions: revokedCount });
   } catch (error) {
     logger.error('更新密码过程中发生错误', error);
     next(error);
@@ -568,6 +720,54 @@ exports.deleteUserAvatar = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    获取钱包登录挑战（SIWS待签名消息）
+ * @route   POST /api/users/wallet/nonce
+ * @access  Public
+ */
+exports.getWalletNonce = async (req, res, next) => {
+  try {
+    const { walletAddress, purpose = 'login' } = req.body;
+    
+    logger.info('开始处理钱包登录挑战请求', { walletAddress, purpose });
+    
+    // 验证请求数据
+    if (!walletAddress) {
+      logger.warn('获取钱包登录挑战失败：缺少钱包地址');
+      return res.status(400).json({ message: '钱包地址是必需的' });
+    }
+    
+    if (!isValidWalletAddress(walletAddress)) {
+      logger.warn('获取钱包登录挑战失败：无效的Solana钱包地址', { walletAddress });
+      return res.status(400).json({ message: '无效的Solana钱包地址格式' });
+    }
+    
+    if (!['login', 'associate'].includes(purpose)) {
+      logger.warn('获取钱包登录挑战失败：无效的用途', { walletAddress, purpose });
+      return res.status(400).json({ message: '无效的用途' });
+    }
+    
+    if (await WalletBan.isBanned(walletAddress)) {
+      logger.warn('获取钱包登录挑战失败：钱包已被封禁', { walletAddress });
+      return res.status(403).json({ message: '该钱包已被封禁', code: 'WALLET_BANNED' });
+    }
+    
+    const challenge = await WalletNonce.create(walletAddress, purpose);
+    
+    logger.info('钱包登录挑战签发成功', { walletAddress, purpose });
+    
+    res.json({
+      walletAddress,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    logger.error('获取钱包登录挑战过程中发生错误', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    通过钱包地址注册/登录用户
  * @route   POST /api/users/wallet
@@ -575,40 +775,56 @@ exports.deleteUserAvatar = async (req, res, next) => {
  */
 exports.connectWallet = async (req, res, next) => {
   try {
-    const { walletAddress, signature } = req.body;
+    const { walletAddress, signature, nonce } = req.body;
     
     // 验证请求数据
-    if (!walletAddress) {
-      logger.warn('钱包连接失败：缺少钱包地址');
-      return res.status(400).json({ message: '钱包地址是必需的' });
+    if (!walletAddress || !signature || !nonce) {
+      logger.warn('钱包连接失败：缺少必要字段', { walletAddress });
+      return res.status(400).json({ message: '钱包地址、签名和nonce都是必需的' });
+    }
+    
+    if (!isValidWalletAddress(walletAddress)) {
+      logger.warn('钱包连接失败：无效的Solana钱包地址', { walletAddress });
+      return res.status(400).json({ message: '无效的Solana钱包地址格式' });
     }
     
-    // 移除钱包地址格式验证，接受任何非空字符串
-    // 原验证代码：if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-    //  logger.warn('钱包连接失败：无效的Solana钱包地址', { walletAddress });
-    //  return res.status(400).json({ message: '无效的Solana钱包地址格式' });
-    // }
+    // 验证签名以确保请求者拥有该钱包
+    const isOwner = await verifyWalletOwnership(walletAddress, nonce, signature, 'login');
     
-    // TODO: 在实际生产环境中，应验证签名以确保请求者拥有该钱包
+    if (!isOwner) {
+      logger.warn('钱包连接失败：签名验证失败', { walletAddress });
+      return res.status(401).json({ message: '钱包签名无效或已过期' });
+    }
+    
+    // 被封禁的钱包既不能登录已有账户，也不能注册新账户
+    if (await WalletBan.isBanned(walletAddress)) {
+      logger.warn('钱包连接失败：钱包已被封禁', { walletAddress });
+      return res.status(403).json({ message: '该钱包已被封禁', code: 'WALLET_BANNED' });
+    }
     
     logger.info('尝试查找或创建钱包用户', { walletAddress });
     
     // 查找是否存在关联该钱包地址的用户
     let user = await User.findByWalletAddress(walletAddress);
     
-    // 如果用户存在，直接登录
+    // 如果用户存在（该钱包是用户关联的任意一个钱包），直接登录
     if (user) {
       logger.info('钱包地址已关联到现有用户，生成令牌', { 
         userId: user.id, 
         username: user.username 
       });
       
+      await UserWallet.markVerified(user.wallet_id);
+      const { token, refreshToken } = await startSession(user.id, req);
+      
       return res.json({
         id: user.id,
         username: user.username,
         email: user.email,
         walletAddress: user.wallet_address,
-        token: generateToken(user.id),
+        connectedWalletAddress: walletAddress,
+        token,
+        refreshToken,
         isNewUser: false
       });
     }
@@ -627,6 +843,7 @@ exports.connectWallet = async (req, res, next) => {
       username,
       email,
       password, // 实际加密发生在User.create内部
+      passwordSet: false, // 随机密码用户并不知道
       walletAddress, // 保存完整的钱包地址
       phone: '',
       qq: '',
@@ -646,12 +863,15 @@ exports.connectWallet = async (req, res, next) => {
       walletAddress
     });
     
+    const { token, refreshToken } = await startSession(user.id, req);
+    
     res.status(201).json({
       id: user.id,
       username: user.username,
       email: user.email,
       walletAddress: user.wallet_address,
-      token: generateToken(user.id),
+      token,
+      refreshToken,
       isNewUser: true
     });
   } catch (error) {
@@ -669,7 +889,7 @@ exports.associateWallet = async (req, res, next) => {
   try {
     // 获取用户ID（从身份验证中间件中）
     const userId = req.user.id;
-    const { walletAddress, signature } = req.body;
+    const { walletAddress, signature, nonce, label } = req.body;
     
     logger.info('开始处理钱包地址关联请求', { 
       userId, 
@@ -678,29 +898,32 @@ exports.associateWallet = async (req, res, next) => {
     });
     
     // 验证请求数据
-    if (!walletAddress) {
-      logger.warn('钱包关联失败：缺少钱包地址', { userId });
-      return res.status(400).json({ message: '钱包地址是必需的' });
+    if (!walletAddress || !signature || !nonce) {
+      logger.warn('钱包关联失败：缺少必要字段', { userId });
+      return res.status(400).json({ message: '钱包地址、签名和nonce都是必需的' });
+    }
+    
+    if (!isValidWalletAddress(walletAddress)) {
+      logger.warn('钱包关联失败：无效的Solana钱包地址', { userId, walletAddress });
+      return res.status(400).json({ message: '无效的Solana钱包地址格式' });
     }
     
-    // 移除钱包地址格式验证，接受任何非空字符串
-    // 原验证代码：if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-    //   logger.warn('钱包关联失败：无效的Solana钱包地址', { userId, walletAddress });
-    //   return res.status(400).json({ message: '无效的Solana钱包地址格式' });
-    // }
+    // 验证签名以确保请求者拥有该钱包
+    const isOwner = await verifyWalletOwnership(walletAddress, nonce, signature, 'associate');
     
-    // TODO: 在实际生产环境中，应验证签名以确保请求者拥有该钱包
+    if (!isOwner) {
+      logger.warn('钱包关联失败：签名验证失败', { userId, walletAddress });
+      return res.status(401).json({ message: '钱包签名无效或已过期' });
+    }
     
-    // 检查用户是否已有钱包地址（用户界面层面的限制，而非数据模型层面）
-    const user = await User.findById(userId);
-    if (user && user.wallet_address) {
-      logger.warn('钱包关联失败：用户已有钱包地址', { userId, existingWallet: user.wallet_address });
-      return res.status(400).json({ message: '您已关联钱包地址，不支持修改' });
+    if (await WalletBan.isBanned(walletAddress)) {
+      logger.warn('钱包关联失败：钱包已被封禁', { userId, walletAddress });
+      return res.status(403).json({ message: '该钱包已被封禁', code: 'WALLET_BANNED' });
     }
     
     try {
       // 关联钱包地址到用户
-      const updatedUser = await User.connectWalletAddress(userId, walletAddress);
+      const updatedUser = await User.connectWalletAddress(userId, walletAddress, { label });
       
       logger.info('钱包地址关联成功', { 
         userId, 
@@ -713,10 +936,15 @@ exports.associateWallet = async (req, res, next) => {
         username: updatedUser.username,
         email: updatedUser.email,
         walletAddress: updatedUser.wallet_address,
+        wallets: await UserWallet.listByUser(userId),
         message: '钱包地址关联成功'
       });
     } catch (error) {
-      if (error.message === '该钱包地址已被其他用户使用') {
+      if ([
+        '该钱包地址已被其他用户使用',
+        '该钱包已关联到您的账户',
+        `每个账户最多关联${UserWallet.MAX_WALLETS_PER_USER}个钱包`
+      ].includes(error.message)) {
         logger.warn(`钱包关联失败：${error.message}`, { userId, walletAddress });
         return res.status(400).json({ message: error.message });
       }
@@ -726,4 +954,978 @@ exports.associateWallet = async (req, res, next) => {
     logger.error('关联钱包地址过程中发生错误', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    使用刷新令牌换取新的访问令牌（刷新令牌同时轮换）
+ * @route   POST /api/users/token/refresh
+ * @access  Public
+ */
+exports.refreshAccessToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    logger.info('开始处理刷新令牌请求');
+    
+    if (!refreshToken) {
+      logger.warn('刷新令牌失败：缺少刷新令牌');
+      return res.status(400).json({ message: '刷新令牌是必需的' });
+    }
+    
+    const session = await UserSession.rotate(refreshToken);
+    
+    if (!session) {
+      logger.warn('刷新令牌失败：令牌无效或已过期');
+      return res.status(401).json({ message: '刷新令牌无效或已过期，请重新登录' });
+    }
+    
+    logger.info('刷新令牌成功', { userId: session.userId, sessionId: session.sessionId });
+    
+    res.json({
+      token: generateToken(session.userId, session.sessionId),
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    logger.error('刷新令牌过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    退出登录（撤销当前会话）
+ * @route   POST /api/users/logout
+ * @access  Private
+ */
+exports.logoutUser = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    logger.info('开始处理退出登录请求', { userId, sessionId: req.sessionId });
+    
+    await UserSession.revoke(req.sessionId, userId);
+    
+    logger.info('用户已退出登录', { userId, sessionId: req.sessionId });
+    res.json({ message: '已退出登录' });
+  } catch (error) {
+    logger.error('退出登录过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取当前用户的有效会话列表
+ * @route   GET /api/users/sessions
+ * @access  Private
+ */
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    logger.info('开始处理获取会话列表请求', { userId });
+    
+    const sessions = await UserSession.listActive(userId);
+    
+    logger.info('会话列表获取成功', { userId, count: sessions.length });
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    logger.error('获取会话列表过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    撤销指定会话（在其他设备上退出登录）
+ * @route   DELETE /api/users/sessions/:id
+ * @access  Private
+ */
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const sessionId = parseInt(req.params.id);
+    logger.info('开始处理撤销会话请求', { userId, sessionId });
+    
+    const revoked = await UserSession.revoke(sessionId, userId);
+    
+    if (!revoked) {
+      logger.warn('撤销会话失败：会话不存在或已撤销', { userId, sessionId });
+      return res.status(404).json({ message: '会话不存在' });
+    }
+    
+    logger.info('会话已撤销', { userId, sessionId });
+    res.json({ message: '会话已撤销' });
+  } catch (error) {
+    logger.error('撤销会话过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    忘记密码，发送密码重置邮件
+ * @route   POST /api/users/password/forgot
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    logger.info('开始处理忘记密码请求', { email });
+    
+    if (!email) {
+      logger.warn('忘记密码请求失败：缺少邮箱');
+      return res.status(400).json({ message: '请提供邮箱' });
+    }
+    
+    // 无论邮箱是否注册都返回相同响应，避免泄露用户是否存在
+    const genericResponse = { message: '如果该邮箱已注册，您将收到一封密码重置邮件' };
+    
+    const user = await User.findByEmail(email);
+    
+    // 钱包创建的账户使用的是占位邮箱，无法接收邮件
+    if (!user || isPlaceholderEmail(user.email)) {
+      logger.info('忘记密码请求：邮箱未注册或无法接收邮件', { email });
+      return res.json(genericResponse);
+    }
+    
+    // 同一邮箱的重置邮件单独计数，超过次数后静默跳过发送，避免被用来轰炸邮箱；
+    // 不返回429，他人无法借此锁定受害者的找回流程或判断邮箱是否注册
+    const mailScope = 'password_forgot:mail';
+    const mailKey = `user:${user.id}`;
+    const mailThrottled = await AuthThrottle.getRetryAfter(mailScope, mailKey) > 0
+      || (await AuthThrottle.hit(mailScope, mailKey, { maxAttempts: 3, windowSeconds: 15 * 60, ip: req.ip })).locked;
+    
+    if (mailThrottled) {
+      logger.warn('忘记密码请求：该邮箱的重置邮件过于频繁，跳过发送', { userId: user.id, ip: req.ip });
+      return res.json(genericResponse);
+    }
+    
+    const token = await PasswordReset.create(user.id);
+    const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+    
+    // 不等待邮件发送完成，避免通过响应时间判断邮箱是否注册
+    sendMail({
+      to: user.email,
+      subject: '重置您的密码',
+      text: `您好 ${user.username}，\n\n请点击以下链接重置密码，链接${parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30}分钟内有效且只能使用一次：\n${resetUrl}\n\n如果这不是您本人的操作，请忽略此邮件。`
+    }).catch(error => {
+      logger.error('密码重置邮件发送失败', { userId: user.id, error: error.message });
+    });
+    
+    logger.info('密码重置令牌已创建', { userId: user.id });
+    res.json(genericResponse);
+  } catch (error) {
+    logger.error('忘记密码过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    使用邮件中的令牌重置密码
+ * @route   POST /api/users/password/reset
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword, confirmPassword } = req.body;
+    logger.info('开始处理重置密码请求');
+    
+    // 输入验证
+    if (!token || !newPassword || !confirmPassword) {
+      logger.warn('重置密码失败：缺少必要字段');
+      return res.status(400).json({ message: '所有字段都是必需的' });
+    }
+    
+    if (newPassword !== confirmPassword) {
+      logger.warn('重置密码失败：新密码不匹配');
+      return res.status(400).json({ message: '新密码和确认密码不匹配' });
+    }
+    
+    const userId = await PasswordReset.consume(token);
+    
+    if (!userId) {
+      logger.warn('重置密码失败：令牌无效或已过期');
+      return res.status(400).json({ message: '重置链接无效或已过期' });
+    }
+    
+    await User.updatePassword(userId, newPassword);
+    
+    // 撤销所有会话，所有设备都需要使用新密码重新登录
+    const revokedCount = await UserSession.revokeAllExcept(userId, null);
+    
+    logger.info('密码重置成功', { userId, revokedSessions: revokedCount });
+    res.json({ message: '密码已重置，请使用新密码登录' });
+  } catch (error) {
+    logger.error('重置密码过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    验证邮箱（邮件中的链接）
+ * @route   GET /api/users/email/verify
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    logger.info('开始处理邮箱验证请求');
+    
+    if (!token) {
+      logger.warn('邮箱验证失败：缺少令牌');
+      return res.status(400).json({ message: '验证链接无效' });
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      logger.warn('邮箱验证失败：令牌无效或已过期', { error: error.message });
+      return res.status(400).json({ message: '验证链接无效或已过期' });
+    }
+    
+    if (decoded.purpose !== 'email_verify') {
+      logger.warn('邮箱验证失败：令牌用途不正确', { userId: decoded.id });
+      return res.status(400).json({ message: '验证链接无效' });
+    }
+    
+    const verified = await User.setEmailVerified(decoded.id, true, decoded.email);
+    
+    if (!verified) {
+      logger.warn('邮箱验证失败：用户不存在或邮箱已变更', { userId: decoded.id });
+      return res.status(400).json({ message: '验证链接已失效，请重新发送验证邮件' });
+    }
+    
+    logger.info('邮箱验证成功', { userId: decoded.id });
+    res.json({ message: '邮箱验证成功' });
+  } catch (error) {
+    logger.error('邮箱验证过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    重新发送邮箱验证邮件
+ * @route   POST /api/users/email/verify/resend
+ * @access  Private
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    logger.info('开始处理重新发送验证邮件请求', { userId });
+    
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      logger.warn('重新发送验证邮件失败：用户不存在', { userId });
+      return res.status(404).json({ message: '用户不存在' });
+    }
+    
+    if (isPlaceholderEmail(user.email)) {
+      logger.warn('重新发送验证邮件失败：用户未设置真实邮箱', { userId });
+      return res.status(400).json({ message: '请先在个人资料中设置真实邮箱' });
+    }
+    
+    if (user.email_verified) {
+      logger.info('重新发送验证邮件：邮箱已验证', { userId });
+      return res.status(400).json({ message: '邮箱已验证' });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    logger.info('验证邮件已重新发送', { userId });
+    res.json({ message: '验证邮件已发送' });
+  } catch (error) {
+    logger.error('重新发送验证邮件过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取认证接口的锁定审计记录
+ * @route   GET /api/users/security/lockouts
+ * @access  Private/Admin
+ */
+exports.getLockouts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, scope } = req.query;
+    logger.info('开始处理获取锁定审计记录请求', { userId: req.user.id, page, limit, scope });
+    
+    const result = await AuthThrottle.getLockouts({ page, limit, scope });
+    
+    logger.info('锁定审计记录获取成功', { count: result.lockouts.length, totalCount: result.totalCount });
+    res.json(result);
+  } catch (error) {
+    logger.error('获取锁定审计记录过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    完成两步验证登录
+ * @route   POST /api/users/login/2fa
+ * @access  Public
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    logger.info('开始处理两步验证登录请求', { useRecoveryCode: !!recoveryCode });
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      logger.warn('两步验证登录失败：缺少必要字段');
+      return res.status(400).json({ message: '请提供挑战令牌和验证码' });
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      logger.warn('两步验证登录失败：挑战令牌无效或已过期', { error: error.message });
+      return res.status(401).json({ message: '登录已过期，请重新登录' });
+    }
+    
+    if (decoded.purpose !== 'two_factor_login') {
+      logger.warn('两步验证登录失败：令牌用途不正确', { userId: decoded.id });
+      return res.status(401).json({ message: '登录已过期，请重新登录' });
+    }
+    
+    const settings = await TwoFactor.findByUserId(decoded.id);
+    
+    if (!settings || !settings.enabled) {
+      logger.warn('两步验证登录失败：用户未启用两步验证', { userId: decoded.id });
+      return res.status(401).json({ message: '登录已过期，请重新登录' });
+    }
+    
+    const valid = recoveryCode
+      ? await TwoFactor.consumeRecoveryCode(decoded.id, recoveryCode)
+      : await verifyTwoFactorCode(decoded.id, settings.secret, code);
+    
+    if (!valid) {
+      logger.warn('两步验证登录失败：验证码无效', { userId: decoded.id });
+      return res.status(401).json({ message: '验证码无效' });
+    }
+    
+    const user = await User.findById(decoded.id);
+    
+    if (!user) {
+      logger.warn('两步验证登录失败：用户不存在', { userId: decoded.id });
+      return res.status(401).json({ message: '登录已过期，请重新登录' });
+    }
+    
+    logger.info('两步验证登录成功', { userId: user.id, username: user.username });
+    
+    const { token, refreshToken } = await startSession(user.id, req);
+    const response = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      token,
+      refreshToken
+    };
+    
+    if (user.wallet_address) {
+      response.walletAddress = user.wallet_address;
+    }
+    
+    if (recoveryCode) {
+      response.remainingRecoveryCodes = await TwoFactor.countRecoveryCodes(user.id);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    logger.error('两步验证登录过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    开始设置两步验证，生成共享密钥
+ * @route   POST /api/users/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    logger.info('开始处理两步验证设置请求', { userId });
+    
+    if (isPlaceholderEmail(req.user.email)) {
+      logger.warn('两步验证设置失败：钱包账户不使用密码登录', { userId });
+      return res.status(400).json({ message: '两步验证仅适用于邮箱密码登录的账户' });
+    }
+    
+    if (await TwoFactor.isEnabled(userId)) {
+      logger.warn('两步验证设置失败：已启用', { userId });
+      return res.status(400).json({ message: '两步验证已启用' });
+    }
+    
+    const secret = generateSecret();
+    await TwoFactor.setPendingSecret(userId, secret);
+    
+    logger.info('两步验证密钥已生成，等待确认', { userId });
+    
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Solana Blinks'
+      })
+    });
+  } catch (error) {
+    logger.error('两步验证设置过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    使用验证器中的第一个验证码确认并启用两步验证
+ * @route   POST /api/users/2fa/enable
+ * @access  Private
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+    logger.info('开始处理启用两步验证请求', { userId });
+    
+    if (!code) {
+      logger.warn('启用两步验证失败：缺少验证码', { userId });
+      return res.status(400).json({ message: '请提供验证码' });
+    }
+    
+    const settings = await TwoFactor.findByUserId(userId);
+    
+    if (!settings) {
+      logger.warn('启用两步验证失败：尚未生成密钥', { userId });
+      return res.status(400).json({ message: '请先开始设置两步验证' });
+    }
+    
+    if (settings.enabled) {
+      logger.warn('启用两步验证失败：已启用', { userId });
+      return res.status(400).json({ message: '两步验证已启用' });
+    }
+    
+    if (!(await verifyTwoFactorCode(userId, settings.secret, code))) {
+      logger.warn('启用两步验证失败：验证码无效', { userId });
+      return res.status(400).json({ message: '验证码无效' });
+    }
+    
+    const recoveryCodes = await TwoFactor.enable(userId);
+    
+    logger.info('两步验证启用成功', { userId });
+    res.json({
+      message: '两步验证已启用，请妥善保存恢复码',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('启用两步验证过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    关闭两步验证（需要当前验证码）
+ * @route   POST /api/users/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+    logger.info('开始处理关闭两步验证请求', { userId });
+    
+    if (!code) {
+      logger.warn('关闭两步验证失败：缺少验证码', { userId });
+      return res.status(400).json({ message: '请提供验证码' });
+    }
+    
+    const settings = await TwoFactor.findByUserId(userId);
+    
+    if (!settings || !settings.enabled) {
+      logger.warn('关闭两步验证失败：未启用', { userId });
+      return res.status(400).json({ message: '两步验证未启用' });
+    }
+    
+    if (!(await verifyTwoFactorCode(userId, settings.secret, code))) {
+      logger.warn('关闭两步验证失败：验证码无效', { userId });
+      return res.status(400).json({ message: '验证码无效' });
+    }
+    
+    await TwoFactor.disable(userId);
+    
+    logger.info('两步验证已关闭', { userId });
+    res.json({ message: '两步验证已关闭' });
+  } catch (error) {
+    logger.error('关闭两步验证过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    重新生成两步验证恢复码（需要当前验证码）
+ * @route   POST /api/users/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+    logger.info('开始处理重新生成恢复码请求', { userId });
+    
+    if (!code) {
+      logger.warn('重新生成恢复码失败：缺少验证码', { userId });
+      return res.status(400).json({ message: '请提供验证码' });
+    }
+    
+    const settings = await TwoFactor.findByUserId(userId);
+    
+    if (!settings || !settings.enabled) {
+      logger.warn('重新生成恢复码失败：未启用两步验证', { userId });
+      return res.status(400).json({ message: '两步验证未启用' });
+    }
+    
+    if (!(await verifyTwoFactorCode(userId, settings.secret, code))) {
+      logger.warn('重新生成恢复码失败：验证码无效', { userId });
+      return res.status(400).json({ message: '验证码无效' });
+    }
+    
+    const recoveryCodes = await TwoFactor.replaceRecoveryCodes(userId);
+    
+    logger.info('恢复码已重新生成', { userId });
+    res.json({
+      message: '恢复码已重新生成，旧的恢复码已失效',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('重新生成恢复码过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取当前用户关联的所有钱包
+ * @route   GET /api/users/wallets
+ * @access  Private
+ */
+exports.getUserWallets = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    logger.info('开始处理获取钱包列表请求', { userId });
+    
+    const wallets = await UserWallet.listByUser(userId);
+    
+    logger.info('钱包列表获取成功', { userId, count: wallets.length });
+    res.json({ wallets });
+  } catch (error) {
+    logger.error('获取钱包列表过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    设置主钱包
+ * @route   PUT /api/users/wallets/:id/primary
+ * @access  Private
+ */
+exports.setPrimaryWallet = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const walletId = parseInt(req.params.id);
+    logger.info('开始处理设置主钱包请求', { userId, walletId });
+    
+    const updated = await UserWallet.setPrimary(userId, walletId);
+    
+    if (!updated) {
+      logger.warn('设置主钱包失败：钱包不存在', { userId, walletId });
+      return res.status(404).json({ message: '钱包不存在' });
+    }
+    
+    logger.info('主钱包设置成功', { userId, walletId });
+    res.json({
+      message: '主钱包已更新',
+      wallets: await UserWallet.listByUser(userId)
+    });
+  } catch (error) {
+    logger.error('设置主钱包过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    解除钱包关联
+ * @route   DELETE /api/users/wallets/:id
+ * @access  Private
+ */
+exports.unlinkWallet = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const walletId = parseInt(req.params.id);
+    logger.info('开始处理解除钱包关联请求', { userId, walletId });
+    
+    const wallets = await UserWallet.listByUser(userId);
+    
+    if (!wallets.some(wallet => wallet.id === walletId)) {
+      logger.warn('解除钱包关联失败：钱包不存在', { userId, walletId });
+      return res.status(404).json({ message: '钱包不存在' });
+    }
+    
+    // 没有验证过的邮箱、也没有自己设置过密码（钱包创建的账户使用随机密码）时，解除最后一个钱包后将无法登录
+    if (wallets.length === 1 && !req.user.email_verified && !req.user.password_set) {
+      logger.warn('解除钱包关联失败：这是唯一的登录方式', { userId, walletId });
+      return res.status(400).json({ message: '这是您唯一的登录方式，请先设置邮箱或关联其他钱包' });
+    }
+    
+    const removed = await UserWallet.remove(userId, walletId);
+    
+    if (!removed) {
+      logger.warn('解除钱包关联失败：钱包不存在', { userId, walletId });
+      return res.status(404).json({ message: '钱包不存在' });
+    }
+    
+    logger.info('钱包关联已解除', { userId, walletId });
+    res.json({
+      message: '钱包关联已解除',
+      wallets: await UserWallet.listByUser(userId)
+    });
+  } catch (error) {
+    logger.error('解除钱包关联过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取当前用户的通知（分页，附带未读数量）
+ * @route   GET /api/users/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    logger.info('开始处理获取通知请求', { userId: req.user.id, page, limit, unread });
+    
+    const result = await Notification.list(req.user.id, {
+      page,
+      limit,
+      unreadOnly: unread === 'true' || unread === '1'
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('获取通知过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    将通知标记为已读
+ * @route   PUT /api/users/notifications/:id/read
+ * @access  Private
+ */
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const notificationId = req.params.id;
+    logger.info('开始处理标记通知已读请求', { userId: req.user.id, notificationId });
+    
+    const found = await Notification.markRead(notificationId, req.user.id);
+    
+    if (!found) {
+      logger.warn('标记通知已读失败：通知不存在', { userId: req.user.id, notificationId });
+      return res.status(404).json({ message: '通知不存在' });
+    }
+    
+    res.json({ message: '通知已标记为已读' });
+  } catch (error) {
+    logger.error('标记通知已读过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    将所有通知标记为已读
+ * @route   PUT /api/users/notifications/read-all
+ * @access  Private
+ */
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    logger.info('开始处理标记所有通知已读请求', { userId: req.user.id });
+    
+    const count = await Notification.markAllRead(req.user.id);
+    
+    res.json({ message: '所有通知已标记为已读', count });
+  } catch (error) {
+    logger.error('标记所有通知已读过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    封禁用户（不提供durationDays时为永久封禁，仅管理员可操作）
+ * @route   POST /api/users/:id/suspensions
+ * @access  Private/Moderator
+ */
+exports.suspendUser = async (req, res, next) => {
+  try {
+    const targetId = parseInt(req.params.id);
+    const { reason, durationDays } = req.body;
+    logger.info('开始处理封禁用户请求', { targetId, durationDays, moderatorId: req.user.id });
+    
+    if (!reason || !String(reason).trim()) {
+      logger.warn('封禁用户失败：缺少封禁原因', { targetId });
+      return res.status(400).json({ message: '请提供封禁原因' });
+    }
+    
+    const permanent = durationDays === undefined || durationDays === null;
+    
+    if (!permanent && !(Number.isInteger(Number(durationDays)) && Number(durationDays) > 0)) {
+      logger.warn('封禁用户失败：无效的封禁天数', { targetId, durationDays });
+      return res.status(400).json({ message: '封禁天数必须是正整数' });
+    }
+    
+    if (permanent && req.user.role !== 'admin') {
+      logger.warn('封禁用户失败：版主不能永久封禁', { targetId, moderatorId: req.user.id });
+      return res.status(403).json({ message: '只有管理员可以永久封禁用户' });
+    }
+    
+    const target = await User.findById(targetId);
+    
+    if (!target) {
+      logger.warn('封禁用户失败：用户不存在', { targetId });
+      return res.status(404).json({ message: '用户不存在' });
+    }
+    
+    if (['moderator', 'admin'].includes(target.role)) {
+      logger.warn('封禁用户失败：不能封禁版主或管理员', { targetId });
+      return res.status(403).json({ message: '不能封禁版主或管理员' });
+    }
+    
+    await UserSuspension.create(targetId, {
+      reason: String(reason).trim().substring(0, 500),
+      durationDays: permanent ? null : Number(durationDays),
+      createdBy: req.user.id
+    });
+    
+    logger.info('用户封禁成功', { targetId, permanent });
+    
+    await notify({
+      userId: targetId,
+      type: 'moderation',
+      actorId: req.user.id,
+      targetType: 'user',
+      targetId,
+      data: { action: 'suspend', note: String(reason).trim().substring(0, 500) }
+    });
+    
+    res.status(201).json({
+      message: permanent ? '用户已被永久封禁' : `用户已被封禁${Number(durationDays)}天`,
+      suspension: await UserSuspension.findActive(targetId)
+    });
+  } catch (error) {
+    logger.error('封禁用户过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取用户的封禁记录
+ * @route   GET /api/users/:id/suspensions
+ * @access  Private/Moderator
+ */
+exports.getUserSuspensions = async (req, res, next) => {
+  try {
+    const targetId = parseInt(req.params.id);
+    logger.info('开始处理获取用户封禁记录请求', { targetId });
+    
+    const suspensions = await UserSuspension.listByUser(targetId);
+    
+    res.json({ userId: targetId, suspensions });
+  } catch (error) {
+    logger.error('获取用户封禁记录过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    解除用户所有生效中的封禁
+ * @route   DELETE /api/users/:id/suspensions
+ * @access  Private/Moderator
+ */
+exports.liftUserSuspension = async (req, res, next) => {
+  try {
+    const targetId = parseInt(req.params.id);
+    logger.info('开始处理解除用户封禁请求', { targetId, moderatorId: req.user.id });
+    
+    const count = await UserSuspension.lift(targetId, req.user.id);
+    
+    if (count === 0) {
+      logger.warn('解除封禁失败：用户没有生效中的封禁', { targetId });
+      return res.status(404).json({ message: '该用户没有生效中的封禁' });
+    }
+    
+    logger.info('用户封禁已解除', { targetId, count });
+    res.json({ message: '封禁已解除' });
+  } catch (error) {
+    logger.error('解除用户封禁过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取钱包封禁列表
+ * @route   GET /api/users/wallet-bans
+ * @access  Private/Moderator
+ */
+exports.getWalletBans = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    logger.info('开始处理获取钱包封禁列表请求', { page, limit });
+    
+    const result = await WalletBan.list({ page, limit });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('获取钱包封禁列表过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    封禁钱包地址（不能再用于登录、注册或关联账户）
+ * @route   POST /api/users/wallet-bans
+ * @access  Private/Moderator
+ */
+exports.banWallet = async (req, res, next) => {
+  try {
+    const { walletAddress, reason } = req.body;
+    logger.info('开始处理封禁钱包请求', { walletAddress, moderatorId: req.user.id });
+    
+    if (!walletAddress || !isValidWalletAddress(walletAddress)) {
+      logger.warn('封禁钱包失败：无效的钱包地址', { walletAddress });
+      return res.status(400).json({ message: '无效的Solana钱包地址格式' });
+    }
+    
+    if (!reason || !String(reason).trim()) {
+      logger.warn('封禁钱包失败：缺少封禁原因', { walletAddress });
+      return res.status(400).json({ message: '请提供封禁原因' });
+    }
+    
+    const owner = await User.findByWalletAddress(walletAddress);
+    
+    if (owner && ['moderator', 'admin'].includes(owner.role)) {
+      logger.warn('封禁钱包失败：钱包属于版主或管理员', { walletAddress, ownerId: owner.id });
+      return res.status(403).json({ message: '不能封禁版主或管理员的钱包' });
+    }
+    
+    const created = await WalletBan.ban(walletAddress, {
+      reason: String(reason).trim().substring(0, 500),
+      bannedBy: req.user.id
+    });
+    
+    if (!created) {
+      logger.warn('封禁钱包失败：钱包已被封禁', { walletAddress });
+      return res.status(400).json({ message: '该钱包已被封禁' });
+    }
+    
+    logger.info('钱包封禁成功', { walletAddress, ownerId: owner ? owner.id : null });
+    
+    // ownerId便于版主继续封禁关联的账户
+    res.status(201).json({
+      message: '钱包已封禁',
+      walletAddress,
+      ownerId: owner ? owner.id : null
+    });
+  } catch (error) {
+    logger.error('封禁钱包过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    解除钱包封禁
+ * @route   DELETE /api/users/wallet-bans/:walletAddress
+ * @access  Private/Moderator
+ */
+exports.unbanWallet = async (req, res, next) => {
+  try {
+    const { walletAddress } = req.params;
+    logger.info('开始处理解除钱包封禁请求', { walletAddress, moderatorId: req.user.id });
+    
+    const removed = await WalletBan.unban(walletAddress);
+    
+    if (!removed) {
+      logger.warn('解除钱包封禁失败：钱包未被封禁', { walletAddress });
+      return res.status(404).json({ message: '该钱包未被封禁' });
+    }
+    
+    logger.info('钱包封禁已解除', { walletAddress });
+    res.json({ message: '钱包封禁已解除' });
+  } catch (error) {
+    logger.error('解除钱包封禁过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取用户公开资料（按隐私设置过滤字段）
+ * @route   GET /api/users/:idOrUsername
+ * @access  Public
+ */
+exports.getPublicProfile = async (req, res, next) => {
+  try {
+    const { idOrUsername } = req.params;
+    logger.info('开始处理获取用户公开资料请求', { idOrUsername });
+    
+    const user = await User.findPublicProfile(idOrUsername);
+    
+    if (!user) {
+      logger.warn('获取公开资料失败：用户不存在', { idOrUsername });
+      return res.status(404).json({ message: '用户不存在' });
+    }
+    
+    const stats = await User.getActivityStats(user.id);
+    const tips = await Tip.getTotals({ recipientId: user.id });
+    
+    logger.info('用户公开资料获取成功', { userId: user.id, username: user.username });
+    
+    res.json({
+      ...serializeUser(user, req.user),
+      stats,
+      tips
+    });
+  } catch (error) {
+    logger.error('获取用户公开资料过程中发生错误', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    获取用户收到的打赏总额（仅统计链上已确认的打赏，按币种分组）
+ * @route   GET /api/users/:idOrUsername/tips
+ * @access  Public
+ */
+exports.getUserTips = async (req, res, next) => {
+  try {
+    const { idOrUsername } = req.params;
+    logger.info('开始处理获取用户打赏总额请求', { idOrUsername });
+    
+    const user = await User.findPublicProfile(idOrUsername);
+    
+    if (!user) {
+      logger.warn('获取用户打赏总额失败：用户不存在', { idOrUsername });
+      return res.status(404).json({ message: '用户不存在' });
+    }
+    
+    const tips = await Tip.getTotals({ recipientId: user.id });
+    
+    logger.info('用户打赏总额获取成功', { userId: user.id, count: tips.count });
+    
+    res.json({
+      userId: user.id,
+      username: user.username,
+      tips
+    });
+  } catch (error) {
+    logger.error('获取用户打赏总额过程中发生错误', error);
+    next(error);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Solana Actions跨域中间件
+ * Blink客户端可能运行在任意站点，Actions接口和actions.json需要允许所有来源，
+ * 并按规范返回Action版本和区块链标识头。其他API仍使用app.js中的全局CORS配置
+ */
+const { cluster } = require('../config/solana');
+const logger = require('../utils/logger');
+
+// 实现的Actions规范版本
+const ACTION_VERSION = '2.4';
+
+// CAIP-2格式的区块链标识（由所连接的Solana网络决定）
+const BLOCKCHAIN_IDS = {
+  'mainnet-beta': 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp',
+  devnet: 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1',
+  testnet: 'solana:4uhcVJyU9pJkvQyS88uRDiswHXSCkY3z'
+};
+
+const ACTIONS_CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Content-Encoding, Accept-Encoding, X-Accept-Action-Version, X-Accept-Blockchain-Ids',
+  'Access-Control-Expose-Headers': 'X-Action-Version, X-Blockchain-Ids',
+  'X-Action-Version': ACTION_VERSION
+};
+
+// 未知网络（如本地测试验证节点）没有公认的标识，不返回该头，避免客户端把交易当作主网交易
+if (BLOCKCHAIN_IDS[cluster]) {
+  ACTIONS_CORS_HEADERS['X-Blockchain-Ids'] = BLOCKCHAIN_IDS[cluster];
+} else {
+  logger.warn('未知的Solana网络，Actions响应中不返回X-Blockchain-Ids头', { cluster });
+}
+
+// 使用Actions跨域策略的路径
+const ACTIONS_PATHS = ['/actions.json', '/api/actions'];
+
+/**
+ * 判断请求路径是否属于Actions接口
+ * @param {String} path - 请求路径
+ * @returns {Boolean} 是否为Actions路径
+ */
+const isActionsPath = (path) => {
+  return ACTIONS_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+};
+
+/**
+ * Actions跨域中间件
+ * 为响应添加Actions规范要求的头，OPTIONS预检请求直接返回
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件函数
+ */
+const actionsCors = (req, res, next) => {
+  res.set(ACTIONS_CORS_HEADERS);
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  next();
+};
+
+module.exports = {
+  ACTION_VERSION,
+  isActionsPath,
+  actionsCors
+};
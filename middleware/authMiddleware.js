@@ -5,12 +5,18 @@
  */
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const UserSuspension = require('../models/UserSuspension');
 const logger = require('../utils/logger');
 
+// 被封禁用户仍可使用的只读请求方法
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
  * 保护路由中间件
  * 验证请求头中的Authorization令牌
- * 如果令牌有效，将用户信息添加到req.user
+ * 如果令牌有效且所属会话未被撤销，将用户信息添加到req.user，会话ID添加到req.sessionId；
+ * 被封禁的用户只能发起只读请求，写操作返回403（使用allowSuspended标记的路由除外）
  * @param {Object} req - 请求对象
  * @param {Object} res - 响应对象
  * @param {Function} next - 下一个中间件函数
@@ -35,6 +41,14 @@ const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       logger.info('JWT令牌验证成功', { userId: decoded.id });
 
+      // 检查令牌所属会话是否仍然有效（退出登录、修改密码等操作会撤销会话）
+      const session = decoded.sid ? await UserSession.findActiveById(decoded.sid) : null;
+
+      if (!session || session.user_id !== decoded.id) {
+        logger.warn('身份验证失败：会话已失效', { userId: decoded.id, sessionId: decoded.sid });
+        return res.status(401).json({ message: '未授权，会话已失效，请重新登录' });
+      }
+
       // 查找用户并添加到请求对象中 - 使用MySQL方法
       const user = await User.findById(decoded.id);
 
@@ -43,8 +57,28 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: '未授权，用户不存在' });
       }
       
-      // 将user对象添加到req中
+      // 将user对象和当前会话ID添加到req中
       req.user = user;
+      req.sessionId = session.id;
+      req.suspension = await UserSuspension.findActive(user.id);
+      await UserSession.touch(session.id);
+
+      if (req.suspension && !READ_METHODS.includes(req.method) && !req.allowSuspended) {
+        logger.warn('身份验证通过但账号已被封禁，拒绝写操作', {
+          userId: user.id,
+          suspensionId: req.suspension.id,
+          path: req.originalUrl
+        });
+        return res.status(403).json({
+          message: req.suspension.permanent ? '您的账号已被永久封禁，只能浏览内容' : '您的账号已被封禁，封禁期间只能浏览内容',
+          code: 'ACCOUNT_SUSPENDED',
+          suspension: {
+            reason: req.suspension.reason,
+            permanent: req.suspension.permanent,
+            expiresAt: req.suspension.expiresAt
+          }
+        });
+      }
 
       logger.info('用户已通过身份验证', { 
         userId: user.id, 
@@ -68,4 +102,158 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+/**
+ * 允许被封禁用户访问的路由标记
+ * 放在protect之前，用于退出登录、撤销会话等被封禁用户也应能执行的写操作
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件函数
+ * @example router.post('/logout', allowSuspended, protect, logoutUser)
+ */
+const allowSuspended = (req, res, next) => {
+  req.allowSuspended = true;
+  next();
+};
+
+/**
+ * 可选身份验证中间件
+ * 用于公开接口：携带有效令牌时设置req.user（如用于按隐私设置展示字段），
+ * 未携带或令牌无效时按匿名用户处理，不会拒绝请求
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件函数
+ */
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid ? await UserSession.findActiveById(decoded.sid) : null;
+
+    if (session && session.user_id === decoded.id) {
+      const user = await User.findById(decoded.id);
+
+      if (user) {
+        req.user = user;
+        req.sessionId = session.id;
+      }
+    }
+  } catch (error) {
+    logger.info('可选身份验证：令牌无效，按匿名用户处理', { error: error.message });
+  }
+
+  next();
+};
+
+/**
+ * 从URL中移除access_token参数
+ * @param {String} url - 请求URL
+ * @returns {String} 移除令牌后的URL
+ */
+const stripAccessToken = (url) => {
+  return url.replace(/([?&])access_token=[^&]*&?/, '$1').replace(/[?&]$/, '');
+};
+
+/**
+ * 查询参数令牌中间件
+ * 浏览器的EventSource无法设置请求头，实时推送连接可以通过 ?access_token= 传递令牌。
+ * 放在protect之前，把令牌转为Authorization请求头，并从URL中移除，避免后续日志记录令牌
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件函数
+ * @example router.get('/stream', acceptQueryToken, protect, stream)
+ */
+const acceptQueryToken = (req, res, next) => {
+  const token = req.query.access_token;
+
+  if (token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  req.url = stripAccessToken(req.url);
+  req.originalUrl = stripAccessToken(req.originalUrl);
+  next();
+};
+
+/**
+ * 角色授权中间件
+ * 必须在protect之后使用，只允许指定角色的用户访问
+ * @param {...String} roles - 允许访问的角色列表
+ * @returns {Function} Express中间件函数
+ * @example router.post('/categories', protect, authorize('admin'), createCategory)
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      logger.warn('角色授权失败：用户未通过身份验证', { path: req.originalUrl });
+      return res.status(401).json({ message: '未授权，请先登录' });
+    }
+
+    const role = req.user.role || 'member';
+
+    if (!roles.includes(role)) {
+      logger.warn('角色授权失败：权限不足', {
+        userId: req.user.id,
+        role,
+        requiredRoles: roles,
+        path: req.originalUrl
+      });
+      return res.status(403).json({ message: '禁止访问，权限不足' });
+    }
+
+    logger.info('角色授权通过', { userId: req.user.id, role });
+    next();
+  };
+};
+
+/**
+ * 发帖资格中间件
+ * 必须在protect之后使用，根据FORUM_POST_REQUIREMENT配置限制发帖和评论：
+ * - none: 不限制（默认）
+ * - email: 需要已验证邮箱
+ * - wallet: 需要已验证钱包（钱包地址只能通过签名验证后关联）
+ * - email_or_wallet: 已验证邮箱或钱包任一即可
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件函数
+ */
+const requireVerifiedAccount = (req, res, next) => {
+  let requirement = process.env.FORUM_POST_REQUIREMENT || 'none';
+  const emailVerified = !!req.user.email_verified;
+  const walletVerified = !!req.user.wallet_address;
+
+  const checks = {
+    none: true,
+    email: emailVerified,
+    wallet: walletVerified,
+    email_or_wallet: emailVerified || walletVerified
+  };
+
+  if (!(requirement in checks)) {
+    logger.error('FORUM_POST_REQUIREMENT配置无效，按email_or_wallet处理', { requirement });
+    requirement = 'email_or_wallet';
+  }
+
+  if (!checks[requirement]) {
+    const messages = {
+      email: '请先验证邮箱后再发帖',
+      wallet: '请先关联钱包后再发帖',
+      email_or_wallet: '请先验证邮箱或关联钱包后再发帖'
+    };
+
+    logger.warn('发帖资格检查失败', {
+      userId: req.user.id,
+      requirement,
+      emailVerified,
+      walletVerified
+    });
+    return res.status(403).json({ message: messages[requirement], requirement });
+  }
+
+  next();
+};
+
+module.exports = { protect, allowSuspended, optionalAuth, acceptQueryToken, stripAccessToken, authorize, requireVerifiedAccount };
\ No newline at end of file
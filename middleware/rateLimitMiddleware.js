@@ -0,0 +1,257 @@
+/**
+ * 认证限流中间件
+ * 按IP和账户（邮箱、用户ID）分别计数，超过阈值后按指数退避锁定并返回429
+ */
+const jwt = require('jsonwebtoken');
+const AuthThrottle = require('../models/AuthThrottle');
+const logger = require('../utils/logger');
+
+/**
+ * 返回429响应
+ * @param {Object} res - 响应对象
+ * @param {Number} retryAfter - 剩余锁定秒数
+ */
+const sendTooManyRequests = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: `尝试次数过多，请在${retryAfter}秒后重试`,
+    retryAfter
+  });
+};
+
+/**
+ * 创建限流中间件
+ * @param {Object} options - 限流配置
+ * @param {String} options.scope - 限流范围名称，如 login
+ * @param {String} [options.mode] - 计数方式：request（每次请求都计数）或 failure（仅失败响应计数，处理前预先计数，未失败时退回）
+ * @param {Array<Number>} [options.failureStatuses] - failure模式下视为失败的响应状态码
+ * @param {Array<Object>} options.keys - 限流键定义
+ * @param {String} options.keys[].name - 键名称，如 ip、account
+ * @param {Function} options.keys[].getKey - 从请求中取出键值，返回空值时跳过该键
+ * @param {Number} options.keys[].maxAttempts - 窗口内允许的最大尝试次数
+ * @param {Number} options.keys[].windowSeconds - 计数窗口（秒）
+ * @param {Boolean} [options.keys[].resetOnSuccess] - failure模式下成功响应后是否清零
+ * @returns {Function} Express中间件函数
+ */
+const rateLimit = ({ scope, mode = 'request', failureStatuses = [401], keys }) => {
+  return async (req, res, next) => {
+    try {
+      const resolvedKeys = keys
+        .map(key => ({ ...key, scope: `${scope}:${key.name}`, value: key.getKey(req) }))
+        .filter(key => key.value);
+
+      // 任一键处于锁定状态都直接拒绝
+      for (const key of resolvedKeys) {
+        const retryAfter = await AuthThrottle.getRetryAfter(key.scope, key.value);
+        if (retryAfter > 0) {
+          logger.warn('请求被限流拒绝：处于锁定状态', { scope: key.scope, key: key.value, ip: req.ip, retryAfter });
+          return sendTooManyRequests(res, retryAfter);
+        }
+      }
+
+      // 请求进入处理前先记录一次尝试，并发请求也会依次计数，不会同时通过锁定检查
+      for (const key of resolvedKeys) {
+        const result = await AuthThrottle.hit(key.scope, key.value, {
+          maxAttempts: key.maxAttempts,
+          windowSeconds: key.windowSeconds,
+          ip: req.ip
+        });
+        if (result.locked) {
+          return sendTooManyRequests(res, result.retryAfter);
+        }
+      }
+
+      if (mode === 'request') {
+        return next();
+      }
+
+      // failure模式：失败响应保留预先记录的尝试，其他响应退回，成功后按配置清零
+      res.on('finish', () => {
+        if (failureStatuses.includes(res.statusCode)) {
+          return;
+        }
+
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const pending = Promise.all(resolvedKeys.map(key => (
+          succeeded && key.resetOnSuccess
+            ? AuthThrottle.reset(key.scope, key.value)
+            : AuthThrottle.release(key.scope, key.value)
+        )));
+
+        pending.catch(error => {
+          logger.error('更新限流计数失败', { scope, error: error.message });
+        });
+      });
+
+      next();
+    } catch (error) {
+      logger.error('限流检查失败', error);
+      next(error);
+    }
+  };
+};
+
+/**
+ * 取请求IP作为限流键
+ * @param {Object} req - 请求对象
+ * @returns {String} IP地址
+ */
+const byIp = (req) => req.ip;
+
+/**
+ * 取请求体中的邮箱作为限流键（忽略大小写和首尾空格）
+ * @param {Object} req - 请求对象
+ * @returns {String|null} 规范化后的邮箱
+ */
+const byEmail = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase().substring(0, 191) : null;
+};
+
+/**
+ * 取两步验证挑战令牌中的用户ID作为限流键
+ * 只有签名有效且用途正确的令牌才按用户计数，避免伪造令牌锁定他人账户；
+ * 令牌无效时返回空值，仅按IP计数
+ * @param {Object} req - 请求对象
+ * @returns {String|null} 用户ID
+ */
+const byChallengeUser = (req) => {
+  if (!req.body || typeof req.body.challengeToken !== 'string') {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' && decoded.id ? `user:${decoded.id}` : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 取当前登录用户的ID作为限流键（需放在protect之后）
+ * @param {Object} req - 请求对象
+ * @returns {String|null} 用户ID
+ */
+const byAuthenticatedUser = (req) => {
+  return req.user && req.user.id ? `user:${req.user.id}` : null;
+};
+
+/**
+ * 登录限流：仅密码错误（401）计数，登录成功后清零账户计数
+ */
+const loginLimiter = rateLimit({
+  scope: 'login',
+  mode: 'failure',
+  failureStatuses: [401],
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 20, windowSeconds: 15 * 60 },
+    { name: 'account', getKey: byEmail, maxAttempts: 5, windowSeconds: 15 * 60, resetOnSuccess: true }
+  ]
+});
+
+/**
+ * 两步验证登录限流：验证码错误（401）时计数，防止暴力猜测6位验证码
+ */
+const twoFactorLimiter = rateLimit({
+  scope: 'login_2fa',
+  mode: 'failure',
+  failureStatuses: [401],
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 20, windowSeconds: 15 * 60 },
+    { name: 'account', getKey: byChallengeUser, maxAttempts: 5, windowSeconds: 15 * 60, resetOnSuccess: true }
+  ]
+});
+
+/**
+ * 两步验证管理限流：关闭两步验证、重新生成恢复码时验证码错误（400）计数
+ */
+const twoFactorManageLimiter = rateLimit({
+  scope: 'manage_2fa',
+  mode: 'failure',
+  failureStatuses: [400],
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 20, windowSeconds: 15 * 60 },
+    { name: 'account', getKey: byAuthenticatedUser, maxAttempts: 5, windowSeconds: 15 * 60, resetOnSuccess: true }
+  ]
+});
+
+/**
+ * 钱包登录挑战限流：每次请求都计数。
+ * 钱包地址来自未认证的请求体，只按IP计数，避免他人用受害者的钱包地址把其锁定
+ */
+const walletNonceLimiter = rateLimit({
+  scope: 'wallet_nonce',
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 30, windowSeconds: 5 * 60 }
+  ]
+});
+
+/**
+ * 钱包签名登录限流：签名无效（401）时计数
+ */
+const walletLoginLimiter = rateLimit({
+  scope: 'wallet_login',
+  mode: 'failure',
+  failureStatuses: [401],
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 20, windowSeconds: 15 * 60 }
+  ]
+});
+
+/**
+ * 忘记密码限流：每次请求都计数，只按IP计数。
+ * 同一邮箱的邮件数量由控制器单独限制，超过后静默跳过发送，不会锁定该邮箱
+ */
+const forgotPasswordLimiter = rateLimit({
+  scope: 'password_forgot',
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 10, windowSeconds: 15 * 60 }
+  ]
+});
+
+/**
+ * 重置密码限流：令牌无效（400）时计数，防止猜测令牌
+ */
+const resetPasswordLimiter = rateLimit({
+  scope: 'password_reset',
+  mode: 'failure',
+  failureStatuses: [400],
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 10, windowSeconds: 15 * 60 }
+  ]
+});
+
+/**
+ * 打赏交易限流：每次生成交易都会写入一条待确认打赏记录，因此每次请求都计数。
+ * 付款账户来自未认证的请求体，只按IP计数，避免他人用受害者的钱包地址把其锁定
+ */
+const tipActionLimiter = rateLimit({
+  scope: 'tip_action',
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 60, windowSeconds: 5 * 60 }
+  ]
+});
+
+/**
+ * 打赏回调限流：每次回调都会查询链上交易，只按IP计数
+ */
+const tipCallbackLimiter = rateLimit({
+  scope: 'tip_callback',
+  keys: [
+    { name: 'ip', getKey: byIp, maxAttempts: 60, windowSeconds: 5 * 60 }
+  ]
+});
+
+module.exports = {
+  rateLimit,
+  loginLimiter,
+  twoFactorLimiter,
+  twoFactorManageLimiter,
+  walletNonceLimiter,
+  walletLoginLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter,
+  tipActionLimiter,
+  tipCallbackLimiter
+};
@@ -0,0 +1,238 @@
+/**
+ * 认证限流模型
+ * 记录登录、钱包挑战、密码重置等接口的尝试次数，超过阈值后按指数退避锁定，
+ * 计数保存在数据库中，多个Node进程共享同一份状态
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 首次锁定时长（秒），之后每次锁定翻倍
+const LOCK_BASE_SECONDS = parseInt(process.env.AUTH_LOCK_BASE_SECONDS) || 60;
+
+// 最长锁定时长（秒）
+const LOCK_MAX_SECONDS = parseInt(process.env.AUTH_LOCK_MAX_SECONDS) || 3600;
+
+class AuthThrottle {
+  /**
+   * 获取键的剩余锁定时间
+   * @param {String} scope - 限流范围，如 login:ip
+   * @param {String} key - 限流键，如IP地址或邮箱
+   * @returns {Promise<Number>} 剩余锁定秒数，未锁定时为0
+   */
+  static async getRetryAfter(scope, key) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT GREATEST(0, TIMESTAMPDIFF(SECOND, NOW(), locked_until)) AS retry_after
+           FROM auth_throttles
+           WHERE scope = ? AND throttle_key = ? AND locked_until > NOW()`,
+          [scope, key]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows.length > 0 ? Math.max(1, rows[0].retry_after) : 0;
+    } catch (error) {
+      logger.error('查询限流状态失败', { scope, key, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录一次尝试
+   * 窗口内尝试次数超过上限时锁定该键，锁定时长为 LOCK_BASE_SECONDS * 2^(锁定次数-1)，
+   * 并写入锁定审计记录
+   * @param {String} scope - 限流范围
+   * @param {String} key - 限流键
+   * @param {Object} options - 限流参数
+   * @param {Number} options.maxAttempts - 窗口内允许的最大尝试次数
+   * @param {Number} options.windowSeconds - 计数窗口（秒）
+   * @param {String} [options.ip] - 请求IP，用于审计
+   * @returns {Promise<Object>} 包含是否被锁定及剩余锁定秒数的对象
+   */
+  static async hit(scope, key, { maxAttempts, windowSeconds, ip = '' }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `INSERT IGNORE INTO auth_throttles (scope, throttle_key, attempts, window_started_at)
+         VALUES (?, ?, 0, NOW())`,
+        [scope, key]
+      );
+
+      const [rows] = await connection.execute(
+        `SELECT attempts, lockouts,
+         window_started_at < DATE_SUB(NOW(), INTERVAL ? SECOND) AS window_expired,
+         locked_until IS NOT NULL AND locked_until < DATE_SUB(NOW(), INTERVAL 1 DAY) AS lock_stale
+         FROM auth_throttles
+         WHERE scope = ? AND throttle_key = ?
+         FOR UPDATE`,
+        [windowSeconds, scope, key]
+      );
+
+      const row = rows[0];
+      // 窗口过期后重新计数；一天内没有再被锁定则清空退避等级
+      const attempts = (row.window_expired ? 0 : row.attempts) + 1;
+      const lockouts = row.lock_stale ? 0 : row.lockouts;
+
+      if (attempts <= maxAttempts) {
+        await connection.execute(
+          `UPDATE auth_throttles
+           SET attempts = ?, lockouts = ?,
+               window_started_at = IF(?, NOW(), window_started_at)
+           WHERE scope = ? AND throttle_key = ?`,
+          [attempts, lockouts, row.window_expired ? 1 : 0, scope, key]
+        );
+
+        await connection.commit();
+        return { locked: false, retryAfter: 0, attempts };
+      }
+
+      const lockSeconds = Math.min(LOCK_BASE_SECONDS * Math.pow(2, lockouts), LOCK_MAX_SECONDS);
+
+      await connection.execute(
+        `UPDATE auth_throttles
+         SET attempts = 0, lockouts = ?, window_started_at = NOW(),
+             locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE scope = ? AND throttle_key = ?`,
+        [lockouts + 1, lockSeconds, scope, key]
+      );
+
+      await connection.execute(
+        `INSERT INTO auth_lockouts (scope, throttle_key, ip, attempts, lock_seconds, locked_until, created_at)
+         VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), NOW())`,
+        [scope, key, ip, attempts, lockSeconds, lockSeconds]
+      );
+
+      await connection.commit();
+
+      logger.warn('尝试次数过多，已锁定', { scope, key, ip, attempts, lockSeconds });
+      return { locked: true, retryAfter: lockSeconds, attempts };
+    } catch (error) {
+      await connection.rollback();
+      logger.error('记录限流尝试失败', { scope, key, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 退回一次预先记录的尝试（请求最终没有失败时调用）
+   * 不会解除正在生效的锁定
+   * @param {String} scope - 限流范围
+   * @param {String} key - 限流键
+   */
+  static async release(scope, key) {
+    try {
+      await Promise.race([
+        pool.execute(
+          `UPDATE auth_throttles SET attempts = GREATEST(attempts - 1, 0)
+           WHERE scope = ? AND throttle_key = ?`,
+          [scope, key]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+    } catch (error) {
+      logger.error('退回限流计数失败', { scope, key, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 清除键的尝试计数（如登录成功后）
+   * 不会解除正在生效的锁定
+   * @param {String} scope - 限流范围
+   * @param {String} key - 限流键
+   */
+  static async reset(scope, key) {
+    try {
+      await Promise.race([
+        pool.execute(
+          `UPDATE auth_throttles SET attempts = 0, lockouts = 0
+           WHERE scope = ? AND throttle_key = ?`,
+          [scope, key]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+    } catch (error) {
+      logger.error('清除限流计数失败', { scope, key, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取锁定审计记录
+   * @param {Object} options - 查询选项
+   * @param {Number} options.page - 页码
+   * @param {Number} options.limit - 每页数量
+   * @param {String} [options.scope] - 按限流范围过滤
+   * @returns {Promise<Object>} 包含锁定记录和分页信息的对象
+   */
+  static async getLockouts({ page = 1, limit = 20, scope } = {}) {
+    try {
+      const pageInt = parseInt(page) || 1;
+      const limitInt = parseInt(limit) || 20;
+      const offset = (pageInt - 1) * limitInt;
+      const whereClause = scope ? 'WHERE scope = ?' : '';
+      const params = scope ? [scope] : [];
+
+      logger.info('尝试获取锁定审计记录', { page: pageInt, limit: limitInt, scope });
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT * FROM auth_lockouts ${whereClause}
+           ORDER BY created_at DESC
+           LIMIT ${limitInt} OFFSET ${offset}`,
+          params
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const [countRows] = await Promise.race([
+        pool.execute(
+          `SELECT COUNT(*) AS total FROM auth_lockouts ${whereClause}`,
+          params
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const totalCount = countRows[0].total;
+
+      return {
+        lockouts: rows.map(lockout => ({
+          id: lockout.id,
+          scope: lockout.scope,
+          key: lockout.throttle_key,
+          ip: lockout.ip,
+          attempts: lockout.attempts,
+          lockSeconds: lockout.lock_seconds,
+          lockedUntil: lockout.locked_until,
+          createdAt: lockout.created_at
+        })),
+        totalCount,
+        pageCount: Math.ceil(totalCount / limitInt)
+      };
+    } catch (error) {
+      logger.error('获取锁定审计记录失败', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuthThrottle;
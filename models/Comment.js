@@ -4,11 +4,50 @@
  */
 const { pool } = require('../config/database');
 const logger = require('../utils/logger');
+const Mention = require('./Mention');
+const { renderMarkdown } = require('../utils/markdown');
 
 // 设置查询超时时间（毫秒）
 const QUERY_TIMEOUT = 15000;
 
+// 已删除评论的占位内容
+const DELETED_PLACEHOLDER = '[已删除]';
+const DELETED_PLACEHOLDER_HTML = renderMarkdown(DELETED_PLACEHOLDER);
+
+/**
+ * 评论可见条件：未删除，或已删除/被隐藏但仍有回复（以占位形式展示，保持回复串完整）
+ * @param {String} alias - 评论表别名
+ * @returns {String} SQL条件
+ */
+const visibleCondition = (alias) =>
+  `(${alias}.status = 'active' OR EXISTS (SELECT 1 FROM comments child WHERE child.parent_id = ${alias}.id))`;
+
 class Comment {
+  /**
+   * 按有效评论重新计算话题的评论数
+   * 评论被删除、隐藏或恢复后调用
+   * @param {Number} topicId - 话题ID
+   * @param {Object} [connection] - 数据库连接，在事务中调用时传入
+   */
+  static async updateTopicCommentsCount(topicId, connection = pool) {
+    try {
+      await Promise.race([
+        connection.execute(
+          `UPDATE topics SET comments_count = 
+           (SELECT COUNT(*) FROM comments WHERE topic_id = ? AND status = 'active') 
+           WHERE id = ?`,
+          [topicId, topicId]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+    } catch (error) {
+      logger.error('更新话题评论数失败', { topicId, error });
+      throw error;
+    }
+  }
+
   /**
    * 创建新评论
    * @param {Object} commentData - 评论数据
@@ -23,9 +62,9 @@ class Comment {
       const [result] = await Promise.race([
         pool.execute(
           `INSERT INTO comments 
-           (topic_id, author_id, content, parent_id, created_at) 
-           VALUES (?, ?, ?, ?, NOW())`,
-          [topicId, authorId, content, parentId]
+           (topic_id, author_id, content, content_html, parent_id, created_at) 
+           VALUES (?, ?, ?, ?, ?, NOW())`,
+          [topicId, authorId, content, renderMarkdown(content), parentId]
         ),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
@@ -33,17 +72,7 @@ class Comment {
       ]);
       
       // 更新话题评论计数
-      await Promise.race([
-        pool.execute(
-          `UPDATE topics SET comments_count = 
-           (SELECT COUNT(*) FROM comments WHERE topic_id = ? AND status = 'active') 
-           WHERE id = ?`,
-          [topicId, topicId]
-        ),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
-        )
-      ]);
+      await this.updateTopicCommentsCount(topicId);
       
       logger.info('评论创建成功', { commentId: result.insertId });
       return this.findById(result.insertId);
@@ -56,18 +85,20 @@ class Comment {
   /**
    * 通过ID查找评论
    * @param {Number} id - 评论ID
+   * @param {Object} [options] - 查询选项
+   * @param {Boolean} [options.includeDeleted] - 是否包含已删除的评论（用于加载已删除评论下的回复）
    * @returns {Promise<Object|null>} 评论对象或null
    */
-  static async findById(id) {
+  static async findById(id, { includeDeleted = false } = {}) {
     try {
-      logger.info('尝试通过ID查找评论', { commentId: id });
+      logger.info('尝试通过ID查找评论', { commentId: id, includeDeleted });
       
       const [rows] = await Promise.race([
         pool.execute(
           `SELECT c.*, 
            (SELECT COUNT(*) FROM comment_likes WHERE comment_id = c.id) as likes_count
            FROM comments c
-           WHERE c.id = ? AND c.status = 'active'`,
+           WHERE c.id = ? ${includeDeleted ? '' : "AND c.status = 'active'"}`,
           [id]
         ),
         new Promise((_, reject) => 
@@ -90,8 +121,11 @@ class Comment {
 
   /**
    * 获取话题评论列表
+   * 不传parentId时返回顶层评论（最新的在前），传入parentId时返回该评论的直接回复（最早的在前）。
+   * 已删除但仍有回复的评论会以占位形式返回，避免回复串断开
    * @param {Object} options - 查询选项
    * @param {Number} options.topicId - 话题ID
+   * @param {Number} [options.parentId] - 父评论ID（可选，用于分页加载回复）
    * @param {Number} options.page - 页码
    * @param {Number} options.limit - 每页数量
    * @param {Number} options.userId - 当前用户ID（可选，用于检查是否点赞）
@@ -99,26 +133,35 @@ class Comment {
    */
   static async getList(options) {
     try {
-      const { topicId, page = 1, limit = 10, userId } = options;
+      const { topicId, parentId, page = 1, limit = 10, userId } = options;
       const pageInt = parseInt(page);
       const limitInt = parseInt(limit); 
       const offset = (pageInt - 1) * limitInt;
       
-      logger.info('尝试获取话题评论列表', { topicId, page: pageInt, limit: limitInt, userId });
+      logger.info('尝试获取话题评论列表', { topicId, parentId, page: pageInt, limit: limitInt, userId });
       
       // Use arrays to build parts
       let selectParts = [
         `c.*`, 
         `u.username as author_username`, 
         `u.avatar as author_avatar`,
-        `(SELECT COUNT(*) FROM comment_likes WHERE comment_id = c.id) as likes_count`
+        `(SELECT COUNT(*) FROM comment_likes WHERE comment_id = c.id) as likes_count`,
+        `(SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id AND ${visibleCondition('r')}) as replies_count`
       ];
       const joinClause = 'JOIN users u ON c.author_id = u.id';
-      let whereParts = ['c.topic_id = ?', 'c.status = \'active\''];
+      let whereParts = ['c.topic_id = ?', visibleCondition('c')];
       // Ensure topicId is treated as a number for the query parameter
       const topicIdNum = Number(topicId); 
       let params = [topicIdNum]; // Start with topicId (as number) for WHERE
       const countParams = [topicIdNum]; // Count also needs topicId as number
+      
+      if (parentId) {
+        whereParts.push('c.parent_id = ?');
+        params.push(Number(parentId));
+        countParams.push(Number(parentId));
+      } else {
+        whereParts.push('c.parent_id IS NULL');
+      }
 
       // Add isLiked SELECT and its parameter *together*
       if (userId) {
@@ -129,7 +172,8 @@ class Comment {
       // Construct clauses
       const selectClause = `SELECT ${selectParts.join(', ')}`;
       const whereClause = `WHERE ${whereParts.join(' AND ')}`;
-      const orderByClause = ' ORDER BY c.created_at DESC';
+      // 顶层评论最新的在前，回复按时间顺序展示
+      const orderByClause = parentId ? ' ORDER BY c.created_at ASC, c.id ASC' : ' ORDER BY c.created_at DESC';
       const limitClause = ` LIMIT ${limitInt} OFFSET ${offset}`;
 
       // --- Build Final Queries --- 
@@ -182,8 +226,32 @@ class Comment {
           page: pageInt
         });
         
+        const mentions = await Mention.getForSources('comment', rows.map(comment => comment.id));
+        
         // Process results
         const comments = rows.map(comment => {
+          // 已删除或被隐藏的评论只保留位置和回复数，不返回内容和作者
+          if (comment.status !== 'active') {
+            return {
+              id: comment.id,
+              topicId: comment.topic_id,
+              authorId: null,
+              authorName: '',
+              authorAvatar: '',
+              content: DELETED_PLACEHOLDER,
+              contentHtml: DELETED_PLACEHOLDER_HTML,
+              parentId: comment.parent_id,
+              status: comment.status,
+              isDeleted: true,
+              mentions: [],
+              likesCount: 0,
+              repliesCount: comment.replies_count || 0,
+              createdAt: comment.created_at,
+              updatedAt: comment.updated_at,
+              isLiked: false
+            };
+          }
+          
           const formattedComment = {
             id: comment.id,
             topicId: comment.topic_id,
@@ -191,9 +259,15 @@ class Comment {
             authorName: comment.author_username,
             authorAvatar: comment.author_avatar,
             content: comment.content,
+            contentHtml: comment.content_html ?? renderMarkdown(comment.content),
             parentId: comment.parent_id,
             status: comment.status,
+            isDeleted: false,
+            mentions: mentions.get(comment.id) || [],
             likesCount: comment.likes_count || 0,
+            repliesCount: comment.replies_count || 0,
+            edited: !!comment.edited_at,
+            editedAt: comment.edited_at,
             createdAt: comment.created_at,
             updatedAt: comment.updated_at,
             isLiked: userId ? (comment.isLikedByCurrentUser === 1) : false
@@ -228,6 +302,97 @@ class Comment {
     }
   }
 
+  /**
+   * 编辑评论内容
+   * 旧内容会先保存到comment_revisions表，再更新评论并记录编辑时间
+   * @param {Number} id - 评论ID
+   * @param {String} content - 新内容
+   * @param {Number} editorId - 执行编辑的用户ID
+   * @returns {Promise<Object|null>} 更新后的评论，评论不存在或已删除时返回null
+   */
+  static async update(id, content, editorId) {
+    const connection = await pool.getConnection();
+    
+    try {
+      logger.info('尝试编辑评论', { commentId: id, editorId });
+      
+      await connection.beginTransaction();
+      
+      const [rows] = await connection.execute(
+        `SELECT content FROM comments WHERE id = ? AND status = 'active' FOR UPDATE`,
+        [id]
+      );
+      
+      if (rows.length === 0) {
+        await connection.rollback();
+        logger.warn('编辑评论失败：评论不存在或已删除', { commentId: id });
+        return null;
+      }
+      
+      // 内容没有变化时不产生新版本
+      if (rows[0].content !== content) {
+        await connection.execute(
+          `INSERT INTO comment_revisions (comment_id, content, edited_by, created_at) VALUES (?, ?, ?, NOW())`,
+          [id, rows[0].content, editorId]
+        );
+        
+        await connection.execute(
+          `UPDATE comments SET content = ?, content_html = ?, edited_at = NOW() WHERE id = ?`,
+          [content, renderMarkdown(content), id]
+        );
+      }
+      
+      await connection.commit();
+      
+      logger.info('评论编辑成功', { commentId: id, editorId });
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      logger.error('编辑评论失败', { commentId: id, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取评论的历史版本（最新的在前）
+   * @param {Number} id - 评论ID
+   * @returns {Promise<Array>} 历史版本列表
+   */
+  static async getRevisions(id) {
+    try {
+      logger.info('尝试获取评论历史版本', { commentId: id });
+      
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT r.id, r.content, r.edited_by, u.username as editor_username, r.created_at
+           FROM comment_revisions r
+           LEFT JOIN users u ON r.edited_by = u.id
+           WHERE r.comment_id = ?
+           ORDER BY r.created_at DESC, r.id DESC`,
+          [id]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      logger.info('成功获取评论历史版本', { commentId: id, count: rows.length });
+      
+      return rows.map(revision => ({
+        id: revision.id,
+        content: revision.content,
+        editedBy: revision.edited_by,
+        editorName: revision.editor_username || '',
+        replacedAt: revision.created_at
+      }));
+    } catch (error) {
+      logger.error('获取评论历史版本失败', { commentId: id, error });
+      throw error;
+    }
+  }
+
   /**
    * 删除评论（标记为删除）
    * @param {Number} id - 评论ID
@@ -267,17 +432,7 @@ class Comment {
       
       // 更新话题评论计数
       if (result.affectedRows > 0) {
-        await Promise.race([
-          pool.execute(
-            `UPDATE topics SET comments_count = 
-             (SELECT COUNT(*) FROM comments WHERE topic_id = ? AND status = 'active') 
-             WHERE id = ?`,
-            [topicId, topicId]
-          ),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
-          )
-        ]);
+        await this.updateTopicCommentsCount(topicId);
       }
       
       logger.info('评论删除成功', { commentId: id, affected: result.affectedRows });
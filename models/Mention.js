@@ -0,0 +1,133 @@
+/**
+ * 提及模型
+ * 保存话题和评论正文中 @用户 的记录，供客户端生成链接和发送提及通知
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+/**
+ * 解析JSON列（驱动可能已解析为对象，也可能返回字符串）
+ * @param {*} value - 列值
+ * @returns {Array} 解析后的数组
+ */
+const parseOffsets = (value) => {
+  if (typeof value !== 'string') {
+    return value || [];
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+class Mention {
+  /**
+   * 用最新解析结果替换内容的提及记录
+   * @param {String} sourceType - 内容类型(topic/comment)
+   * @param {Number} sourceId - 内容ID
+   * @param {Array} mentions - resolveMentions的结果
+   * @param {Number} mentionedBy - 内容作者ID
+   * @returns {Promise<Array>} 本次新增的被提及用户ID（之前未被该内容提及过）
+   */
+  static async sync(sourceType, sourceId, mentions, mentionedBy) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试同步提及记录', { sourceType, sourceId, count: mentions.length });
+
+      await connection.beginTransaction();
+
+      const [existingRows] = await connection.execute(
+        `SELECT user_id FROM mentions WHERE source_type = ? AND source_id = ? FOR UPDATE`,
+        [sourceType, sourceId]
+      );
+
+      const existingIds = existingRows.map(row => row.user_id);
+      const currentIds = mentions.map(mention => mention.userId);
+
+      const removedIds = existingIds.filter(id => !currentIds.includes(id));
+      if (removedIds.length > 0) {
+        await connection.query(
+          `DELETE FROM mentions WHERE source_type = ? AND source_id = ? AND user_id IN (?)`,
+          [sourceType, sourceId, removedIds]
+        );
+      }
+
+      for (const mention of mentions) {
+        await connection.execute(
+          `INSERT INTO mentions (source_type, source_id, user_id, username, offsets, mentioned_by, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, NOW())
+           ON DUPLICATE KEY UPDATE username = VALUES(username), offsets = VALUES(offsets)`,
+          [sourceType, sourceId, mention.userId, mention.username, JSON.stringify(mention.offsets), mentionedBy]
+        );
+      }
+
+      await connection.commit();
+
+      const addedIds = currentIds.filter(id => !existingIds.includes(id));
+      logger.info('提及记录同步成功', { sourceType, sourceId, addedIds, removedIds });
+      return addedIds;
+    } catch (error) {
+      await connection.rollback();
+      logger.error('同步提及记录失败', { sourceType, sourceId, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 批量获取内容的提及信息
+   * @param {String} sourceType - 内容类型(topic/comment)
+   * @param {Array<Number>} sourceIds - 内容ID列表
+   * @returns {Promise<Map>} 内容ID到提及列表的映射，每项为 { userId, username, offset, length }，按位置排序
+   */
+  static async getForSources(sourceType, sourceIds) {
+    const result = new Map();
+
+    if (!sourceIds || sourceIds.length === 0) {
+      return result;
+    }
+
+    try {
+      const [rows] = await Promise.race([
+        pool.query(
+          `SELECT source_id, user_id, username, offsets FROM mentions
+           WHERE source_type = ? AND source_id IN (?)`,
+          [sourceType, sourceIds]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      rows.forEach(row => {
+        if (!result.has(row.source_id)) {
+          result.set(row.source_id, []);
+        }
+
+        parseOffsets(row.offsets).forEach(({ offset, length }) => {
+          result.get(row.source_id).push({
+            userId: row.user_id,
+            username: row.username,
+            offset,
+            length
+          });
+        });
+      });
+
+      result.forEach(mentions => mentions.sort((a, b) => a.offset - b.offset));
+      return result;
+    } catch (error) {
+      logger.error('获取提及信息失败', { sourceType, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = Mention;
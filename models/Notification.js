@@ -0,0 +1,337 @@
+/**
+ * 通知模型
+ * 保存评论、回复、点赞、提及和管理操作产生的通知，
+ * 点赞类通知在未读期间按同一对象聚合为一条
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 未读期间需要聚合的通知类型
+const AGGREGATED_TYPES = ['topic_like', 'comment_like'];
+
+// 管理操作通知的文案
+const MODERATION_TEXTS = {
+  pin: '你的话题「{title}」已被置顶',
+  unpin: '你的话题「{title}」已被取消置顶',
+  lock: '你的话题「{title}」已被锁定',
+  unlock: '你的话题「{title}」已解除锁定',
+  feature: '你的话题「{title}」已被设为精选',
+  unfeature: '你的话题「{title}」已被取消精选',
+  official: '你的话题「{title}」已被标记为官方',
+  unofficial: '你的话题「{title}」已被取消官方标记',
+  hide: '你发布的内容因被举报已被隐藏',
+  delete: '你发布的内容因违反社区规则已被删除',
+  warn: '你收到了一条管理警告',
+  suspend: '你的账号已被封禁'
+};
+
+/**
+ * 解析JSON列（驱动可能已解析为对象，也可能返回字符串）
+ * @param {*} value - 列值
+ * @returns {Object} 解析后的对象
+ */
+const parseData = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * 生成通知的展示文案
+ * @param {Object} row - 通知记录（包含操作人用户名和话题标题）
+ * @param {Object} data - 附加数据
+ * @returns {String} 通知文案
+ */
+const buildMessage = (row, data) => {
+  const actor = row.actor_username || '有人';
+  const title = row.topic_title || '';
+  const others = row.actors_count > 1 ? ` 和其他${row.actors_count - 1}人` : '';
+
+  switch (row.type) {
+    case 'comment':
+      return `${actor} 评论了你的话题「${title}」`;
+    case 'reply':
+      return `${actor} 回复了你的评论`;
+    case 'topic_like':
+      return `${actor}${others} 赞了你的话题「${title}」`;
+    case 'comment_like':
+      return `${actor}${others} 赞了你的评论`;
+    case 'mention':
+      return `${actor} 在「${title}」中提到了你`;
+    case 'moderation': {
+      const text = (MODERATION_TEXTS[data.action] || '你的内容已被管理员处理').replace('{title}', title);
+      return data.note ? `${text}：${data.note}` : text;
+    }
+    default:
+      return '';
+  }
+};
+
+class Notification {
+  /**
+   * 创建通知
+   * 点赞类通知如果已有同一对象的未读通知，则合并到该通知中，同一用户只计一次
+   * @param {Object} notification - 通知数据
+   * @param {Number} notification.userId - 接收者ID
+   * @param {String} notification.type - 通知类型
+   * @param {Number} notification.actorId - 操作人ID
+   * @param {String} notification.targetType - 对象类型(topic/comment/user)
+   * @param {Number} notification.targetId - 对象ID
+   * @param {Number} [notification.topicId] - 所属话题ID
+   * @param {Object} [notification.data] - 附加数据
+   * @returns {Promise<Object>} 包含通知ID和是否为合并的对象
+   */
+  static async create({ userId, type, actorId = null, targetType, targetId, topicId = null, data = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试创建通知', { userId, type, actorId, targetType, targetId });
+
+      await connection.beginTransaction();
+
+      if (AGGREGATED_TYPES.includes(type)) {
+        const [existing] = await connection.execute(
+          `SELECT id FROM notifications
+           WHERE user_id = ? AND type = ? AND target_type = ? AND target_id = ? AND is_read = 0
+           ORDER BY id DESC LIMIT 1
+           FOR UPDATE`,
+          [userId, type, targetType, targetId]
+        );
+
+        if (existing.length > 0) {
+          const notificationId = existing[0].id;
+          const [actorResult] = await connection.execute(
+            `INSERT IGNORE INTO notification_actors (notification_id, actor_id, created_at) VALUES (?, ?, NOW())`,
+            [notificationId, actorId]
+          );
+
+          if (actorResult.affectedRows > 0) {
+            await connection.execute(
+              `UPDATE notifications SET actor_id = ?, actors_count = actors_count + 1, updated_at = NOW()
+               WHERE id = ?`,
+              [actorId, notificationId]
+            );
+          }
+
+          await connection.commit();
+
+          logger.info('通知已合并', { notificationId, userId, type });
+          return { id: notificationId, aggregated: true };
+        }
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO notifications
+         (user_id, type, actor_id, actors_count, target_type, target_id, topic_id, data, created_at, updated_at)
+         VALUES (?, ?, ?, 1, ?, ?, ?, ?, NOW(), NOW())`,
+        [userId, type, actorId, targetType, targetId, topicId, data ? JSON.stringify(data) : null]
+      );
+
+      if (AGGREGATED_TYPES.includes(type) && actorId) {
+        await connection.execute(
+          `INSERT INTO notification_actors (notification_id, actor_id, created_at) VALUES (?, ?, NOW())`,
+          [result.insertId, actorId]
+        );
+      }
+
+      await connection.commit();
+
+      logger.info('通知创建成功', { notificationId: result.insertId, userId, type });
+      return { id: result.insertId, aggregated: false };
+    } catch (error) {
+      await connection.rollback();
+      logger.error('创建通知失败', { userId, type, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取用户的通知列表（最近更新的在前）
+   * @param {Number} userId - 用户ID
+   * @param {Object} options - 查询选项
+   * @param {Number} options.page - 页码
+   * @param {Number} options.limit - 每页数量
+   * @param {Boolean} options.unreadOnly - 是否只返回未读通知
+   * @returns {Promise<Object>} 包含通知列表、未读数量和分页信息的对象
+   */
+  static async list(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    try {
+      const pageInt = parseInt(page) || 1;
+      const limitInt = parseInt(limit) || 20;
+      const offset = (pageInt - 1) * limitInt;
+      const whereClause = `WHERE n.user_id = ?${unreadOnly ? ' AND n.is_read = 0' : ''}`;
+
+      logger.info('尝试获取通知列表', { userId, page: pageInt, limit: limitInt, unreadOnly });
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT n.*, u.username as actor_username, u.avatar as actor_avatar, t.title as topic_title
+           FROM notifications n
+           LEFT JOIN users u ON n.actor_id = u.id
+           LEFT JOIN topics t ON n.topic_id = t.id
+           ${whereClause}
+           ORDER BY n.updated_at DESC, n.id DESC
+           LIMIT ${limitInt} OFFSET ${offset}`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const [countRows] = await Promise.race([
+        pool.execute(
+          `SELECT COUNT(*) AS total, COALESCE(SUM(n.is_read = 0), 0) AS unread
+           FROM notifications n WHERE n.user_id = ?`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const unreadCount = Number(countRows[0].unread);
+      const totalCount = unreadOnly ? unreadCount : countRows[0].total;
+
+      logger.info('成功获取通知列表', { userId, count: rows.length, unreadCount });
+
+      return {
+        notifications: rows.map(row => Notification.format(row)),
+        unreadCount,
+        totalCount,
+        pageCount: Math.ceil(totalCount / limitInt)
+      };
+    } catch (error) {
+      logger.error('获取通知列表失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取单条通知（用于推送等场景）
+   * @param {Number} id - 通知ID
+   * @returns {Promise<Object|null>} 格式化后的通知或null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT n.*, u.username as actor_username, u.avatar as actor_avatar, t.title as topic_title
+           FROM notifications n
+           LEFT JOIN users u ON n.actor_id = u.id
+           LEFT JOIN topics t ON n.topic_id = t.id
+           WHERE n.id = ?`,
+          [id]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows.length > 0 ? Notification.format(rows[0]) : null;
+    } catch (error) {
+      logger.error('查找通知失败', { notificationId: id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 将通知标记为已读
+   * @param {Number} id - 通知ID
+   * @param {Number} userId - 用户ID（只能标记自己的通知）
+   * @returns {Promise<Boolean>} 通知是否存在
+   */
+  static async markRead(id, userId) {
+    try {
+      logger.info('尝试标记通知为已读', { notificationId: id, userId });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE notifications SET is_read = 1, updated_at = updated_at WHERE id = ? AND user_id = ?`,
+          [id, userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('标记通知为已读失败', { notificationId: id, userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 将用户的所有通知标记为已读
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Number>} 被标记的通知数量
+   */
+  static async markAllRead(userId) {
+    try {
+      logger.info('尝试标记所有通知为已读', { userId });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE notifications SET is_read = 1, updated_at = updated_at WHERE user_id = ? AND is_read = 0`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('所有通知已标记为已读', { userId, count: result.affectedRows });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('标记所有通知为已读失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 格式化通知记录
+   * @param {Object} row - 数据库记录
+   * @returns {Object} 通知对象
+   */
+  static format(row) {
+    const data = parseData(row.data);
+
+    return {
+      id: row.id,
+      type: row.type,
+      message: buildMessage(row, data),
+      // 管理操作通知不展示具体操作的版主
+      actor: row.actor_id && row.type !== 'moderation' ? {
+        id: row.actor_id,
+        username: row.actor_username,
+        avatar: row.actor_avatar
+      } : null,
+      actorsCount: row.actors_count,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      topicId: row.topic_id,
+      data,
+      isRead: row.is_read === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,113 @@
+/**
+ * 密码重置令牌模型
+ * 管理一次性、带过期时间的密码重置令牌，数据库中只保存令牌的SHA-256哈希
+ */
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 重置令牌有效期（分钟），默认30分钟
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+/**
+ * 计算令牌的哈希值
+ * @param {String} token - 令牌明文
+ * @returns {String} 十六进制哈希
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+class PasswordReset {
+  /**
+   * 为用户创建新的密码重置令牌
+   * 同一用户之前未使用的令牌会被作废，只有最新的邮件链接有效
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<String>} 令牌明文（仅用于发送邮件，不会保存）
+   */
+  static async create(userId) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      logger.info('尝试创建密码重置令牌', { userId });
+
+      await Promise.race([
+        pool.execute(
+          'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      await Promise.race([
+        pool.execute(
+          `INSERT INTO password_resets (user_id, token_hash, expires_at, created_at)
+           VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+          [userId, hashToken(token), RESET_TOKEN_TTL_MINUTES]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('密码重置令牌创建成功', { userId });
+      return token;
+    } catch (error) {
+      logger.error('创建密码重置令牌失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 消费密码重置令牌
+   * 令牌未使用且未过期时原子地标记为已使用
+   * @param {String} token - 令牌明文
+   * @returns {Promise<Number|null>} 令牌对应的用户ID，令牌无效时返回null
+   */
+  static async consume(token) {
+    try {
+      const tokenHash = hashToken(token);
+
+      logger.info('尝试消费密码重置令牌');
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE password_resets SET used_at = NOW()
+           WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+          [tokenHash]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (result.affectedRows === 0) {
+        logger.warn('密码重置令牌无效、已使用或已过期');
+        return null;
+      }
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT user_id FROM password_resets WHERE token_hash = ?',
+          [tokenHash]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('密码重置令牌消费成功', { userId: rows[0].user_id });
+      return rows[0].user_id;
+    } catch (error) {
+      logger.error('消费密码重置令牌失败', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PasswordReset;
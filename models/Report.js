@@ -0,0 +1,338 @@
+/**
+ * 内容举报模型
+ * 管理话题和评论的举报、版主处理队列和处理结果，
+ * 不同举报人数达到阈值后自动隐藏内容，等待版主处理
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const UserSuspension = require('./UserSuspension');
+const Comment = require('./Comment');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 自动隐藏内容所需的不同举报人数
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+// 举报原因
+const REASONS = ['spam', 'abuse', 'harassment', 'illegal', 'off_topic', 'other'];
+
+// 处理方式
+const RESOLUTION_ACTIONS = ['dismiss', 'hide', 'delete', 'warn', 'suspend'];
+
+// 举报对象类型对应的数据表
+const TARGET_TABLES = {
+  topic: 'topics',
+  comment: 'comments'
+};
+
+class Report {
+  /**
+   * 查找被举报的内容
+   * @param {String} targetType - 内容类型(topic/comment)
+   * @param {Number} targetId - 内容ID
+   * @param {Object} [connection] - 数据库连接
+   * @returns {Promise<Object|null>} 内容摘要或null
+   */
+  static async findTarget(targetType, targetId, connection = pool) {
+    try {
+      const query = targetType === 'topic'
+        ? `SELECT t.id, t.title, t.content, NULL as topic_id, t.author_id, t.status, u.username as author_username
+           FROM topics t LEFT JOIN users u ON t.author_id = u.id
+           WHERE t.id = ?`
+        : `SELECT c.id, NULL as title, c.content, c.topic_id, c.author_id, c.status, u.username as author_username
+           FROM comments c LEFT JOIN users u ON c.author_id = u.id
+           WHERE c.id = ?`;
+
+      const [rows] = await Promise.race([
+        connection.execute(query, [targetId]),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const target = rows[0];
+      return {
+        type: targetType,
+        id: target.id,
+        title: target.title,
+        excerpt: target.content.substring(0, 200),
+        topicId: target.topic_id,
+        authorId: target.author_id,
+        authorName: target.author_username || '',
+        status: target.status
+      };
+    } catch (error) {
+      logger.error('查找被举报内容失败', { targetType, targetId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 提交举报
+   * 同一用户重复举报同一内容时更新原举报，不增加举报人数
+   * @param {Object} reportData - 举报数据
+   * @param {String} reportData.targetType - 内容类型(topic/comment)
+   * @param {Number} reportData.targetId - 内容ID
+   * @param {Number} reportData.reporterId - 举报人ID
+   * @param {String} reportData.reason - 举报原因
+   * @param {String} [reportData.note] - 补充说明
+   * @returns {Promise<Object>} 包含当前举报人数和是否已自动隐藏的对象
+   */
+  static async create({ targetType, targetId, reporterId, reason, note = null }) {
+    try {
+      logger.info('尝试提交举报', { targetType, targetId, reporterId, reason });
+
+      await Promise.race([
+        pool.execute(
+          `INSERT INTO content_reports (target_type, target_id, reporter_id, reason, note, status, created_at)
+           VALUES (?, ?, ?, ?, ?, 'open', NOW())
+           ON DUPLICATE KEY UPDATE reason = VALUES(reason), note = VALUES(note),
+             status = 'open', resolution_id = NULL, created_at = NOW()`,
+          [targetType, targetId, reporterId, reason, note]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const [countRows] = await Promise.race([
+        pool.execute(
+          `SELECT COUNT(DISTINCT reporter_id) AS reporters
+           FROM content_reports
+           WHERE target_type = ? AND target_id = ? AND status = 'open'`,
+          [targetType, targetId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const reportersCount = countRows[0].reporters;
+      let autoHidden = false;
+
+      if (reportersCount >= AUTO_HIDE_THRESHOLD) {
+        const [result] = await Promise.race([
+          pool.execute(
+            `UPDATE ${TARGET_TABLES[targetType]} SET status = 'hidden', auto_hidden = 1, updated_at = updated_at
+             WHERE id = ? AND status = 'active'`,
+            [targetId]
+          ),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+          )
+        ]);
+
+        autoHidden = result.affectedRows > 0;
+        if (autoHidden && targetType === 'comment') {
+          const target = await this.findTarget(targetType, targetId);
+          await Comment.updateTopicCommentsCount(target.topicId);
+        }
+        if (autoHidden) {
+          logger.warn('举报人数达到阈值，内容已自动隐藏', { targetType, targetId, reportersCount });
+        }
+      }
+
+      logger.info('举报提交成功', { targetType, targetId, reportersCount });
+      return { reportersCount, autoHidden };
+    } catch (error) {
+      logger.error('提交举报失败', { targetType, targetId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取待处理举报队列，按内容分组
+   * @param {Object} options - 查询选项
+   * @param {Number} options.page - 页码
+   * @param {Number} options.limit - 每页数量
+   * @param {String} [options.targetType] - 按内容类型过滤
+   * @returns {Promise<Object>} 包含分组举报列表和分页信息的对象
+   */
+  static async getQueue({ page = 1, limit = 20, targetType } = {}) {
+    try {
+      const pageInt = parseInt(page) || 1;
+      const limitInt = parseInt(limit) || 20;
+      const offset = (pageInt - 1) * limitInt;
+      const whereClause = `WHERE status = 'open'${targetType ? ' AND target_type = ?' : ''}`;
+      const params = targetType ? [targetType] : [];
+
+      logger.info('尝试获取举报队列', { page: pageInt, limit: limitInt, targetType });
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT target_type, target_id, COUNT(*) AS reports_count,
+           GROUP_CONCAT(reason) AS reasons,
+           MIN(created_at) AS first_reported_at, MAX(created_at) AS last_reported_at
+           FROM content_reports
+           ${whereClause}
+           GROUP BY target_type, target_id
+           ORDER BY reports_count DESC, last_reported_at DESC
+           LIMIT ${limitInt} OFFSET ${offset}`,
+          params
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const [countRows] = await Promise.race([
+        pool.execute(
+          `SELECT COUNT(*) AS total FROM (
+             SELECT 1 FROM content_reports ${whereClause} GROUP BY target_type, target_id
+           ) grouped`,
+          params
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const totalCount = countRows[0].total;
+
+      const items = await Promise.all(rows.map(async (row) => {
+        // 统计每种原因的举报数量
+        const reasons = {};
+        (row.reasons || '').split(',').filter(Boolean).forEach(reason => {
+          reasons[reason] = (reasons[reason] || 0) + 1;
+        });
+
+        return {
+          targetType: row.target_type,
+          targetId: row.target_id,
+          reportsCount: row.reports_count,
+          reasons,
+          firstReportedAt: row.first_reported_at,
+          lastReportedAt: row.last_reported_at,
+          target: await this.findTarget(row.target_type, row.target_id)
+        };
+      }));
+
+      logger.info('成功获取举报队列', { count: items.length, totalCount });
+
+      return {
+        reports: items,
+        totalCount,
+        pageCount: Math.ceil(totalCount / limitInt)
+      };
+    } catch (error) {
+      logger.error('获取举报队列失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 处理某个内容的所有待处理举报
+   * dismiss只恢复被举报自动隐藏的内容，版主隐藏的内容保持隐藏；suspend在封禁作者的同时隐藏该内容
+   * @param {String} targetType - 内容类型(topic/comment)
+   * @param {Number} targetId - 内容ID
+   * @param {Object} resolution - 处理信息
+   * @param {String} resolution.action - 处理方式
+   * @param {Number} resolution.moderatorId - 处理人ID
+   * @param {String} [resolution.note] - 处理说明
+   * @param {Number|null} [resolution.durationDays] - 封禁天数，为null时永久封禁，仅suspend使用
+   * @returns {Promise<Object|null>} 处理结果，没有待处理举报时返回null
+   */
+  static async resolve(targetType, targetId, { action, moderatorId, note = null, durationDays = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试处理举报', { targetType, targetId, action, moderatorId });
+
+      await connection.beginTransaction();
+
+      const [openReports] = await connection.execute(
+        `SELECT id FROM content_reports
+         WHERE target_type = ? AND target_id = ? AND status = 'open'
+         FOR UPDATE`,
+        [targetType, targetId]
+      );
+
+      const target = await this.findTarget(targetType, targetId, connection);
+
+      if (openReports.length === 0 || !target) {
+        await connection.rollback();
+        logger.warn('处理举报失败：没有待处理的举报', { targetType, targetId });
+        return null;
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO report_resolutions
+         (target_type, target_id, target_author_id, moderator_id, action, note, reports_count, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [targetType, targetId, target.authorId, moderatorId, action, note, openReports.length]
+      );
+
+      const resolutionId = result.insertId;
+
+      await connection.execute(
+        `UPDATE content_reports SET status = ?, resolution_id = ?
+         WHERE target_type = ? AND target_id = ? AND status = 'open'`,
+        [action === 'dismiss' ? 'dismissed' : 'resolved', resolutionId, targetType, targetId]
+      );
+
+      const table = TARGET_TABLES[targetType];
+
+      if (action === 'dismiss') {
+        await connection.execute(
+          `UPDATE ${table} SET status = 'active', auto_hidden = 0, updated_at = updated_at
+           WHERE id = ? AND status = 'hidden' AND auto_hidden = 1`,
+          [targetId]
+        );
+      } else if (action === 'hide' || action === 'suspend') {
+        // 版主确认隐藏后不再视为自动隐藏，之后驳回新的举报也不会恢复
+        await connection.execute(
+          `UPDATE ${table} SET status = 'hidden', auto_hidden = 0, updated_at = updated_at
+           WHERE id = ? AND status IN ('active', 'hidden')`,
+          [targetId]
+        );
+      } else if (action === 'delete') {
+        await connection.execute(
+          `UPDATE ${table} SET status = 'deleted', auto_hidden = 0 WHERE id = ?`,
+          [targetId]
+        );
+      }
+
+      // 评论状态变化后同步话题的评论数
+      if (targetType === 'comment') {
+        await Comment.updateTopicCommentsCount(target.topicId, connection);
+      }
+
+      let suspensionId = null;
+      if (action === 'suspend') {
+        suspensionId = await UserSuspension.create(target.authorId, {
+          reason: note || '发布违规内容',
+          durationDays,
+          createdBy: moderatorId
+        }, connection);
+      }
+
+      await connection.commit();
+
+      logger.info('举报处理成功', { targetType, targetId, action, resolutionId });
+
+      return {
+        resolutionId,
+        action,
+        reportsCount: openReports.length,
+        targetAuthorId: target.authorId,
+        suspensionId
+      };
+    } catch (error) {
+      await connection.rollback();
+      logger.error('处理举报失败', { targetType, targetId, action, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+Report.REASONS = REASONS;
+Report.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
+
+module.exports = Report;
@@ -240,17 +240,20 @@ class Tag {
    * 添加标签到话题
    * @param {Number} topicId - 话题ID
    * @param {Array<Number|String>} tags - 标签ID或名称数组
+   * @param {Object} [externalConnection] - 调用方的事务连接，传入时在该事务中执行，由调用方负责提交
    * @returns {Promise<Array>} 已添加的标签列表
    */
-  static async addTagsToTopic(topicId, tags) {
+  static async addTagsToTopic(topicId, tags, externalConnection = null) {
     try {
       logger.info('尝试为话题添加标签', { topicId, tags });
       
       const addedTags = [];
-      const connection = await pool.getConnection();
+      const connection = externalConnection || await pool.getConnection();
       
       try {
-        await connection.beginTransaction();
+        if (!externalConnection) {
+          await connection.beginTransaction();
+        }
         
         // 清除话题现有标签
         await connection.execute(
@@ -304,17 +307,36 @@ class Tag {
           addedTags.push(tagId);
         }
         
-        await connection.commit();
+        if (!externalConnection) {
+          await connection.commit();
+        }
         
         logger.info('成功为话题添加标签', { topicId, addedTags });
         
-        // 获取添加的标签详情
-        return this.getTopicTags(topicId);
+        // 获取添加的标签详情（事务未提交时只能通过同一连接读取）
+        const [rows] = await connection.execute(
+          `SELECT t.* 
+           FROM tags t
+           INNER JOIN topic_tags tt ON t.id = tt.tag_id
+           WHERE tt.topic_id = ?
+           ORDER BY t.name ASC`,
+          [topicId]
+        );
+        
+        return rows.map(tag => ({
+          id: tag.id,
+          name: tag.name,
+          createdAt: tag.created_at
+        }));
       } catch (error) {
-        await connection.rollback();
+        if (!externalConnection) {
+          await connection.rollback();
+        }
         throw error;
       } finally {
-        connection.release();
+        if (!externalConnection) {
+          connection.release();
+        }
       }
     } catch (error) {
       logger.error('为话题添加标签失败', { topicId, error });
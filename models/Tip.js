@@ -0,0 +1,210 @@
+/**
+ * 打赏模型
+ * 记录通过Blink生成的打赏交易，由确认任务根据链上结果更新状态
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { fromBaseUnits } = require('../utils/solanaTransactions');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+class Tip {
+  /**
+   * 记录待确认的打赏
+   * @param {Object} tip - 打赏数据
+   * @param {String} tip.reference - 写入交易的reference公钥
+   * @param {Number} tip.topicId - 话题ID
+   * @param {Number} tip.recipientId - 收款用户ID
+   * @param {String} tip.recipientWallet - 收款钱包地址
+   * @param {String} tip.payerWallet - 付款钱包地址
+   * @param {String} tip.currency - 币种符号
+   * @param {String|null} tip.mint - 代币mint地址，SOL为null
+   * @param {Number} tip.decimals - 精度
+   * @param {BigInt} tip.amount - 数量（最小单位）
+   * @returns {Promise<Number>} 打赏记录ID
+   */
+  static async create({ reference, topicId, recipientId, recipientWallet, payerWallet, currency, mint = null, decimals, amount }) {
+    try {
+      logger.info('尝试记录打赏', { reference, topicId, recipientId, currency, amount: amount.toString() });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `INSERT INTO tips
+           (reference, topic_id, recipient_id, recipient_wallet, payer_wallet, currency, mint, decimals, amount, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+          [reference, topicId, recipientId, recipientWallet, payerWallet, currency, mint, decimals, amount.toString()]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('打赏记录成功', { tipId: result.insertId, reference });
+      return result.insertId;
+    } catch (error) {
+      logger.error('记录打赏失败', { reference, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 通过reference查找打赏记录
+   * @param {String} reference - 写入交易的reference公钥
+   * @returns {Promise<Object|null>} 打赏记录或null
+   */
+  static async findByReference(reference) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT * FROM tips WHERE reference = ? LIMIT 1',
+          [reference]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('通过reference查找打赏失败', { reference, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取待确认的打赏（最久未检查的在前）
+   * @param {Number} limit - 数量上限
+   * @returns {Promise<Array>} 打赏记录列表
+   */
+  static async findPending(limit = 20) {
+    try {
+      const limitInt = parseInt(limit) || 20;
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT * FROM tips
+           WHERE status = 'pending'
+           ORDER BY checked_at IS NOT NULL, checked_at ASC, id ASC
+           LIMIT ${limitInt}`
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows;
+    } catch (error) {
+      logger.error('获取待确认打赏失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新待确认打赏的状态（只更新仍为pending的记录，多个进程同时确认时不会重复更新）
+   * @param {Number} id - 打赏记录ID
+   * @param {String} status - 新状态(pending/confirmed/failed/expired)，pending表示仅记录检查时间
+   * @param {Object} [details] - 附加信息
+   * @param {String} [details.signature] - 交易签名
+   * @param {String} [details.payerWallet] - 链上实际付款钱包
+   * @param {String} [details.failureReason] - 失败原因
+   * @returns {Promise<Boolean>} 是否更新成功
+   */
+  static async updateStatus(id, status, { signature = null, payerWallet = null, failureReason = null } = {}) {
+    try {
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE tips SET
+           status = ?,
+           signature = COALESCE(?, signature),
+           payer_wallet = COALESCE(?, payer_wallet),
+           failure_reason = ?,
+           checked_at = NOW(),
+           confirmed_at = IF(? = 'confirmed', NOW(), confirmed_at)
+           WHERE id = ? AND status = 'pending'`,
+          [status, signature, payerWallet, failureReason, status, id]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (status !== 'pending') {
+        logger.info('打赏状态已更新', { tipId: id, status, signature, failureReason });
+      }
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新打赏状态失败', { tipId: id, status, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录打赏人（付款钱包关联的论坛用户）
+   * @param {Number} id - 打赏记录ID
+   * @param {Number} tipperId - 打赏人用户ID
+   * @returns {Promise<Boolean>} 是否更新成功
+   */
+  static async setTipper(id, tipperId) {
+    try {
+      const [result] = await Promise.race([
+        pool.execute(
+          'UPDATE tips SET tipper_id = ? WHERE id = ?',
+          [tipperId, id]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('已记录打赏人', { tipId: id, tipperId });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('记录打赏人失败', { tipId: id, tipperId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计已确认的打赏总额（按币种分组）
+   * @param {Object} filter - 统计范围
+   * @param {Number} [filter.topicId] - 话题ID
+   * @param {Number} [filter.recipientId] - 收款用户ID
+   * @returns {Promise<Object>} { count, totals: [{ currency, mint, amount, count }] }，amount为十进制字符串
+   */
+  static async getTotals({ topicId, recipientId }) {
+    try {
+      const column = topicId ? 'topic_id' : 'recipient_id';
+      const value = topicId || recipientId;
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT currency, mint, decimals, SUM(amount) AS total, COUNT(*) AS count
+           FROM tips
+           WHERE ${column} = ? AND status = 'confirmed'
+           GROUP BY currency, mint, decimals
+           ORDER BY currency ASC`,
+          [value]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return {
+        count: rows.reduce((sum, row) => sum + Number(row.count), 0),
+        totals: rows.map(row => ({
+          currency: row.currency,
+          mint: row.mint,
+          amount: fromBaseUnits(row.total, row.decimals),
+          count: Number(row.count)
+        }))
+      };
+    } catch (error) {
+      logger.error('统计打赏总额失败', { topicId, recipientId, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = Tip;
@@ -6,10 +6,79 @@ const { pool } = require('../config/database');
 const logger = require('../utils/logger');
 const Tag = require('./Tag');
 const Category = require('./Category');
+const Mention = require('./Mention');
+const { renderMarkdown } = require('../utils/markdown');
 
 // 设置查询超时时间（毫秒）
 const QUERY_TIMEOUT = 15000;
 
+// 话题管理操作及其对应的字段修改
+// 使用 updated_at = updated_at 保留原更新时间，管理操作不算作内容修改
+const MODERATION_ACTIONS = {
+  pin: 'pinned_scope = ?, pinned_at = NOW()',
+  unpin: 'pinned_scope = NULL, pinned_at = NULL',
+  lock: 'is_locked = 1',
+  unlock: 'is_locked = 0',
+  feature: 'is_hot = 1',
+  unfeature: 'is_hot = 0',
+  official: 'is_official = 1',
+  unofficial: 'is_official = 0'
+};
+
+// 置顶范围
+const PIN_SCOPES = ['category', 'global'];
+
+// 版本快照中记录的字段
+const REVISION_FIELDS = ['title', 'content', 'category', 'tags'];
+
+/**
+ * 解析JSON列（驱动可能已解析为对象，也可能返回字符串）
+ * @param {*} value - 列值
+ * @returns {*} 解析后的值，无法解析时返回null
+ */
+const parseJsonColumn = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 在事务中写入一条话题版本
+ * @param {Object} connection - 数据库连接
+ * @param {Number} topicId - 话题ID
+ * @param {Number} revision - 版本号
+ * @param {Object} snapshot - 修改后的标题、正文、分类和标签
+ * @param {Object} meta - 版本信息
+ */
+const insertRevision = async (connection, topicId, revision, snapshot, {
+  action, editorId, changedFields = null, rollbackOf = null, createdAt = new Date()
+}) => {
+  await connection.execute(
+    `INSERT INTO topic_revisions
+     (topic_id, revision, title, content, category, tags, changed_fields, action, rollback_of, edited_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      topicId,
+      revision,
+      snapshot.title,
+      snapshot.content,
+      snapshot.category,
+      JSON.stringify(snapshot.tags),
+      changedFields ? JSON.stringify(changedFields) : null,
+      action,
+      rollbackOf,
+      editorId,
+      createdAt
+    ]
+  );
+};
+
 class Topic {
   /**
    * 创建新话题
@@ -29,9 +98,9 @@ class Topic {
         
         const [result] = await connection.execute(
           `INSERT INTO topics 
-           (title, content, category, author_id, created_at) 
-           VALUES (?, ?, ?, ?, NOW())`,
-          [title, content, category, authorId]
+           (title, content, content_html, category, author_id, created_at) 
+           VALUES (?, ?, ?, ?, ?, NOW())`,
+          [title, content, renderMarkdown(content), category, authorId]
         );
         
         const topicId = result.insertId;
@@ -104,12 +173,14 @@ class Topic {
       
       // 获取话题标签
       const tags = await Tag.getTopicTags(id);
+      const mentions = await Mention.getForSources('topic', [topic.id]);
 
       // 格式化结果
       const formattedTopic = {
         id: topic.id,
         title: topic.title,
         content: topic.content,
+        contentHtml: topic.content_html ?? renderMarkdown(topic.content),
         category: topic.category,
         authorId: topic.author_id,
         status: topic.status,
@@ -118,10 +189,14 @@ class Topic {
         commentsCount: topic.comments_count || 0,
         isHot: topic.is_hot === 1,
         isOfficial: topic.is_official === 1,
+        isPinned: topic.pinned_scope !== null,
+        pinnedScope: topic.pinned_scope,
+        isLocked: topic.is_locked === 1,
         isLiked: userId ? (topic.isLikedByCurrentUser === 1) : false,
         createdAt: topic.created_at,
         updatedAt: topic.updated_at,
-        tags: tags.map(tag => tag.name) // Map Tag objects to names
+        tags: tags.map(tag => tag.name), // Map Tag objects to names
+        mentions: mentions.get(topic.id) || []
       };
       
       return formattedTopic;
@@ -221,11 +296,16 @@ class Topic {
       const whereClause = `WHERE ${whereParts.join(' AND ')}`;
       const groupByClause = groupByParts.length > 0 ? `GROUP BY ${groupByParts.join(', ')}` : '';
       
-      let orderByClause = ' ORDER BY t.created_at DESC'; // Default
+      // 置顶话题排在最前：全站置顶在所有列表中生效，分类置顶只在按分类浏览时生效
+      const pinnedOrder = category
+        ? `t.pinned_scope IS NOT NULL DESC, t.pinned_at DESC`
+        : `t.pinned_scope <=> 'global' DESC, t.pinned_at DESC`;
+      
+      let orderByClause = ` ORDER BY ${pinnedOrder}, t.created_at DESC`; // Default
       if (sort === 'hot') {
-        orderByClause = ` ORDER BY t.is_hot DESC, likes_count DESC, t.created_at DESC`;
+        orderByClause = ` ORDER BY ${pinnedOrder}, t.is_hot DESC, likes_count DESC, t.created_at DESC`;
       } else if (sort === 'official') {
-        orderByClause = ` ORDER BY t.is_official DESC, t.created_at DESC`;
+        orderByClause = ` ORDER BY ${pinnedOrder}, t.is_official DESC, t.created_at DESC`;
       }
 
       const limitClause = ` LIMIT ${limitInt} OFFSET ${offset}`;
@@ -281,6 +361,8 @@ class Topic {
           page: pageInt
         });
 
+        const mentions = await Mention.getForSources('topic', rows.map(topic => topic.id));
+
         // Process results (rest is unchanged)
         const topics = await Promise.all(rows.map(async (topic) => {
             const tags = await Tag.getTopicTags(topic.id);
@@ -288,6 +370,7 @@ class Topic {
                 id: topic.id,
                 title: topic.title,
                 content: topic.content,
+                contentHtml: topic.content_html ?? renderMarkdown(topic.content),
                 category: topic.category,
                 authorId: topic.author_id,
                 authorName: topic.author_username,
@@ -300,8 +383,12 @@ class Topic {
                 commentsCount: topic.comments_count || 0,
                 isHot: topic.is_hot === 1,
                 isOfficial: topic.is_official === 1,
+                isPinned: topic.pinned_scope !== null,
+                pinnedScope: topic.pinned_scope,
+                isLocked: topic.is_locked === 1,
                 isLiked: userId ? (topic.isLikedByCurrentUser === 1) : false,
-                tags: tags.map(tag => tag.name)
+                tags: tags.map(tag => tag.name),
+                mentions: mentions.get(topic.id) || []
             };
             return formattedTopic;
         }));
@@ -335,21 +422,45 @@ class Topic {
 
   /**
    * 更新话题信息
+   * 内容有变化时会记录一个新版本，话题第一次被修改时先补记修改前的原始版本
    * @param {Number} id - 话题ID
    * @param {Object} updateData - 要更新的数据
-   * @returns {Promise<Object>} 更新后的话题
+   * @param {Number} editorId - 执行修改的用户ID
+   * @param {Object} options - 其他选项
+   * @param {Number} options.rollbackOf - 回滚时的目标版本号
+   * @returns {Promise<Object|null>} 更新后的话题，话题不存在时返回null
    */
-  static async update(id, updateData) {
+  static async update(id, updateData, editorId, { rollbackOf = null } = {}) {
     try {
       const { title, content, category, tags } = updateData;
       
-      logger.info('尝试更新话题', { topicId: id });
+      logger.info('尝试更新话题', { topicId: id, editorId });
       
       const connection = await pool.getConnection();
       
       try {
         await connection.beginTransaction();
         
+        // 锁定话题行，保证同一话题的版本号连续
+        const [topicRows] = await connection.execute(
+          `SELECT title, content, category, author_id, created_at FROM topics WHERE id = ? FOR UPDATE`,
+          [id]
+        );
+        
+        if (topicRows.length === 0) {
+          await connection.rollback();
+          logger.warn('更新话题失败：话题不存在', { topicId: id });
+          return null;
+        }
+        
+        const current = topicRows[0];
+        const previous = {
+          title: current.title,
+          content: current.content,
+          category: current.category,
+          tags: (await Tag.getTopicTags(id)).map(tag => tag.name)
+        };
+        
         // 构建更新字段
         const updateFields = [];
         const params = [];
@@ -360,8 +471,8 @@ class Topic {
         }
         
         if (content !== undefined) {
-          updateFields.push('content = ?');
-          params.push(content);
+          updateFields.push('content = ?', 'content_html = ?');
+          params.push(content, renderMarkdown(content));
         }
         
         if (category !== undefined) {
@@ -380,13 +491,51 @@ class Topic {
         }
         
         // 更新标签关联 (如果提供了tags)
+        let nextTags = previous.tags;
         if (tags !== undefined) { // Check if tags array is provided (even if empty)
-          await Tag.addTagsToTopic(id, tags, connection); // Pass connection
+          const updatedTags = await Tag.addTagsToTopic(id, tags, connection); // Pass connection
+          nextTags = updatedTags.map(tag => tag.name);
+        }
+        
+        const next = {
+          title: title !== undefined ? title : previous.title,
+          content: content !== undefined ? content : previous.content,
+          category: category !== undefined ? category : previous.category,
+          tags: nextTags
+        };
+        
+        const changedFields = REVISION_FIELDS.filter(
+          field => JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+        );
+        
+        if (changedFields.length > 0) {
+          const [revisionRows] = await connection.execute(
+            `SELECT COALESCE(MAX(revision), 0) AS latest FROM topic_revisions WHERE topic_id = ?`,
+            [id]
+          );
+          
+          let latest = revisionRows[0].latest;
+          
+          if (latest === 0) {
+            latest = 1;
+            await insertRevision(connection, id, latest, previous, {
+              action: 'create',
+              editorId: current.author_id,
+              createdAt: current.created_at
+            });
+          }
+          
+          await insertRevision(connection, id, latest + 1, next, {
+            action: rollbackOf ? 'rollback' : 'edit',
+            rollbackOf,
+            changedFields,
+            editorId
+          });
         }
         
         await connection.commit();
         
-        logger.info('话题更新成功', { topicId: id });
+        logger.info('话题更新成功', { topicId: id, changedFields });
         return this.findById(id);
       } catch (error) {
         await connection.rollback();
@@ -400,6 +549,125 @@ class Topic {
     }
   }
 
+  /**
+   * 获取话题的历史版本列表（最新的在前）
+   * @param {Number} topicId - 话题ID
+   * @returns {Promise<Array>} 版本列表，不包含正文
+   */
+  static async getRevisions(topicId) {
+    try {
+      logger.info('尝试获取话题历史版本', { topicId });
+      
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT r.revision, r.title, r.category, r.changed_fields, r.action, r.rollback_of,
+           r.edited_by, u.username as editor_username, r.created_at
+           FROM topic_revisions r
+           LEFT JOIN users u ON r.edited_by = u.id
+           WHERE r.topic_id = ?
+           ORDER BY r.revision DESC`,
+          [topicId]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      logger.info('成功获取话题历史版本', { topicId, count: rows.length });
+      
+      return rows.map(revision => ({
+        revision: revision.revision,
+        title: revision.title,
+        category: revision.category,
+        action: revision.action,
+        rollbackOf: revision.rollback_of,
+        changedFields: parseJsonColumn(revision.changed_fields) || [],
+        editedBy: revision.edited_by,
+        editorName: revision.editor_username || '',
+        createdAt: revision.created_at
+      }));
+    } catch (error) {
+      logger.error('获取话题历史版本失败', { topicId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取话题的指定版本
+   * @param {Number} topicId - 话题ID
+   * @param {Number} revision - 版本号
+   * @returns {Promise<Object|null>} 版本快照或null
+   */
+  static async getRevision(topicId, revision) {
+    try {
+      logger.info('尝试获取话题版本', { topicId, revision });
+      
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT r.*, u.username as editor_username
+           FROM topic_revisions r
+           LEFT JOIN users u ON r.edited_by = u.id
+           WHERE r.topic_id = ? AND r.revision = ?`,
+          [topicId, revision]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      if (rows.length === 0) {
+        logger.info('未找到话题版本', { topicId, revision });
+        return null;
+      }
+      
+      const row = rows[0];
+      
+      return {
+        revision: row.revision,
+        title: row.title,
+        content: row.content,
+        category: row.category,
+        tags: parseJsonColumn(row.tags) || [],
+        action: row.action,
+        rollbackOf: row.rollback_of,
+        changedFields: parseJsonColumn(row.changed_fields) || [],
+        editedBy: row.edited_by,
+        editorName: row.editor_username || '',
+        createdAt: row.created_at
+      };
+    } catch (error) {
+      logger.error('获取话题版本失败', { topicId, revision, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 将话题回滚到指定版本
+   * 回滚本身也会作为一个新版本记录，不会删除之后的版本
+   * @param {Number} topicId - 话题ID
+   * @param {Number} revision - 目标版本号
+   * @param {Number} editorId - 执行回滚的用户ID
+   * @returns {Promise<Object|null>} 回滚后的话题，版本不存在时返回null
+   */
+  static async rollback(topicId, revision, editorId) {
+    try {
+      logger.info('尝试回滚话题', { topicId, revision, editorId });
+      
+      const target = await this.getRevision(topicId, revision);
+      
+      if (!target) {
+        return null;
+      }
+      
+      const { title, content, category, tags } = target;
+      
+      return this.update(topicId, { title, content, category, tags }, editorId, { rollbackOf: target.revision });
+    } catch (error) {
+      logger.error('回滚话题失败', { topicId, revision, error });
+      throw error;
+    }
+  }
+
   /**
    * 删除话题（标记为删除）
    * @param {Number} id - 话题ID
@@ -561,6 +829,101 @@ class Topic {
     }
   }
 
+  /**
+   * 执行话题管理操作（置顶、锁定、精选、官方标记）并记录操作人
+   * @param {Number} topicId - 话题ID
+   * @param {String} action - 操作(pin/unpin/lock/unlock/feature/unfeature/official/unofficial)
+   * @param {Number} moderatorId - 操作人ID
+   * @param {Object} options - 其他选项
+   * @param {String} options.scope - 置顶范围(category/global)，仅pin操作使用
+   * @returns {Promise<Object|null>} 更新后的话题，话题不存在时返回null
+   */
+  static async moderate(topicId, action, moderatorId, { scope = 'category' } = {}) {
+    if (!MODERATION_ACTIONS[action]) {
+      throw new Error(`不支持的话题管理操作: ${action}`);
+    }
+    
+    if (action === 'pin' && !PIN_SCOPES.includes(scope)) {
+      throw new Error(`不支持的置顶范围: ${scope}`);
+    }
+    
+    const connection = await pool.getConnection();
+    
+    try {
+      logger.info('尝试执行话题管理操作', { topicId, action, moderatorId, scope });
+      
+      await connection.beginTransaction();
+      
+      const [result] = await connection.execute(
+        `UPDATE topics SET ${MODERATION_ACTIONS[action]}, updated_at = updated_at
+         WHERE id = ? AND status = 'active'`,
+        action === 'pin' ? [scope, topicId] : [topicId]
+      );
+      
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        logger.warn('话题管理操作失败：话题不存在', { topicId, action });
+        return null;
+      }
+      
+      await connection.execute(
+        `INSERT INTO topic_moderation_logs (topic_id, moderator_id, action, detail, created_at)
+         VALUES (?, ?, ?, ?, NOW())`,
+        [topicId, moderatorId, action, action === 'pin' ? scope : null]
+      );
+      
+      await connection.commit();
+      
+      logger.info('话题管理操作成功', { topicId, action, moderatorId });
+      return this.findById(topicId);
+    } catch (error) {
+      await connection.rollback();
+      logger.error('话题管理操作失败', { topicId, action, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取话题的管理操作记录（最新的在前）
+   * @param {Number} topicId - 话题ID
+   * @returns {Promise<Array>} 操作记录列表
+   */
+  static async getModerationLogs(topicId) {
+    try {
+      logger.info('尝试获取话题管理记录', { topicId });
+      
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT l.id, l.action, l.detail, l.moderator_id, u.username as moderator_username, l.created_at
+           FROM topic_moderation_logs l
+           LEFT JOIN users u ON l.moderator_id = u.id
+           WHERE l.topic_id = ?
+           ORDER BY l.created_at DESC, l.id DESC`,
+          [topicId]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      logger.info('成功获取话题管理记录', { topicId, count: rows.length });
+      
+      return rows.map(log => ({
+        id: log.id,
+        action: log.action,
+        detail: log.detail,
+        moderatorId: log.moderator_id,
+        moderatorName: log.moderator_username || '',
+        createdAt: log.created_at
+      }));
+    } catch (error) {
+      logger.error('获取话题管理记录失败', { topicId, error });
+      throw error;
+    }
+  }
+
   /**
    * 检查用户是否有权限修改话题
    * @param {Number} topicId - 话题ID
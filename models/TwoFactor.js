@@ -0,0 +1,290 @@
+/**
+ * 两步验证模型
+ * 管理用户的TOTP共享密钥和一次性恢复码，恢复码只保存SHA-256哈希
+ */
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 每次生成的恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 规范化恢复码（忽略大小写、空格和连字符）
+ * @param {String} code - 用户输入的恢复码
+ * @returns {String} 规范化后的恢复码
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * 计算恢复码的哈希值
+ * @param {String} code - 恢复码明文
+ * @returns {String} 十六进制哈希
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+class TwoFactor {
+  /**
+   * 获取用户的两步验证设置
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Object|null>} 包含密钥、是否启用和最近使用时间步的对象，未设置时返回null
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT user_id, secret, enabled_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return {
+        userId: rows[0].user_id,
+        secret: rows[0].secret,
+        enabled: !!rows[0].enabled_at,
+        enabledAt: rows[0].enabled_at,
+        lastUsedStep: rows[0].last_used_step
+      };
+    } catch (error) {
+      logger.error('查询两步验证设置失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 判断用户是否已启用两步验证
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Boolean>} 是否已启用
+   */
+  static async isEnabled(userId) {
+    const settings = await TwoFactor.findByUserId(userId);
+    return !!(settings && settings.enabled);
+  }
+
+  /**
+   * 保存待确认的共享密钥
+   * 已启用两步验证的用户不会被覆盖
+   * @param {Number} userId - 用户ID
+   * @param {String} secret - base32编码的共享密钥
+   * @returns {Promise<Boolean>} 是否保存成功
+   */
+  static async setPendingSecret(userId, secret) {
+    try {
+      logger.info('尝试保存待确认的两步验证密钥', { userId });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `INSERT INTO user_two_factor (user_id, secret, created_at)
+           VALUES (?, ?, NOW())
+           ON DUPLICATE KEY UPDATE
+             secret = IF(enabled_at IS NULL, VALUES(secret), secret),
+             last_used_step = IF(enabled_at IS NULL, NULL, last_used_step),
+             created_at = IF(enabled_at IS NULL, NOW(), created_at)`,
+          [userId, secret]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('保存两步验证密钥失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录已使用的时间步
+   * 只有时间步大于上次使用的时间步才会成功，同一验证码不能被使用两次
+   * @param {Number} userId - 用户ID
+   * @param {Number} step - 本次验证码对应的时间步
+   * @returns {Promise<Boolean>} 是否记录成功（失败表示验证码已被使用）
+   */
+  static async useStep(userId, step) {
+    try {
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE user_two_factor SET last_used_step = ?
+           WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+          [step, userId, step]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (result.affectedRows === 0) {
+        logger.warn('两步验证码已被使用', { userId, step });
+      }
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('记录两步验证时间步失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 启用两步验证并生成新的恢复码
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Array<String>>} 恢复码明文（仅在此时返回一次）
+   */
+  static async enable(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试启用两步验证', { userId });
+
+      await connection.beginTransaction();
+
+      await connection.execute(
+        'UPDATE user_two_factor SET enabled_at = NOW() WHERE user_id = ?',
+        [userId]
+      );
+
+      const recoveryCodes = await TwoFactor.replaceRecoveryCodes(userId, connection);
+
+      await connection.commit();
+
+      logger.info('两步验证已启用', { userId });
+      return recoveryCodes;
+    } catch (error) {
+      await connection.rollback();
+      logger.error('启用两步验证失败', { userId, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 关闭两步验证，删除密钥和所有恢复码
+   * @param {Number} userId - 用户ID
+   */
+  static async disable(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试关闭两步验证', { userId });
+
+      await connection.beginTransaction();
+      await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+      await connection.commit();
+
+      logger.info('两步验证已关闭', { userId });
+    } catch (error) {
+      await connection.rollback();
+      logger.error('关闭两步验证失败', { userId, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 生成新的恢复码，旧的恢复码全部作废
+   * @param {Number} userId - 用户ID
+   * @param {Object} [connection] - 事务连接，不传时使用连接池
+   * @returns {Promise<Array<String>>} 恢复码明文
+   */
+  static async replaceRecoveryCodes(userId, connection = pool) {
+    try {
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.substring(0, 5)}-${code.substring(5)}`;
+      });
+
+      await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+      for (const code of recoveryCodes) {
+        await connection.execute(
+          'INSERT INTO user_recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, NOW())',
+          [userId, hashRecoveryCode(code)]
+        );
+      }
+
+      logger.info('两步验证恢复码已生成', { userId, count: recoveryCodes.length });
+      return recoveryCodes;
+    } catch (error) {
+      logger.error('生成两步验证恢复码失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 消费恢复码
+   * 标记为已使用的操作是原子的，同一恢复码只能使用一次
+   * @param {Number} userId - 用户ID
+   * @param {String} code - 恢复码
+   * @returns {Promise<Boolean>} 恢复码是否有效
+   */
+  static async consumeRecoveryCode(userId, code) {
+    try {
+      logger.info('尝试使用两步验证恢复码', { userId });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE user_recovery_codes SET used_at = NOW()
+           WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+           LIMIT 1`,
+          [userId, hashRecoveryCode(code)]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (result.affectedRows === 0) {
+        logger.warn('两步验证恢复码无效或已使用', { userId });
+        return false;
+      }
+
+      logger.info('两步验证恢复码使用成功', { userId });
+      return true;
+    } catch (error) {
+      logger.error('使用两步验证恢复码失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取剩余可用的恢复码数量
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Number>} 剩余数量
+   */
+  static async countRecoveryCodes(userId) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT COUNT(*) AS total FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows[0].total;
+    } catch (error) {
+      logger.error('查询剩余恢复码数量失败', { userId, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = TwoFactor;
@@ -5,10 +5,17 @@
 const { pool } = require('../config/database');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
+const UserWallet = require('./UserWallet');
 
 // 设置查询超时时间（毫秒）- 增加到15秒
 const QUERY_TIMEOUT = 15000;
 
+// 主钱包地址查询（钱包保存在user_wallets表中，这里以wallet_address字段返回主钱包）
+const PRIMARY_WALLET_COLUMN = '(SELECT w.address FROM user_wallets w WHERE w.user_id = users.id AND w.is_primary = 1 LIMIT 1) AS wallet_address';
+
+// 用户角色，按权限从低到高排列
+const ROLES = ['member', 'moderator', 'admin'];
+
 class User {
   /**
    * 创建新用户
@@ -17,7 +24,7 @@ class User {
    */
   static async create(userData) {
     try {
-      const { username, email, password, phone, qq, region, techStack, bio, github, twitter, website, avatar, walletAddress } = userData;
+      const { username, email, password, passwordSet = true, phone, qq, region, techStack, bio, github, twitter, website, avatar, walletAddress } = userData;
       const hashedPassword = await bcrypt.hash(password, 10);
       
       logger.info('尝试创建新用户', { username, email, walletAddress });
@@ -25,9 +32,9 @@ class User {
       const [result] = await Promise.race([
         pool.execute(
           `INSERT INTO users 
-           (username, email, password, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, wallet_address, created_at) 
+           (username, email, password, password_set, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, created_at) 
            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-          [username, email, hashedPassword, phone, qq, region, techStack, bio, github, twitter, website, avatar || '', walletAddress || '']
+          [username, email, hashedPassword, passwordSet ? 1 : 0, phone, qq, region, techStack, bio, github, twitter, website, avatar || '']
         ),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
@@ -35,6 +42,18 @@ class User {
       ]);
       
       logger.info('用户创建成功', { userId: result.insertId });
+      
+      // 通过钱包创建的用户，将该钱包作为主钱包
+      if (walletAddress) {
+        try {
+          await UserWallet.add(result.insertId, walletAddress);
+        } catch (error) {
+          // 钱包关联失败（如并发注册同一钱包）时回滚刚创建的用户
+          await pool.execute('DELETE FROM users WHERE id = ?', [result.insertId]);
+          throw error;
+        }
+      }
+      
       return this.findById(result.insertId);
     } catch (error) {
       logger.error('创建用户失败', error);
@@ -53,7 +72,7 @@ class User {
       
       const [rows] = await Promise.race([
         pool.execute(
-          'SELECT id, username, email, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, wallet_address, created_at FROM users WHERE id = ?',
+          `SELECT id, username, email, email_verified, password_set, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, ${PRIMARY_WALLET_COLUMN}, role, privacy_settings, created_at FROM users WHERE id = ?`,
           [id]
         ),
         new Promise((_, reject) => 
@@ -85,7 +104,7 @@ class User {
       
       const [rows] = await Promise.race([
         pool.execute(
-          'SELECT * FROM users WHERE email = ?',
+          `SELECT users.*, ${PRIMARY_WALLET_COLUMN} FROM users WHERE email = ?`,
           [email]
         ),
         new Promise((_, reject) => 
@@ -117,7 +136,7 @@ class User {
       
       const [rows] = await Promise.race([
         pool.execute(
-          'SELECT id, username, email, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, created_at FROM users WHERE username = ?',
+          `SELECT id, username, email, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, ${PRIMARY_WALLET_COLUMN}, created_at FROM users WHERE username = ?`,
           [username]
         ),
         new Promise((_, reject) => 
@@ -138,6 +157,75 @@ class User {
     }
   }
 
+  /**
+   * 查找用户的公开资料
+   * 查询结果需要经过userSerializer按隐私设置过滤后才能返回
+   * @param {String} idOrUsername - 用户ID或用户名（纯数字时优先按ID查找）
+   * @returns {Promise<Object|null>} 公开资料或null
+   */
+  static async findPublicProfile(idOrUsername) {
+    try {
+      logger.info('尝试查找用户公开资料', { idOrUsername });
+      
+      const columns = `id, username, email, phone, qq, region, avatar, bio, github, twitter, website, tech_stack, ${PRIMARY_WALLET_COLUMN}, role, privacy_settings, created_at`;
+      const lookups = /^\d+$/.test(idOrUsername)
+        ? [['id', parseInt(idOrUsername)], ['username', idOrUsername]]
+        : [['username', idOrUsername]];
+      
+      for (const [field, value] of lookups) {
+        const [rows] = await Promise.race([
+          pool.execute(`SELECT ${columns} FROM users WHERE ${field} = ?`, [value]),
+          new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+          )
+        ]);
+        
+        if (rows.length > 0) {
+          logger.info('成功找到用户公开资料', { idOrUsername, userId: rows[0].id });
+          return rows[0];
+        }
+      }
+      
+      logger.info('未找到用户公开资料', { idOrUsername });
+      return null;
+    } catch (error) {
+      logger.error('查找用户公开资料失败', { idOrUsername, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的社区活动统计
+   * @param {Number} id - 用户ID
+   * @returns {Promise<Object>} 话题数、评论数和获得的点赞数
+   */
+  static async getActivityStats(id) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT
+             (SELECT COUNT(*) FROM topics WHERE author_id = ? AND status = 'active') AS topics_count,
+             (SELECT COUNT(*) FROM comments WHERE author_id = ? AND status = 'active') AS comments_count,
+             (SELECT COALESCE(SUM(likes_count), 0) FROM topics WHERE author_id = ? AND status = 'active') +
+             (SELECT COALESCE(SUM(likes_count), 0) FROM comments WHERE author_id = ? AND status = 'active') AS likes_received`,
+          [id, id, id, id]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      return {
+        topicsCount: Number(rows[0].topics_count),
+        commentsCount: Number(rows[0].comments_count),
+        likesReceived: Number(rows[0].likes_received)
+      };
+    } catch (error) {
+      logger.error('获取用户活动统计失败', { userId: id, error });
+      throw error;
+    }
+  }
+
   /**
    * 更新用户信息
    * @param {Number} id - 用户ID
@@ -146,7 +234,7 @@ class User {
    */
   static async update(id, updateData) {
     try {
-      const { username, email, phone, qq, region, techStack, bio, github, twitter, website, avatar } = updateData;
+      const { username, email, phone, qq, region, techStack, bio, github, twitter, website, avatar, privacySettings } = updateData;
       
       logger.info('尝试更新用户信息', { userId: id, updateFields: Object.keys(updateData) });
       
@@ -197,12 +285,14 @@ class User {
                ${avatar ? ', avatar = ?' : ''}
                ${username ? ', username = ?' : ''}
                ${email ? ', email = ?' : ''}
+               ${privacySettings ? ', privacy_settings = ?' : ''}
            WHERE id = ?`,
           [
             phone, qq, region, techStack, bio, github, twitter, website, 
             ...(avatar ? [avatar] : []),
             ...(username ? [username] : []),
             ...(email ? [email] : []),
+            ...(privacySettings ? [JSON.stringify(privacySettings)] : []),
             id
           ]
         ),
@@ -266,9 +356,9 @@ class User {
   }
 
   /**
-   * 通过钱包地址查找用户
+   * 通过钱包地址查找用户（可以是用户关联的任意一个钱包）
    * @param {String} walletAddress - 钱包地址
-   * @returns {Promise<Object|null>} 用户对象或null
+   * @returns {Promise<Object|null>} 用户对象或null，wallet_id为匹配到的钱包ID
    */
   static async findByWalletAddress(walletAddress) {
     try {
@@ -277,7 +367,10 @@ class User {
       // 使用精确匹配查询钱包地址
       const [rows] = await Promise.race([
         pool.execute(
-          'SELECT id, username, email, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, wallet_address, created_at FROM users WHERE wallet_address = ? LIMIT 1',
+          `SELECT users.id, username, email, phone, qq, region, tech_stack, bio, github, twitter, website, avatar, role, ${PRIMARY_WALLET_COLUMN}, uw.id AS wallet_id, users.created_at
+           FROM user_wallets uw
+           JOIN users ON users.id = uw.user_id
+           WHERE uw.address = ? LIMIT 1`,
           [walletAddress]
         ),
         new Promise((_, reject) => 
@@ -300,46 +393,130 @@ class User {
 
   /**
    * 关联钱包地址到用户
+   * 用户可以关联多个钱包，第一个钱包自动成为主钱包
    * @param {Number} id - 用户ID
    * @param {String} walletAddress - 钱包地址
+   * @param {Object} [options] - 可选参数
+   * @param {String} [options.label] - 钱包备注名
    * @returns {Promise<Object>} 更新后的用户
    */
-  static async connectWalletAddress(id, walletAddress) {
+  static async connectWalletAddress(id, walletAddress, { label = '' } = {}) {
     try {
       logger.info('尝试关联钱包地址到用户', { userId: id, walletAddress });
       
-      // 检查该钱包地址是否已被其他用户使用
-      const existingUser = await this.findByWalletAddress(walletAddress);
-      if (existingUser && existingUser.id !== id) {
-        logger.warn('钱包地址已被其他用户使用', { walletAddress, existingUserId: existingUser.id });
-        throw new Error('该钱包地址已被其他用户使用');
+      await UserWallet.add(id, walletAddress, { label });
+      
+      logger.info('钱包地址关联成功', { userId: id, walletAddress });
+      return this.findById(id);
+    } catch (error) {
+      logger.error('关联钱包地址失败', { userId: id, walletAddress, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新用户密码
+   * @param {Number} id - 用户ID
+   * @param {String} password - 新密码明文
+   * @returns {Promise<Boolean>} 是否成功更新
+   */
+  static async updatePassword(id, password) {
+    try {
+      logger.info('尝试更新用户密码', { userId: id });
+      
+      const hashedPassword = await bcrypt.hash(password, 10);
+      
+      const [result] = await Promise.race([
+        pool.execute(
+          'UPDATE users SET password = ?, password_set = 1 WHERE id = ?',
+          [hashedPassword, id]
+        ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      logger.info('用户密码更新结果', { userId: id, affected: result.affectedRows });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新用户密码失败', { userId: id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置用户邮箱验证状态
+   * 仅当用户当前邮箱与传入邮箱一致时才会标记为已验证，防止旧邮箱的验证链接在更换邮箱后生效
+   * @param {Number} id - 用户ID
+   * @param {Boolean} verified - 是否已验证
+   * @param {String} [email] - 被验证的邮箱（标记为已验证时必需）
+   * @returns {Promise<Boolean>} 是否成功更新
+   */
+  static async setEmailVerified(id, verified, email = null) {
+    try {
+      logger.info('尝试设置用户邮箱验证状态', { userId: id, verified });
+      
+      const [result] = await Promise.race([
+        verified
+          ? pool.execute(
+            'UPDATE users SET email_verified = 1, email_verified_at = NOW() WHERE id = ? AND email = ?',
+            [id, email]
+          )
+          : pool.execute(
+            'UPDATE users SET email_verified = 0, email_verified_at = NULL WHERE id = ?',
+            [id]
+          ),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+      
+      logger.info('用户邮箱验证状态更新结果', { userId: id, verified, affected: result.affectedRows });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('设置用户邮箱验证状态失败', { userId: id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新用户角色
+   * @param {Number} id - 用户ID
+   * @param {String} role - 新角色(member/moderator/admin)
+   * @returns {Promise<Object|null>} 更新后的用户，用户不存在时返回null
+   */
+  static async updateRole(id, role) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw new Error('无效的用户角色');
       }
       
-      // 不再检查用户是否已有钱包地址
-      // 移除下方代码以允许在系统层面更新钱包地址
-      // const user = await this.findById(id);
-      // if (user && user.wallet_address) {
-      //   logger.warn('用户已有钱包地址，无法更改', { userId: id, existingWallet: user.wallet_address });
-      //   throw new Error('钱包地址一旦设置就无法更改');
-      // }
+      logger.info('尝试更新用户角色', { userId: id, role });
       
-      await Promise.race([
+      const [result] = await Promise.race([
         pool.execute(
-          'UPDATE users SET wallet_address = ? WHERE id = ?',
-          [walletAddress, id]
+          'UPDATE users SET role = ? WHERE id = ?',
+          [role, id]
         ),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
         )
       ]);
       
-      logger.info('钱包地址关联成功', { userId: id, walletAddress });
+      if (result.affectedRows === 0) {
+        logger.warn('更新用户角色失败：用户不存在', { userId: id });
+        return null;
+      }
+      
+      logger.info('用户角色更新成功', { userId: id, role });
       return this.findById(id);
-  } catch (error) {
-      logger.error('关联钱包地址失败', { userId: id, walletAddress, error });
+    } catch (error) {
+      logger.error('更新用户角色失败', { userId: id, role, error });
       throw error;
     }
   }
 }
 
+User.ROLES = ROLES;
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * 用户会话模型
+ * 管理登录会话和可轮换的刷新令牌，数据库中只保存刷新令牌的SHA-256哈希
+ */
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 刷新令牌有效期（天），每次轮换后重新计算
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * 计算刷新令牌的哈希值
+ * @param {String} token - 刷新令牌明文
+ * @returns {String} 十六进制哈希
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * 生成新的刷新令牌明文
+ * @returns {String} 随机令牌
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+class UserSession {
+  /**
+   * 创建新会话
+   * @param {Number} userId - 用户ID
+   * @param {Object} client - 客户端信息
+   * @param {String} client.userAgent - 用户代理
+   * @param {String} client.ip - IP地址
+   * @returns {Promise<Object>} 包含会话ID和刷新令牌明文的对象
+   */
+  static async create(userId, { userAgent = '', ip = '' } = {}) {
+    try {
+      const refreshToken = generateRefreshToken();
+
+      logger.info('尝试创建用户会话', { userId, ip });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `INSERT INTO user_sessions
+           (user_id, refresh_token_hash, user_agent, ip, created_at, last_used_at, expires_at)
+           VALUES (?, ?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+          [userId, hashToken(refreshToken), (userAgent || '').substring(0, 255), ip || '', REFRESH_TOKEN_TTL_DAYS]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('用户会话创建成功', { userId, sessionId: result.insertId });
+      return { sessionId: result.insertId, refreshToken };
+    } catch (error) {
+      logger.error('创建用户会话失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 查找有效（未撤销且未过期）的会话
+   * @param {Number} id - 会话ID
+   * @returns {Promise<Object|null>} 会话对象或null
+   */
+  static async findActiveById(id) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT id, user_id, user_agent, ip, created_at, last_used_at, expires_at
+           FROM user_sessions
+           WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+          [id]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查找用户会话失败', { sessionId: id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新会话的最后使用时间
+   * 一分钟内重复调用不会写库，避免每个请求都产生写操作
+   * @param {Number} id - 会话ID
+   */
+  static async touch(id) {
+    try {
+      await Promise.race([
+        pool.execute(
+          `UPDATE user_sessions SET last_used_at = NOW()
+           WHERE id = ? AND last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+          [id]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+    } catch (error) {
+      // 记录错误但不抛出，更新最后使用时间失败不影响请求
+      logger.warn('更新会话最后使用时间失败', { sessionId: id, error });
+    }
+  }
+
+  /**
+   * 轮换刷新令牌
+   * 旧令牌在轮换后立即失效；如果有人再次使用已轮换掉的旧令牌，
+   * 说明令牌可能已泄露，整个会话会被撤销
+   * @param {String} refreshToken - 客户端提交的刷新令牌
+   * @returns {Promise<Object|null>} 包含会话ID、用户ID和新刷新令牌的对象，令牌无效时返回null
+   */
+  static async rotate(refreshToken) {
+    try {
+      const tokenHash = hashToken(refreshToken);
+      const newRefreshToken = generateRefreshToken();
+      const newTokenHash = hashToken(newRefreshToken);
+
+      logger.info('尝试轮换刷新令牌');
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE user_sessions
+           SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+               last_used_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+           WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+          [newTokenHash, REFRESH_TOKEN_TTL_DAYS, tokenHash]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (result.affectedRows === 0) {
+        // 检查是否为已轮换掉的旧令牌被重复使用
+        const [reuseResult] = await Promise.race([
+          pool.execute(
+            `UPDATE user_sessions SET revoked_at = NOW()
+             WHERE previous_token_hash = ? AND revoked_at IS NULL`,
+            [tokenHash]
+          ),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+          )
+        ]);
+
+        if (reuseResult.affectedRows > 0) {
+          logger.warn('检测到已轮换的刷新令牌被重复使用，会话已撤销');
+        } else {
+          logger.warn('刷新令牌无效、已撤销或已过期');
+        }
+        return null;
+      }
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = ?',
+          [newTokenHash]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('刷新令牌轮换成功', { sessionId: rows[0].id, userId: rows[0].user_id });
+      return {
+        sessionId: rows[0].id,
+        userId: rows[0].user_id,
+        refreshToken: newRefreshToken
+      };
+    } catch (error) {
+      logger.error('轮换刷新令牌失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的所有有效会话
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Array>} 会话列表
+   */
+  static async listActive(userId) {
+    try {
+      logger.info('尝试获取用户会话列表', { userId });
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+           FROM user_sessions
+           WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+           ORDER BY last_used_at DESC`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('成功获取用户会话列表', { userId, count: rows.length });
+
+      return rows.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ip: session.ip,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at
+      }));
+    } catch (error) {
+      logger.error('获取用户会话列表失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销用户的指定会话
+   * @param {Number} id - 会话ID
+   * @param {Number} userId - 用户ID（只能撤销自己的会话）
+   * @returns {Promise<Boolean>} 是否成功撤销
+   */
+  static async revoke(id, userId) {
+    try {
+      logger.info('尝试撤销用户会话', { sessionId: id, userId });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE user_sessions SET revoked_at = NOW()
+           WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+          [id, userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('用户会话撤销结果', { sessionId: id, userId, affected: result.affectedRows });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('撤销用户会话失败', { sessionId: id, userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销用户的其他所有会话
+   * @param {Number} userId - 用户ID
+   * @param {Number|null} exceptId - 需要保留的会话ID（通常为当前会话），为null时撤销全部
+   * @returns {Promise<Number>} 被撤销的会话数量
+   */
+  static async revokeAllExcept(userId, exceptId = null) {
+    try {
+      logger.info('尝试撤销用户的其他会话', { userId, exceptId });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE user_sessions SET revoked_at = NOW()
+           WHERE user_id = ? AND id != ? AND revoked_at IS NULL`,
+          [userId, exceptId || 0]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('用户其他会话已撤销', { userId, count: result.affectedRows });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('撤销用户其他会话失败', { userId, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = UserSession;
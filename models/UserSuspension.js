@@ -0,0 +1,160 @@
+/**
+ * 用户封禁模型
+ * 记录临时和永久封禁，expires_at为NULL表示永久封禁
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+class UserSuspension {
+  /**
+   * 封禁用户
+   * @param {Number} userId - 被封禁的用户ID
+   * @param {Object} options - 封禁信息
+   * @param {String} options.reason - 封禁原因
+   * @param {Number|null} options.durationDays - 封禁天数，为null时永久封禁
+   * @param {Number} options.createdBy - 执行封禁的用户ID
+   * @param {Object} [connection] - 数据库连接，在调用方事务中执行时传入
+   * @returns {Promise<Number>} 封禁记录ID
+   */
+  static async create(userId, { reason, durationDays = null, createdBy }, connection = pool) {
+    try {
+      logger.info('尝试封禁用户', { userId, durationDays, createdBy });
+
+      const [result] = await Promise.race([
+        connection.execute(
+          `INSERT INTO user_suspensions (user_id, reason, expires_at, created_by, created_at)
+           VALUES (?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)), ?, NOW())`,
+          [userId, reason, durationDays, durationDays, createdBy]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('用户封禁成功', { userId, suspensionId: result.insertId });
+      return result.insertId;
+    } catch (error) {
+      logger.error('封禁用户失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户当前生效的封禁（永久封禁优先，其次是到期最晚的）
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Object|null>} 封禁信息或null
+   */
+  static async findActive(userId) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT id, user_id, reason, expires_at, created_by, created_at
+           FROM user_suspensions
+           WHERE user_id = ? AND lifted_at IS NULL
+           AND (expires_at IS NULL OR expires_at > NOW())
+           ORDER BY expires_at IS NULL DESC, expires_at DESC
+           LIMIT 1`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const suspension = rows[0];
+      return {
+        id: suspension.id,
+        userId: suspension.user_id,
+        reason: suspension.reason,
+        permanent: suspension.expires_at === null,
+        expiresAt: suspension.expires_at,
+        createdBy: suspension.created_by,
+        createdAt: suspension.created_at
+      };
+    } catch (error) {
+      logger.error('查询用户封禁状态失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户的封禁记录（最新的在前）
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Array>} 封禁记录列表
+   */
+  static async listByUser(userId) {
+    try {
+      logger.info('尝试获取用户封禁记录', { userId });
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT s.*, u.username as created_by_username,
+           s.lifted_at IS NULL AND (s.expires_at IS NULL OR s.expires_at > NOW()) AS is_active
+           FROM user_suspensions s
+           LEFT JOIN users u ON s.created_by = u.id
+           WHERE s.user_id = ?
+           ORDER BY s.created_at DESC, s.id DESC`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows.map(suspension => ({
+        id: suspension.id,
+        reason: suspension.reason,
+        permanent: suspension.expires_at === null,
+        expiresAt: suspension.expires_at,
+        isActive: suspension.is_active === 1,
+        createdBy: suspension.created_by,
+        createdByName: suspension.created_by_username || '',
+        createdAt: suspension.created_at,
+        liftedAt: suspension.lifted_at,
+        liftedBy: suspension.lifted_by
+      }));
+    } catch (error) {
+      logger.error('获取用户封禁记录失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 解除用户所有生效中的封禁
+   * @param {Number} userId - 用户ID
+   * @param {Number} liftedBy - 执行解除的用户ID
+   * @returns {Promise<Number>} 被解除的封禁数量
+   */
+  static async lift(userId, liftedBy) {
+    try {
+      logger.info('尝试解除用户封禁', { userId, liftedBy });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE user_suspensions SET lifted_at = NOW(), lifted_by = ?
+           WHERE user_id = ? AND lifted_at IS NULL
+           AND (expires_at IS NULL OR expires_at > NOW())`,
+          [liftedBy, userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('用户封禁已解除', { userId, count: result.affectedRows });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('解除用户封禁失败', { userId, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = UserSuspension;
@@ -0,0 +1,266 @@
+/**
+ * 用户钱包模型
+ * 一个用户可以关联多个钱包，其中一个为主钱包（在个人资料和话题作者信息中展示）
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// 每个用户最多可关联的钱包数量
+const MAX_WALLETS_PER_USER = 10;
+
+/**
+ * 格式化钱包记录
+ * @param {Object} wallet - 数据库中的钱包记录
+ * @returns {Object} 返回给客户端的钱包对象
+ */
+const formatWallet = (wallet) => ({
+  id: wallet.id,
+  address: wallet.address,
+  label: wallet.label || '',
+  isPrimary: !!wallet.is_primary,
+  verifiedAt: wallet.verified_at,
+  createdAt: wallet.created_at
+});
+
+class UserWallet {
+  /**
+   * 获取用户关联的所有钱包（主钱包在前）
+   * @param {Number} userId - 用户ID
+   * @returns {Promise<Array>} 钱包列表
+   */
+  static async listByUser(userId) {
+    try {
+      logger.info('尝试获取用户钱包列表', { userId });
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT id, address, label, is_primary, verified_at, created_at
+           FROM user_wallets
+           WHERE user_id = ?
+           ORDER BY is_primary DESC, created_at ASC`,
+          [userId]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('成功获取用户钱包列表', { userId, count: rows.length });
+      return rows.map(formatWallet);
+    } catch (error) {
+      logger.error('获取用户钱包列表失败', { userId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 通过钱包地址查找钱包记录
+   * @param {String} address - 钱包地址
+   * @returns {Promise<Object|null>} 包含用户ID的钱包记录或null
+   */
+  static async findByAddress(address) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT id, user_id, address, label, is_primary, verified_at, created_at FROM user_wallets WHERE address = ?',
+          [address]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows[0] ? { ...formatWallet(rows[0]), userId: rows[0].user_id } : null;
+    } catch (error) {
+      logger.error('通过地址查找钱包失败', { address, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 为用户关联新钱包
+   * 用户的第一个钱包自动成为主钱包
+   * @param {Number} userId - 用户ID
+   * @param {String} address - 已通过签名验证的钱包地址
+   * @param {Object} [options] - 可选参数
+   * @param {String} [options.label] - 钱包备注名
+   * @returns {Promise<Object>} 新关联的钱包
+   */
+  static async add(userId, address, { label = '' } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试为用户关联钱包', { userId, address });
+
+      await connection.beginTransaction();
+
+      const [existing] = await connection.execute(
+        'SELECT user_id FROM user_wallets WHERE address = ?',
+        [address]
+      );
+
+      if (existing.length > 0) {
+        throw new Error(existing[0].user_id === userId ? '该钱包已关联到您的账户' : '该钱包地址已被其他用户使用');
+      }
+
+      // 锁定用户的钱包记录，避免并发关联时出现多个主钱包
+      const [owned] = await connection.execute(
+        'SELECT id FROM user_wallets WHERE user_id = ? FOR UPDATE',
+        [userId]
+      );
+
+      if (owned.length >= MAX_WALLETS_PER_USER) {
+        throw new Error(`每个账户最多关联${MAX_WALLETS_PER_USER}个钱包`);
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO user_wallets (user_id, address, label, is_primary, verified_at, created_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [userId, address, (label || '').substring(0, 50), owned.length === 0 ? 1 : 0]
+      );
+
+      await connection.commit();
+
+      logger.info('钱包关联成功', { userId, address, walletId: result.insertId });
+
+      const [rows] = await pool.execute(
+        'SELECT id, address, label, is_primary, verified_at, created_at FROM user_wallets WHERE id = ?',
+        [result.insertId]
+      );
+      return formatWallet(rows[0]);
+    } catch (error) {
+      await connection.rollback();
+      // 并发关联同一地址时由唯一索引兜底
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('该钱包地址已被其他用户使用');
+      }
+      logger.error('关联钱包失败', { userId, address, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 标记钱包已通过签名验证
+   * 迁移的旧钱包没有验证时间，在下次签名登录时补上
+   * @param {Number} id - 钱包ID
+   */
+  static async markVerified(id) {
+    try {
+      await Promise.race([
+        pool.execute(
+          'UPDATE user_wallets SET verified_at = NOW() WHERE id = ? AND verified_at IS NULL',
+          [id]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+    } catch (error) {
+      // 记录错误但不抛出，不影响登录
+      logger.warn('标记钱包已验证失败', { walletId: id, error });
+    }
+  }
+
+  /**
+   * 设置主钱包
+   * @param {Number} userId - 用户ID
+   * @param {Number} id - 钱包ID
+   * @returns {Promise<Boolean>} 是否设置成功（钱包不属于该用户时返回false）
+   */
+  static async setPrimary(userId, id) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试设置主钱包', { userId, walletId: id });
+
+      await connection.beginTransaction();
+
+      const [owned] = await connection.execute(
+        'SELECT id FROM user_wallets WHERE user_id = ? FOR UPDATE',
+        [userId]
+      );
+
+      if (!owned.some(wallet => wallet.id === id)) {
+        await connection.rollback();
+        logger.warn('设置主钱包失败：钱包不存在', { userId, walletId: id });
+        return false;
+      }
+
+      await connection.execute(
+        'UPDATE user_wallets SET is_primary = (id = ?) WHERE user_id = ?',
+        [id, userId]
+      );
+
+      await connection.commit();
+
+      logger.info('主钱包设置成功', { userId, walletId: id });
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      logger.error('设置主钱包失败', { userId, walletId: id, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 解除钱包关联
+   * 如果解除的是主钱包，最早关联的其余钱包会成为新的主钱包
+   * @param {Number} userId - 用户ID
+   * @param {Number} id - 钱包ID
+   * @returns {Promise<Boolean>} 是否解除成功（钱包不属于该用户时返回false）
+   */
+  static async remove(userId, id) {
+    const connection = await pool.getConnection();
+
+    try {
+      logger.info('尝试解除钱包关联', { userId, walletId: id });
+
+      await connection.beginTransaction();
+
+      const [owned] = await connection.execute(
+        'SELECT id, is_primary FROM user_wallets WHERE user_id = ? ORDER BY created_at ASC FOR UPDATE',
+        [userId]
+      );
+
+      const wallet = owned.find(item => item.id === id);
+
+      if (!wallet) {
+        await connection.rollback();
+        logger.warn('解除钱包关联失败：钱包不存在', { userId, walletId: id });
+        return false;
+      }
+
+      await connection.execute('DELETE FROM user_wallets WHERE id = ?', [id]);
+
+      const remaining = owned.filter(item => item.id !== id);
+      if (wallet.is_primary && remaining.length > 0) {
+        await connection.execute(
+          'UPDATE user_wallets SET is_primary = 1 WHERE id = ?',
+          [remaining[0].id]
+        );
+      }
+
+      await connection.commit();
+
+      logger.info('钱包关联已解除', { userId, walletId: id });
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      logger.error('解除钱包关联失败', { userId, walletId: id, error });
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+UserWallet.MAX_WALLETS_PER_USER = MAX_WALLETS_PER_USER;
+
+module.exports = UserWallet;
@@ -0,0 +1,141 @@
+/**
+ * 钱包封禁模型
+ * 被封禁的钱包地址不能用于登录、注册或关联账户，防止被封禁用户换号重新注册
+ */
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+class WalletBan {
+  /**
+   * 检查钱包地址是否被封禁
+   * @param {String} address - 钱包地址
+   * @returns {Promise<Boolean>} 是否被封禁
+   */
+  static async isBanned(address) {
+    try {
+      const [rows] = await Promise.race([
+        pool.execute('SELECT id FROM wallet_bans WHERE address = ?', [address]),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return rows.length > 0;
+    } catch (error) {
+      logger.error('查询钱包封禁状态失败', { address, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 封禁钱包地址
+   * @param {String} address - 钱包地址
+   * @param {Object} options - 封禁信息
+   * @param {String} options.reason - 封禁原因
+   * @param {Number} options.bannedBy - 执行封禁的用户ID
+   * @returns {Promise<Boolean>} 是否新增封禁，已封禁时返回false
+   */
+  static async ban(address, { reason, bannedBy }) {
+    try {
+      logger.info('尝试封禁钱包', { address, bannedBy });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `INSERT IGNORE INTO wallet_bans (address, reason, banned_by, created_at)
+           VALUES (?, ?, ?, NOW())`,
+          [address, reason, bannedBy]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('钱包封禁结果', { address, created: result.affectedRows > 0 });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('封禁钱包失败', { address, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 解除钱包封禁
+   * @param {String} address - 钱包地址
+   * @returns {Promise<Boolean>} 是否成功解除
+   */
+  static async unban(address) {
+    try {
+      logger.info('尝试解除钱包封禁', { address });
+
+      const [result] = await Promise.race([
+        pool.execute('DELETE FROM wallet_bans WHERE address = ?', [address]),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('解除钱包封禁失败', { address, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取钱包封禁列表
+   * @param {Object} options - 查询选项
+   * @param {Number} options.page - 页码
+   * @param {Number} options.limit - 每页数量
+   * @returns {Promise<Object>} 包含封禁列表和分页信息的对象
+   */
+  static async list({ page = 1, limit = 20 } = {}) {
+    try {
+      const pageInt = parseInt(page) || 1;
+      const limitInt = parseInt(limit) || 20;
+      const offset = (pageInt - 1) * limitInt;
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          `SELECT b.id, b.address, b.reason, b.banned_by, u.username as banned_by_username, b.created_at
+           FROM wallet_bans b
+           LEFT JOIN users u ON b.banned_by = u.id
+           ORDER BY b.created_at DESC
+           LIMIT ${limitInt} OFFSET ${offset}`
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const [countRows] = await Promise.race([
+        pool.execute('SELECT COUNT(*) AS total FROM wallet_bans'),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      const totalCount = countRows[0].total;
+
+      return {
+        bans: rows.map(ban => ({
+          id: ban.id,
+          walletAddress: ban.address,
+          reason: ban.reason,
+          bannedBy: ban.banned_by,
+          bannedByName: ban.banned_by_username || '',
+          createdAt: ban.created_at
+        })),
+        totalCount,
+        pageCount: Math.ceil(totalCount / limitInt)
+      };
+    } catch (error) {
+      logger.error('获取钱包封禁列表失败', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WalletBan;
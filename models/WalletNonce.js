@@ -0,0 +1,113 @@
+/**
+ * 钱包登录挑战模型
+ * 管理Sign-In With Solana流程中一次性、带过期时间的nonce
+ */
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+const { buildSignInMessage } = require('../utils/solanaAuth');
+
+// 设置查询超时时间（毫秒）
+const QUERY_TIMEOUT = 15000;
+
+// nonce有效期（秒），默认5分钟
+const NONCE_TTL = parseInt(process.env.WALLET_NONCE_TTL) || 300;
+
+// 不同用途对应的提示语，签名内容中会展示给用户
+const STATEMENTS = {
+  login: '登录Solana Blinks社区',
+  associate: '将此钱包关联到您的Solana Blinks社区账户'
+};
+
+class WalletNonce {
+  /**
+   * 为钱包地址签发新的登录挑战
+   * @param {String} walletAddress - 钱包地址
+   * @param {String} purpose - 用途(login/associate)
+   * @returns {Promise<Object>} 包含nonce、待签名消息和过期时间的对象
+   */
+  static async create(walletAddress, purpose = 'login') {
+    try {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL * 1000);
+      const message = buildSignInMessage({
+        address: walletAddress,
+        nonce,
+        issuedAt,
+        expirationTime: expiresAt,
+        statement: STATEMENTS[purpose]
+      });
+
+      logger.info('尝试创建钱包登录挑战', { walletAddress, purpose });
+
+      await Promise.race([
+        pool.execute(
+          `INSERT INTO wallet_nonces
+           (wallet_address, nonce, purpose, message, expires_at, created_at)
+           VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), NOW())`,
+          [walletAddress, nonce, purpose, message, NONCE_TTL]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('钱包登录挑战创建成功', { walletAddress, purpose });
+      return { nonce, message, expiresAt };
+    } catch (error) {
+      logger.error('创建钱包登录挑战失败', { walletAddress, error });
+      throw error;
+    }
+  }
+
+  /**
+   * 消费登录挑战
+   * 仅当nonce属于该钱包、用途一致、未使用且未过期时才会成功，
+   * 标记为已使用的操作是原子的，同一nonce只能被消费一次
+   * @param {String} walletAddress - 钱包地址
+   * @param {String} nonce - 一次性随机数
+   * @param {String} purpose - 用途(login/associate)
+   * @returns {Promise<String|null>} 当初签发的待签名消息，挑战无效时返回null
+   */
+  static async consume(walletAddress, nonce, purpose = 'login') {
+    try {
+      logger.info('尝试消费钱包登录挑战', { walletAddress, purpose });
+
+      const [result] = await Promise.race([
+        pool.execute(
+          `UPDATE wallet_nonces SET used_at = NOW()
+           WHERE nonce = ? AND wallet_address = ? AND purpose = ?
+           AND used_at IS NULL AND expires_at > NOW()`,
+          [nonce, walletAddress, purpose]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      if (result.affectedRows === 0) {
+        logger.warn('钱包登录挑战无效、已使用或已过期', { walletAddress, purpose });
+        return null;
+      }
+
+      const [rows] = await Promise.race([
+        pool.execute(
+          'SELECT message FROM wallet_nonces WHERE nonce = ?',
+          [nonce]
+        ),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('数据库操作超时')), QUERY_TIMEOUT)
+        )
+      ]);
+
+      logger.info('钱包登录挑战消费成功', { walletAddress, purpose });
+      return rows[0] ? rows[0].message : null;
+    } catch (error) {
+      logger.error('消费钱包登录挑战失败', { walletAddress, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = WalletNonce;
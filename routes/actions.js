@@ -0,0 +1,55 @@
+/**
+ * Solana Actions路由模块
+ * 定义actions.json发现文件和Blink使用的Actions接口，挂载在站点根路径，
+ * 这些路径使用Actions规范的跨域策略（见actionsCorsMiddleware）
+ */
+const express = require('express');
+const router = express.Router();
+const {
+  getActionsJson,
+  getTipAction,
+  postTipAction,
+  postTipNextAction,
+  postTipExternalLink
+} = require('../controllers/actionsController');
+const { actionsCors } = require('../middleware/actionsCorsMiddleware');
+const { tipActionLimiter, tipCallbackLimiter } = require('../middleware/rateLimitMiddleware');
+
+router.use(['/actions.json', '/api/actions'], actionsCors);
+
+/**
+ * @route   GET /actions.json
+ * @desc    获取Actions发现规则（网站URL与Actions接口的映射）
+ * @access  Public
+ */
+router.get('/actions.json', getActionsJson);
+
+/**
+ * @route   GET /api/actions/tip/:topicId
+ * @desc    获取话题打赏Action的元数据
+ * @access  Public
+ */
+router.get('/api/actions/tip/:topicId', getTipAction);
+
+/**
+ * @route   POST /api/actions/tip/:topicId
+ * @desc    生成打赏话题作者的未签名交易
+ * @access  Public
+ */
+router.post('/api/actions/tip/:topicId', tipActionLimiter, postTipAction);
+
+/**
+ * @route   POST /api/actions/tip/:topicId/next
+ * @desc    打赏交易确认后的回调，核对交易并返回后续操作
+ * @access  Public
+ */
+router.post('/api/actions/tip/:topicId/next', tipCallbackLimiter, postTipNextAction);
+
+/**
+ * @route   POST /api/actions/tip/:topicId/open/:target
+ * @desc    打赏后续操作的跳转链接（话题页或作者主页）
+ * @access  Public
+ */
+router.post('/api/actions/tip/:topicId/open/:target', postTipExternalLink);
+
+module.exports = router;
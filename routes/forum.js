@@ -7,14 +7,34 @@ const router = express.Router();
 const { 
   getTopics,
   getTopicById,
+  getTopicTips,
   createTopic,
   updateTopic,
+  getTopicRevisions,
+  getTopicRevisionDiff,
+  rollbackTopic,
+  pinTopic,
+  unpinTopic,
+  lockTopic,
+  unlockTopic,
+  featureTopic,
+  unfeatureTopic,
+  markTopicOfficial,
+  unmarkTopicOfficial,
+  getTopicModerationLogs,
   deleteTopic,
   likeTopic,
   unlikeTopic,
   getComments,
+  getCommentReplies,
   createComment,
   deleteComment,
+  updateComment,
+  getCommentRevisions,
+  reportTopic,
+  reportComment,
+  getReportQueue,
+  resolveReports,
   likeComment,
   unlikeComment,
   getCategories,
@@ -32,7 +52,7 @@ const {
   updateCategory,
   deleteCategory
 } = require('../controllers/forumController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth, authorize, requireVerifiedAccount } = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
 
 // 记录所有论坛相关请求
@@ -58,14 +78,21 @@ router.get('/topics', getTopics);
  * @desc    获取话题详情
  * @access  Public
  */
-router.get('/topics/:id', getTopicById);
+router.get('/topics/:id', optionalAuth, getTopicById);
+
+/**
+ * @route   GET /api/forum/topics/:id/tips
+ * @desc    获取话题收到的打赏总额
+ * @access  Public
+ */
+router.get('/topics/:id/tips', getTopicTips);
 
 /**
  * @route   POST /api/forum/topics
  * @desc    创建话题
  * @access  Private
  */
-router.post('/topics', protect, createTopic);
+router.post('/topics', protect, requireVerifiedAccount, createTopic);
 
 /**
  * @route   PUT /api/forum/topics/:id
@@ -74,6 +101,91 @@ router.post('/topics', protect, createTopic);
  */
 router.put('/topics/:id', protect, updateTopic);
 
+/**
+ * @route   GET /api/forum/topics/:id/revisions
+ * @desc    获取话题历史版本
+ * @access  Private (作者/版主/管理员)
+ */
+router.get('/topics/:id/revisions', protect, getTopicRevisions);
+
+/**
+ * @route   GET /api/forum/topics/:id/revisions/diff
+ * @desc    比较话题的两个版本
+ * @access  Private (作者/版主/管理员)
+ */
+router.get('/topics/:id/revisions/diff', protect, getTopicRevisionDiff);
+
+/**
+ * @route   POST /api/forum/topics/:id/revisions/:revision/rollback
+ * @desc    将话题回滚到指定版本
+ * @access  Private/Admin
+ */
+router.post('/topics/:id/revisions/:revision/rollback', protect, authorize('admin'), rollbackTopic);
+
+// 话题管理路由（版主和管理员）
+/**
+ * @route   PUT /api/forum/topics/:id/pin
+ * @desc    置顶话题（body.scope: category/global）
+ * @access  Private/Moderator
+ */
+router.put('/topics/:id/pin', protect, authorize('moderator', 'admin'), pinTopic);
+
+/**
+ * @route   DELETE /api/forum/topics/:id/pin
+ * @desc    取消置顶
+ * @access  Private/Moderator
+ */
+router.delete('/topics/:id/pin', protect, authorize('moderator', 'admin'), unpinTopic);
+
+/**
+ * @route   PUT /api/forum/topics/:id/lock
+ * @desc    锁定话题，锁定后不能再发表评论
+ * @access  Private/Moderator
+ */
+router.put('/topics/:id/lock', protect, authorize('moderator', 'admin'), lockTopic);
+
+/**
+ * @route   DELETE /api/forum/topics/:id/lock
+ * @desc    解除话题锁定
+ * @access  Private/Moderator
+ */
+router.delete('/topics/:id/lock', protect, authorize('moderator', 'admin'), unlockTopic);
+
+/**
+ * @route   PUT /api/forum/topics/:id/feature
+ * @desc    设为精选
+ * @access  Private/Moderator
+ */
+router.put('/topics/:id/feature', protect, authorize('moderator', 'admin'), featureTopic);
+
+/**
+ * @route   DELETE /api/forum/topics/:id/feature
+ * @desc    取消精选
+ * @access  Private/Moderator
+ */
+router.delete('/topics/:id/feature', protect, authorize('moderator', 'admin'), unfeatureTopic);
+
+/**
+ * @route   PUT /api/forum/topics/:id/official
+ * @desc    标记为官方话题
+ * @access  Private/Moderator
+ */
+router.put('/topics/:id/official', protect, authorize('moderator', 'admin'), markTopicOfficial);
+
+/**
+ * @route   DELETE /api/forum/topics/:id/official
+ * @desc    取消官方标记
+ * @access  Private/Moderator
+ */
+router.delete('/topics/:id/official', protect, authorize('moderator', 'admin'), unmarkTopicOfficial);
+
+/**
+ * @route   GET /api/forum/topics/:id/moderation-logs
+ * @desc    获取话题管理操作记录
+ * @access  Private/Moderator
+ */
+router.get('/topics/:id/moderation-logs', protect, authorize('moderator', 'admin'), getTopicModerationLogs);
+
 /**
  * @route   DELETE /api/forum/topics/:id
  * @desc    删除话题
@@ -98,17 +210,67 @@ router.delete('/topics/:id/like', protect, unlikeTopic);
 // 评论相关路由
 /**
  * @route   GET /api/forum/topics/:id/comments
- * @desc    获取话题评论列表
+ * @desc    获取话题的顶层评论列表（含回复数）
  * @access  Public
  */
-router.get('/topics/:id/comments', getComments);
+router.get('/topics/:id/comments', optionalAuth, getComments);
 
 /**
  * @route   POST /api/forum/topics/:id/comments
  * @desc    创建评论
  * @access  Private
  */
-router.post('/topics/:id/comments', protect, createComment);
+router.post('/topics/:id/comments', protect, requireVerifiedAccount, createComment);
+
+/**
+ * @route   GET /api/forum/comments/:id/replies
+ * @desc    获取评论的回复列表（分页）
+ * @access  Public
+ */
+router.get('/comments/:id/replies', optionalAuth, getCommentReplies);
+
+/**
+ * @route   PUT /api/forum/comments/:id
+ * @desc    编辑评论（保留历史版本）
+ * @access  Private
+ */
+router.put('/comments/:id', protect, updateComment);
+
+/**
+ * @route   GET /api/forum/comments/:id/revisions
+ * @desc    获取评论的历史版本
+ * @access  Private（评论作者、版主和管理员）
+ */
+router.get('/comments/:id/revisions', protect, getCommentRevisions);
+
+/**
+ * @route   POST /api/forum/topics/:id/report
+ * @desc    举报话题
+ * @access  Private
+ */
+router.post('/topics/:id/report', protect, reportTopic);
+
+/**
+ * @route   POST /api/forum/comments/:id/report
+ * @desc    举报评论
+ * @access  Private
+ */
+router.post('/comments/:id/report', protect, reportComment);
+
+// 举报处理路由（版主和管理员）
+/**
+ * @route   GET /api/forum/reports
+ * @desc    获取待处理举报队列
+ * @access  Private/Moderator
+ */
+router.get('/reports', protect, authorize('moderator', 'admin'), getReportQueue);
+
+/**
+ * @route   POST /api/forum/reports/:type/:id/resolve
+ * @desc    处理某个内容的待处理举报（action为suspend且不提供durationDays时为永久封禁，仅管理员可操作）
+ * @access  Private/Moderator
+ */
+router.post('/reports/:type/:id/resolve', protect, authorize('moderator', 'admin'), resolveReports);
 
 /**
  * @route   DELETE /api/forum/comments/:id
@@ -151,21 +313,21 @@ router.get('/categories/:id', getCategoryById);
  * @desc    创建分类
  * @access  Private/Admin
  */
-router.post('/categories', protect, createCategory);
+router.post('/categories', protect, authorize('admin'), createCategory);
 
 /**
  * @route   PUT /api/forum/categories/:id
  * @desc    更新分类
  * @access  Private/Admin
  */
-router.put('/categories/:id', protect, updateCategory);
+router.put('/categories/:id', protect, authorize('admin'), updateCategory);
 
 /**
  * @route   DELETE /api/forum/categories/:id
  * @desc    删除分类
  * @access  Private/Admin
  */
-router.delete('/categories/:id', protect, deleteCategory);
+router.delete('/categories/:id', protect, authorize('admin'), deleteCategory);
 
 // 标签相关路由
 /**
@@ -187,21 +349,21 @@ router.get('/tags/:id', getTagById);
  * @desc    创建标签
  * @access  Private/Admin
  */
-router.post('/tags', protect, createTag);
+router.post('/tags', protect, authorize('admin'), createTag);
 
 /**
  * @route   PUT /api/forum/tags/:id
  * @desc    更新标签
  * @access  Private/Admin
  */
-router.put('/tags/:id', protect, updateTag);
+router.put('/tags/:id', protect, authorize('admin'), updateTag);
 
 /**
  * @route   DELETE /api/forum/tags/:id
  * @desc    删除标签
  * @access  Private/Admin
  */
-router.delete('/tags/:id', protect, deleteTag);
+router.delete('/tags/:id', protect, authorize('admin'), deleteTag);
 
 // 用户相关路由（社区部分）
 /**
@@ -224,7 +386,7 @@ router.get('/users/:id/comments', getUserComments);
  * @desc    综合搜索
  * @access  Public
  */
-router.get('/search', search);
+router.get('/search', optionalAuth, search);
 
 // 统计路由
 /**
@@ -232,6 +394,6 @@ router.get('/search', search);
  * @desc    获取社区统计数据
  * @access  Public
  */
-router.get('/stats', getStats);
+router.get('/stats', optionalAuth, getStats);
 
 module.exports = router; 
\ No newline at end of file
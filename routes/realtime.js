@@ -0,0 +1,17 @@
+/**
+ * 实时推送路由模块
+ * 定义话题、分类和通知的实时订阅接口
+ */
+const express = require('express');
+const router = express.Router();
+const { stream } = require('../controllers/realtimeController');
+const { protect, acceptQueryToken } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/realtime/stream
+ * @desc    订阅实时事件（Server-Sent Events）
+ * @access  Private
+ */
+router.get('/stream', acceptQueryToken, protect, stream);
+
+module.exports = router;
@@ -13,10 +13,48 @@ const {
   deleteUserAccount,
   uploadUserAvatar,
   deleteUserAvatar,
+  getWalletNonce,
   connectWallet,
-  associateWallet
+  associateWallet,
+  refreshAccessToken,
+  logoutUser,
+  getUserSessions,
+  revokeUserSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getLockouts,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getUserWallets,
+  setPrimaryWallet,
+  unlinkWallet,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  suspendUser,
+  getUserSuspensions,
+  liftUserSuspension,
+  getWalletBans,
+  banWallet,
+  unbanWallet,
+  getPublicProfile,
+  getUserTips
 } = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, allowSuspended, optionalAuth, authorize } = require('../middleware/authMiddleware');
+const {
+  loginLimiter,
+  twoFactorLimiter,
+  twoFactorManageLimiter,
+  walletNonceLimiter,
+  walletLoginLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter
+} = require('../middleware/rateLimitMiddleware');
 const logger = require('../utils/logger');
 
 // 记录所有用户相关请求
@@ -41,22 +79,85 @@ router.post('/register', registerUser);
  * @desc    用户登录
  * @access  Public
  */
-router.post('/login', loginUser);
+router.post('/login', loginLimiter, loginUser);
+
+/**
+ * @route   POST /api/users/login/2fa
+ * @desc    提交两步验证码（或恢复码）完成登录
+ * @access  Public
+ */
+router.post('/login/2fa', twoFactorLimiter, verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/users/token/refresh
+ * @desc    使用刷新令牌换取新的访问令牌
+ * @access  Public
+ */
+router.post('/token/refresh', refreshAccessToken);
+
+/**
+ * @route   POST /api/users/logout
+ * @desc    退出登录（撤销当前会话）
+ * @access  Private
+ */
+router.post('/logout', allowSuspended, protect, logoutUser);
+
+/**
+ * @route   GET /api/users/sessions
+ * @desc    获取当前用户的有效会话列表
+ * @access  Private
+ */
+router.get('/sessions', protect, getUserSessions);
+
+/**
+ * @route   DELETE /api/users/sessions/:id
+ * @desc    撤销指定会话
+ * @access  Private
+ */
+router.delete('/sessions/:id', allowSuspended, protect, revokeUserSession);
+
+/**
+ * @route   POST /api/users/wallet/nonce
+ * @desc    获取钱包签名登录挑战
+ * @access  Public
+ */
+router.post('/wallet/nonce', walletNonceLimiter, getWalletNonce);
 
 /**
  * @route   POST /api/users/wallet
  * @desc    通过钱包地址连接/注册
  * @access  Public
  */
-router.post('/wallet', connectWallet);
+router.post('/wallet', walletLoginLimiter, connectWallet);
 
 /**
  * @route   POST /api/users/profile/wallet
- * @desc    为现有用户关联钱包地址
+ * @desc    为现有用户关联钱包地址（可关联多个）
  * @access  Private
  */
 router.post('/profile/wallet', protect, associateWallet);
 
+/**
+ * @route   GET /api/users/wallets
+ * @desc    获取当前用户关联的所有钱包
+ * @access  Private
+ */
+router.get('/wallets', protect, getUserWallets);
+
+/**
+ * @route   PUT /api/users/wallets/:id/primary
+ * @desc    设置主钱包
+ * @access  Private
+ */
+router.put('/wallets/:id/primary', protect, setPrimaryWallet);
+
+/**
+ * @route   DELETE /api/users/wallets/:id
+ * @desc    解除钱包关联（至少保留一种登录方式）
+ * @access  Private
+ */
+router.delete('/wallets/:id', protect, unlinkWallet);
+
 /**
  * @route   GET /api/users/profile
  * @desc    获取用户个人资料
@@ -76,7 +177,70 @@ router.put('/profile', protect, updateUserProfile);
  * @desc    更新用户密码
  * @access  Private
  */
-router.put('/password', protect, updateUserPassword);
+router.put('/password', allowSuspended, protect, updateUserPassword);
+
+/**
+ * @route   POST /api/users/2fa/setup
+ * @desc    开始设置两步验证，返回otpauth URI
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/users/2fa/enable
+ * @desc    提交第一个验证码确认启用两步验证，返回恢复码
+ * @access  Private
+ */
+router.post('/2fa/enable', protect, enableTwoFactor);
+
+/**
+ * @route   POST /api/users/2fa/disable
+ * @desc    关闭两步验证（需要当前验证码）
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, twoFactorManageLimiter, disableTwoFactor);
+
+/**
+ * @route   POST /api/users/2fa/recovery-codes
+ * @desc    重新生成恢复码（需要当前验证码）
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, twoFactorManageLimiter, regenerateRecoveryCodes);
+
+/**
+ * @route   POST /api/users/password/forgot
+ * @desc    发送密码重置邮件
+ * @access  Public
+ */
+router.post('/password/forgot', forgotPasswordLimiter, forgotPassword);
+
+/**
+ * @route   POST /api/users/password/reset
+ * @desc    使用邮件中的令牌重置密码
+ * @access  Public
+ */
+router.post('/password/reset', resetPasswordLimiter, resetPassword);
+
+/**
+ * @route   GET /api/users/email/verify
+ * @desc    验证邮箱（邮件中的链接）
+ * @access  Public
+ */
+router.get('/email/verify', verifyEmail);
+
+/**
+ * @route   POST /api/users/email/verify/resend
+ * @desc    重新发送邮箱验证邮件
+ * @access  Private
+ */
+router.post('/email/verify/resend', protect, resendVerificationEmail);
+
+/**
+ * @route   GET /api/users/security/lockouts
+ * @desc    获取登录/重置密码等接口的锁定审计记录
+ * @access  Private/Admin
+ */
+router.get('/security/lockouts', protect, authorize('admin'), getLockouts);
 
 /**
  * @route   DELETE /api/users/profile
@@ -99,4 +263,84 @@ router.post('/avatar', protect, uploadUserAvatar);
  */
 router.delete('/profile/avatar', protect, deleteUserAvatar);
 
+// 通知路由（标记已读不受封禁限制）
+/**
+ * @route   GET /api/users/notifications
+ * @desc    获取当前用户的通知（?unread=true 只返回未读）
+ * @access  Private
+ */
+router.get('/notifications', protect, getNotifications);
+
+/**
+ * @route   PUT /api/users/notifications/read-all
+ * @desc    将所有通知标记为已读
+ * @access  Private
+ */
+router.put('/notifications/read-all', allowSuspended, protect, markAllNotificationsRead);
+
+/**
+ * @route   PUT /api/users/notifications/:id/read
+ * @desc    将通知标记为已读
+ * @access  Private
+ */
+router.put('/notifications/:id/read', allowSuspended, protect, markNotificationRead);
+
+// 封禁管理路由（版主和管理员）
+/**
+ * @route   GET /api/users/wallet-bans
+ * @desc    获取钱包封禁列表
+ * @access  Private/Moderator
+ */
+router.get('/wallet-bans', protect, authorize('moderator', 'admin'), getWalletBans);
+
+/**
+ * @route   POST /api/users/wallet-bans
+ * @desc    封禁钱包地址
+ * @access  Private/Moderator
+ */
+router.post('/wallet-bans', protect, authorize('moderator', 'admin'), banWallet);
+
+/**
+ * @route   DELETE /api/users/wallet-bans/:walletAddress
+ * @desc    解除钱包封禁
+ * @access  Private/Moderator
+ */
+router.delete('/wallet-bans/:walletAddress', protect, authorize('moderator', 'admin'), unbanWallet);
+
+/**
+ * @route   GET /api/users/:id/suspensions
+ * @desc    获取用户的封禁记录
+ * @access  Private/Moderator
+ */
+router.get('/:id/suspensions', protect, authorize('moderator', 'admin'), getUserSuspensions);
+
+/**
+ * @route   POST /api/users/:id/suspensions
+ * @desc    封禁用户（不提供durationDays时为永久封禁，仅管理员可操作）
+ * @access  Private/Moderator
+ */
+router.post('/:id/suspensions', protect, authorize('moderator', 'admin'), suspendUser);
+
+/**
+ * @route   DELETE /api/users/:id/suspensions
+ * @desc    解除用户所有生效中的封禁
+ * @access  Private/Moderator
+ */
+router.delete('/:id/suspensions', protect, authorize('moderator', 'admin'), liftUserSuspension);
+
+/**
+ * @route   GET /api/users/:idOrUsername/tips
+ * @desc    获取用户收到的打赏总额（仅统计链上已确认的打赏）
+ * @access  Public
+ */
+router.get('/:idOrUsername/tips', getUserTips);
+
+/**
+ * @route   GET /api/users/:idOrUsername
+ * @desc    获取用户公开资料（按隐私设置过滤字段，默认不包含邮箱、手机号和QQ）
+ * @access  Public
+ * 注意：此路由需放在最后，避免覆盖 /profile、/wallets 等固定路径
+ */
+router.get('/:idOrUsername', optionalAuth, getPublicProfile);
+
 module.exports = router;
\ No newline at end of file
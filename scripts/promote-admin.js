@@ -0,0 +1,49 @@
+/**
+ * 设置用户角色（用于提升第一个管理员）
+ * 运行方式: node scripts/promote-admin.js <邮箱或用户名> [角色]
+ * 角色可选 member / moderator / admin，默认为 admin
+ */
+require('dotenv').config();
+const { pool } = require('../config/database');
+const User = require('../models/User');
+
+async function promoteUser() {
+  const [identifier, role = 'admin'] = process.argv.slice(2);
+
+  try {
+    if (!identifier) {
+      console.error('用法: node scripts/promote-admin.js <邮箱或用户名> [member|moderator|admin]');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!User.ROLES.includes(role)) {
+      console.error(`无效的角色: ${role}，可选值: ${User.ROLES.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = identifier.includes('@')
+      ? await User.findByEmail(identifier)
+      : await User.findByUsername(identifier);
+
+    if (!user) {
+      console.error(`未找到用户: ${identifier}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const updatedUser = await User.updateRole(user.id, role);
+
+    console.log(`已将用户 ${updatedUser.username} (ID: ${updatedUser.id}) 的角色设置为 ${updatedUser.role}`);
+  } catch (error) {
+    console.error('设置用户角色失败:', error);
+    process.exitCode = 1;
+  } finally {
+    // 关闭连接池
+    pool.end();
+  }
+}
+
+// 执行角色设置
+promoteUser();
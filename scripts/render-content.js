@@ -0,0 +1,72 @@
+/**
+ * 重新渲染话题和评论的HTML内容
+ * 运行方式: node scripts/render-content.js [--missing]
+ * 默认重新渲染所有记录（渲染规则调整后使用），--missing 只补全尚未渲染的记录
+ */
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { renderMarkdown } = require('../utils/markdown');
+
+// 每批处理的记录数
+const BATCH_SIZE = 200;
+
+/**
+ * 分批重新渲染一张表的内容
+ * @param {String} table - 表名(topics/comments)
+ * @param {Boolean} missingOnly - 是否只处理content_html为空的记录
+ * @returns {Promise<Number>} 处理的记录数
+ */
+async function renderTable(table, missingOnly) {
+  let lastId = 0;
+  let total = 0;
+
+  for (;;) {
+    const [rows] = await pool.execute(
+      `SELECT id, content FROM ${table}
+       WHERE id > ? ${missingOnly ? 'AND content_html IS NULL' : ''}
+       ORDER BY id ASC
+       LIMIT ${BATCH_SIZE}`,
+      [lastId]
+    );
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      // 保留updated_at，重新渲染不算内容修改
+      await pool.execute(
+        `UPDATE ${table} SET content_html = ?, updated_at = updated_at WHERE id = ?`,
+        [renderMarkdown(row.content), row.id]
+      );
+    }
+
+    lastId = rows[rows.length - 1].id;
+    total += rows.length;
+    console.log(`${table}: 已处理 ${total} 条`);
+  }
+
+  return total;
+}
+
+async function renderContent() {
+  const missingOnly = process.argv.slice(2).includes('--missing');
+
+  try {
+    console.log(`开始渲染内容${missingOnly ? '（只处理未渲染的记录）' : ''}...`);
+
+    const topicsCount = await renderTable('topics', missingOnly);
+    const commentsCount = await renderTable('comments', missingOnly);
+
+    console.log(`渲染完成：话题 ${topicsCount} 条，评论 ${commentsCount} 条。`);
+  } catch (error) {
+    console.error('渲染内容失败:', error);
+    process.exitCode = 1;
+  } finally {
+    // 关闭连接池
+    pool.end();
+  }
+}
+
+// 执行渲染
+renderContent();
@@ -0,0 +1,30 @@
+-- 认证限流计数表
+-- 按范围（如 login:ip、login:account）和键（IP、邮箱、钱包地址）记录窗口内的尝试次数和锁定状态
+CREATE TABLE IF NOT EXISTS auth_throttles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope VARCHAR(32) NOT NULL,
+  throttle_key VARCHAR(191) NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  lockouts INT NOT NULL DEFAULT 0,
+  window_started_at DATETIME NOT NULL,
+  locked_until DATETIME DEFAULT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_throttle_scope_key (scope, throttle_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 锁定审计表
+-- 每次触发锁定都会记录一条，供管理员排查暴力破解
+CREATE TABLE IF NOT EXISTS auth_lockouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope VARCHAR(32) NOT NULL,
+  throttle_key VARCHAR(191) NOT NULL,
+  ip VARCHAR(45) DEFAULT '',
+  attempts INT NOT NULL,
+  lock_seconds INT NOT NULL,
+  locked_until DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_lockout_created ON auth_lockouts(created_at);
+CREATE INDEX idx_lockout_scope_key ON auth_lockouts(scope, throttle_key);
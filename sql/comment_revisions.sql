@@ -0,0 +1,18 @@
+-- 评论编辑时间字段
+-- updated_at会随点赞数等字段变化，因此单独记录内容最后一次被编辑的时间
+ALTER TABLE comments ADD COLUMN edited_at DATETIME DEFAULT NULL;
+
+-- 评论历史版本表
+-- 每次编辑前保存旧内容，edited_by为执行这次编辑的用户
+CREATE TABLE IF NOT EXISTS comment_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  comment_id INT NOT NULL,
+  content TEXT NOT NULL,
+  edited_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+  FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_comment_revision_comment ON comment_revisions(comment_id, created_at);
@@ -0,0 +1,8 @@
+-- 话题和评论的渲染结果
+-- content 保存Markdown源文本，content_html 保存写入时渲染并过滤后的HTML
+-- 已有数据执行 node scripts/render-content.js 补全，NULL 时接口会临时渲染
+ALTER TABLE topics
+  ADD COLUMN content_html MEDIUMTEXT DEFAULT NULL AFTER content;
+
+ALTER TABLE comments
+  ADD COLUMN content_html MEDIUMTEXT DEFAULT NULL AFTER content;
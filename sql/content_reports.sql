@@ -0,0 +1,39 @@
+-- 话题和评论增加hidden状态
+-- hidden 为被隐藏（举报自动隐藏或版主隐藏），与deleted一样不在列表中显示，但可以恢复
+ALTER TABLE topics MODIFY COLUMN status ENUM('active', 'hidden', 'deleted') DEFAULT 'active';
+ALTER TABLE comments MODIFY COLUMN status ENUM('active', 'hidden', 'deleted') DEFAULT 'active';
+
+-- 内容举报表
+-- 同一用户对同一内容只保留一条举报，处理后再次举报会重新打开
+CREATE TABLE IF NOT EXISTS content_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  target_type ENUM('topic', 'comment') NOT NULL,
+  target_id INT NOT NULL,
+  reporter_id INT NOT NULL,
+  reason ENUM('spam', 'abuse', 'harassment', 'illegal', 'off_topic', 'other') NOT NULL,
+  note VARCHAR(500) DEFAULT NULL,
+  status ENUM('open', 'resolved', 'dismissed') NOT NULL DEFAULT 'open',
+  resolution_id INT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_report_reporter (target_type, target_id, reporter_id),
+  FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 举报处理记录表
+-- action: dismiss 驳回, hide 隐藏内容, delete 删除内容, warn 警告作者, suspend 封禁作者
+CREATE TABLE IF NOT EXISTS report_resolutions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  target_type ENUM('topic', 'comment') NOT NULL,
+  target_id INT NOT NULL,
+  target_author_id INT NOT NULL,
+  moderator_id INT NOT NULL,
+  action ENUM('dismiss', 'hide', 'delete', 'warn', 'suspend') NOT NULL,
+  note VARCHAR(500) DEFAULT NULL,
+  reports_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_report_status ON content_reports(status, target_type, target_id);
+CREATE INDEX idx_report_resolution_target ON report_resolutions(target_type, target_id);
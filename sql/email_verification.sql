@@ -0,0 +1,14 @@
+-- 添加邮箱验证状态字段
+ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME DEFAULT NULL;
+
+-- 验证字段是否存在
+SELECT 
+  COLUMN_NAME, 
+  DATA_TYPE 
+FROM 
+  INFORMATION_SCHEMA.COLUMNS 
+WHERE 
+  TABLE_SCHEMA = DATABASE() AND 
+  TABLE_NAME = 'users' AND
+  COLUMN_NAME IN ('email_verified', 'email_verified_at');
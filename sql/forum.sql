@@ -3,14 +3,19 @@ CREATE TABLE topics (
   id INT AUTO_INCREMENT PRIMARY KEY,
   title VARCHAR(255) NOT NULL,
   content TEXT NOT NULL,
+  content_html MEDIUMTEXT DEFAULT NULL,
   category VARCHAR(50) NOT NULL,
   author_id INT NOT NULL,
-  status ENUM('active', 'deleted') DEFAULT 'active',
+  status ENUM('active', 'hidden', 'deleted') DEFAULT 'active',
+  auto_hidden BOOLEAN DEFAULT 0,
   views INT DEFAULT 0,
   likes_count INT DEFAULT 0,
   comments_count INT DEFAULT 0,
   is_hot BOOLEAN DEFAULT 0,
   is_official BOOLEAN DEFAULT 0,
+  pinned_scope ENUM('category', 'global') DEFAULT NULL,
+  pinned_at DATETIME DEFAULT NULL,
+  is_locked BOOLEAN DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (author_id) REFERENCES users(id)
@@ -22,9 +27,12 @@ CREATE TABLE comments (
   topic_id INT NOT NULL,
   author_id INT NOT NULL,
   content TEXT NOT NULL,
+  content_html MEDIUMTEXT DEFAULT NULL,
   parent_id INT,
-  status ENUM('active', 'deleted') DEFAULT 'active',
+  status ENUM('active', 'hidden', 'deleted') DEFAULT 'active',
+  auto_hidden BOOLEAN DEFAULT 0,
   likes_count INT DEFAULT 0,
+  edited_at DATETIME DEFAULT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (topic_id) REFERENCES topics(id),
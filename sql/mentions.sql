@@ -0,0 +1,19 @@
+-- 提及记录表
+-- 每条话题或评论中被@的每个用户一条记录，offsets 为该用户在正文中出现的位置列表 [{offset, length}]（字符偏移），
+-- username 为正文中书写的用户名，编辑内容时整体重新计算
+CREATE TABLE IF NOT EXISTS mentions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  source_type ENUM('topic', 'comment') NOT NULL,
+  source_id INT NOT NULL,
+  user_id INT NOT NULL,
+  username VARCHAR(50) NOT NULL,
+  offsets JSON NOT NULL,
+  mentioned_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_mention_source_user (source_type, source_id, user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (mentioned_by) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_mention_user ON mentions(user_id, created_at);
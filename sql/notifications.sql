@@ -0,0 +1,34 @@
+-- 通知表
+-- type: comment 话题收到评论, reply 评论收到回复, topic_like 话题被点赞,
+--       comment_like 评论被点赞, mention 被提及, moderation 管理操作
+-- 点赞类通知在未读期间按同一对象聚合，actor_id 为最近一次操作的用户，actors_count 为参与的不同用户数
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type ENUM('comment', 'reply', 'topic_like', 'comment_like', 'mention', 'moderation') NOT NULL,
+  actor_id INT DEFAULT NULL,
+  actors_count INT NOT NULL DEFAULT 1,
+  target_type ENUM('topic', 'comment', 'user') NOT NULL,
+  target_id INT NOT NULL,
+  topic_id INT DEFAULT NULL,
+  data JSON,
+  is_read BOOLEAN NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 聚合通知的参与用户，保证同一用户在一条通知中只计一次
+CREATE TABLE IF NOT EXISTS notification_actors (
+  notification_id INT NOT NULL,
+  actor_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (notification_id, actor_id),
+  FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_notification_user ON notifications(user_id, is_read, updated_at);
+CREATE INDEX idx_notification_aggregate ON notifications(user_id, type, target_type, target_id, is_read);
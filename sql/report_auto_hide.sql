@@ -0,0 +1,4 @@
+-- 记录内容是否由举报自动隐藏
+-- 驳回举报时只恢复自动隐藏的内容，版主隐藏的内容保持隐藏
+ALTER TABLE topics ADD COLUMN auto_hidden BOOLEAN DEFAULT 0 AFTER status;
+ALTER TABLE comments ADD COLUMN auto_hidden BOOLEAN DEFAULT 0 AFTER status;
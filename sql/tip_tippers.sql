@@ -0,0 +1,8 @@
+-- 打赏人
+-- 钱包在交易确认后回调时，按付款钱包找到关联的论坛用户并记录为打赏人，
+-- 付款钱包未关联任何用户时为 NULL
+ALTER TABLE tips
+  ADD COLUMN tipper_id INT DEFAULT NULL AFTER payer_wallet,
+  ADD CONSTRAINT fk_tip_tipper FOREIGN KEY (tipper_id) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tip_tipper ON tips(tipper_id, status);
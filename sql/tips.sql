@@ -0,0 +1,34 @@
+-- 打赏记录表
+-- 每次通过Blink生成打赏交易时记录一条，reference 为写入交易的随机公钥（只读、非签名账户），
+-- 确认任务按 reference 在链上查找交易签名并核对收款金额后更新状态。
+-- amount 为链上最小单位（lamports 或代币最小单位），decimals 为对应精度
+CREATE TABLE IF NOT EXISTS tips (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  reference VARCHAR(44) NOT NULL,
+  topic_id INT NOT NULL,
+  recipient_id INT NOT NULL,
+  recipient_wallet VARCHAR(44) NOT NULL,
+  payer_wallet VARCHAR(44) NOT NULL,
+  tipper_id INT DEFAULT NULL,
+  currency VARCHAR(20) NOT NULL,
+  mint VARCHAR(44) DEFAULT NULL,
+  decimals TINYINT UNSIGNED NOT NULL,
+  amount BIGINT UNSIGNED NOT NULL,
+  status ENUM('pending', 'confirmed', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+  signature VARCHAR(88) DEFAULT NULL,
+  failure_reason VARCHAR(255) DEFAULT NULL,
+  checked_at DATETIME DEFAULT NULL,
+  confirmed_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_tip_reference (reference),
+  UNIQUE KEY uk_tip_signature (signature),
+  FOREIGN KEY (topic_id) REFERENCES topics(id) ON DELETE CASCADE,
+  FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (tipper_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_tip_status ON tips(status, checked_at);
+CREATE INDEX idx_tip_topic ON tips(topic_id, status);
+CREATE INDEX idx_tip_recipient ON tips(recipient_id, status);
+CREATE INDEX idx_tip_tipper ON tips(tipper_id, status);
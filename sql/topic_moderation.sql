@@ -0,0 +1,24 @@
+-- 话题管理字段
+-- pinned_scope: category 在所属分类内置顶，global 在所有列表中置顶，NULL 表示未置顶
+-- is_hot 即精选标记，is_official 为官方标记，两者已存在于topics表中
+ALTER TABLE topics
+  ADD COLUMN pinned_scope ENUM('category', 'global') DEFAULT NULL,
+  ADD COLUMN pinned_at DATETIME DEFAULT NULL,
+  ADD COLUMN is_locked BOOLEAN DEFAULT 0;
+
+-- 话题管理操作记录表
+-- 记录每次置顶、锁定、精选、官方标记的操作人和时间
+CREATE TABLE IF NOT EXISTS topic_moderation_logs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  topic_id INT NOT NULL,
+  moderator_id INT NOT NULL,
+  action ENUM('pin', 'unpin', 'lock', 'unlock', 'feature', 'unfeature', 'official', 'unofficial') NOT NULL,
+  detail VARCHAR(50) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (topic_id) REFERENCES topics(id) ON DELETE CASCADE,
+  FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_topic_pinned ON topics(pinned_scope, pinned_at);
+CREATE INDEX idx_topic_moderation_topic ON topic_moderation_logs(topic_id, created_at);
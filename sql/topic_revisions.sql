@@ -0,0 +1,20 @@
+-- 话题历史版本表
+-- 每个版本保存修改后的完整快照，revision为话题内从1开始递增的版本号；
+-- 话题第一次被修改时会先补记一条action为create的原始版本
+CREATE TABLE IF NOT EXISTS topic_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  topic_id INT NOT NULL,
+  revision INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  tags JSON,
+  changed_fields JSON,
+  action ENUM('create', 'edit', 'rollback') NOT NULL DEFAULT 'edit',
+  rollback_of INT DEFAULT NULL,
+  edited_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_topic_revision (topic_id, revision),
+  FOREIGN KEY (topic_id) REFERENCES topics(id) ON DELETE CASCADE,
+  FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
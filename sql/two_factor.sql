@@ -0,0 +1,25 @@
+-- 两步验证（TOTP）表
+-- secret为base32编码的共享密钥，enabled_at为空表示仍处于待确认状态
+-- last_used_step记录最近一次使用的时间步，防止同一验证码被重复使用
+CREATE TABLE IF NOT EXISTS user_two_factor (
+  user_id INT PRIMARY KEY,
+  secret VARCHAR(64) NOT NULL,
+  enabled_at DATETIME DEFAULT NULL,
+  last_used_step BIGINT DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 两步验证恢复码表
+-- 只保存恢复码的SHA-256哈希，每个恢复码只能使用一次
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_recovery_code_user ON user_recovery_codes(user_id, code_hash);
@@ -0,0 +1,17 @@
+-- 记录用户是否自己设置过密码
+-- 钱包创建的账户使用随机密码，用户并不知道，解除最后一个钱包前需要验证邮箱或设置密码
+ALTER TABLE users ADD COLUMN password_set BOOLEAN NOT NULL DEFAULT 1 AFTER password;
+
+-- 标记已有的钱包创建账户：仍使用占位邮箱，或注册时即关联了钱包
+-- 旧数据迁移的钱包沿用了账户的创建时间，这些账户也会被标记，修改或重置密码、验证邮箱后即可解除最后一个钱包
+UPDATE users u
+SET u.password_set = 0
+WHERE u.email LIKE '%@wallet.user'
+OR EXISTS (
+  SELECT 1 FROM user_wallets w
+  WHERE w.user_id = u.id
+  AND ABS(TIMESTAMPDIFF(SECOND, u.created_at, w.created_at)) <= 5
+);
+
+-- 验证迁移结果
+SELECT COUNT(*) AS wallet_created_users FROM users WHERE password_set = 0;
@@ -0,0 +1,16 @@
+-- 添加个人资料隐私设置字段
+-- 保存各字段的可见范围，如 {"phone": "private", "walletAddress": "public"}
+-- 可见范围：public（所有人）、members（登录用户）、private（仅自己）
+-- 为空时使用utils/userSerializer.js中的默认设置
+ALTER TABLE users ADD COLUMN privacy_settings JSON DEFAULT NULL;
+
+-- 验证字段是否存在
+SELECT 
+  COLUMN_NAME, 
+  DATA_TYPE 
+FROM 
+  INFORMATION_SCHEMA.COLUMNS 
+WHERE 
+  TABLE_SCHEMA = DATABASE() AND 
+  TABLE_NAME = 'users' AND
+  COLUMN_NAME = 'privacy_settings';
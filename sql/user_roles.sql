@@ -0,0 +1,16 @@
+-- 添加用户角色字段（member: 普通成员, moderator: 版主, admin: 管理员）
+ALTER TABLE users ADD COLUMN role ENUM('member', 'moderator', 'admin') NOT NULL DEFAULT 'member';
+
+-- 创建索引
+CREATE INDEX idx_user_role ON users(role);
+
+-- 验证字段是否存在
+SELECT 
+  COLUMN_NAME, 
+  COLUMN_TYPE 
+FROM 
+  INFORMATION_SCHEMA.COLUMNS 
+WHERE 
+  TABLE_SCHEMA = DATABASE() AND 
+  TABLE_NAME = 'users' AND
+  COLUMN_NAME = 'role';
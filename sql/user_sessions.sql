@@ -0,0 +1,19 @@
+-- 用户会话表
+-- 每次登录创建一条会话，保存刷新令牌的哈希值；访问令牌中携带会话ID，会话被撤销后访问令牌立即失效
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  previous_token_hash CHAR(64) DEFAULT NULL,
+  user_agent VARCHAR(255) DEFAULT '',
+  ip VARCHAR(45) DEFAULT '',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME DEFAULT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_session_user ON user_sessions(user_id);
+CREATE INDEX idx_session_previous_token ON user_sessions(previous_token_hash);
@@ -0,0 +1,17 @@
+-- 用户封禁表
+-- expires_at 为NULL表示永久封禁；lifted_at 不为NULL表示已提前解除
+CREATE TABLE IF NOT EXISTS user_suspensions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  expires_at DATETIME DEFAULT NULL,
+  created_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  lifted_at DATETIME DEFAULT NULL,
+  lifted_by INT DEFAULT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_suspension_user ON user_suspensions(user_id, lifted_at, expires_at);
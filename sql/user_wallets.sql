@@ -0,0 +1,42 @@
+-- 用户钱包表
+-- 一个用户可以关联多个钱包（如硬件钱包和热钱包），每个钱包地址只能属于一个用户
+-- is_primary标记在个人资料和话题作者信息中展示的主钱包，每个用户最多一个
+-- verified_at为通过签名验证所有权的时间，旧数据迁移过来的钱包为空，下次签名登录时补上
+CREATE TABLE IF NOT EXISTS user_wallets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  address VARCHAR(60) NOT NULL UNIQUE,
+  label VARCHAR(50) DEFAULT '',
+  is_primary BOOLEAN NOT NULL DEFAULT 0,
+  verified_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_user_wallet_user ON user_wallets(user_id, is_primary);
+
+-- 迁移users表中已有的钱包地址，作为各用户的主钱包（仅在旧字段存在时执行）
+SELECT COUNT(*) INTO @wallet_column_exists
+FROM INFORMATION_SCHEMA.COLUMNS
+WHERE TABLE_SCHEMA = DATABASE()
+AND TABLE_NAME = 'users'
+AND COLUMN_NAME = 'wallet_address';
+
+SET @migrate_wallets = 'INSERT IGNORE INTO user_wallets (user_id, address, is_primary, verified_at, created_at)
+  SELECT id, wallet_address, 1, NULL, created_at FROM users
+  WHERE wallet_address IS NOT NULL AND wallet_address != ''''';
+
+SELECT IF(@wallet_column_exists > 0, @migrate_wallets, 'SELECT 1') INTO @migrate_wallets_sql;
+PREPARE migrate_wallets_stmt FROM @migrate_wallets_sql;
+EXECUTE migrate_wallets_stmt;
+DEALLOCATE PREPARE migrate_wallets_stmt;
+
+-- 迁移完成后删除users表中的钱包字段
+SELECT IF(@wallet_column_exists > 0, 'ALTER TABLE users DROP COLUMN wallet_address', 'SELECT 1') INTO @drop_wallet_sql;
+PREPARE drop_wallet_stmt FROM @drop_wallet_sql;
+EXECUTE drop_wallet_stmt;
+DEALLOCATE PREPARE drop_wallet_stmt;
+
+-- 验证迁移结果
+SELECT COUNT(*) AS migrated_wallets FROM user_wallets;
@@ -3,7 +3,10 @@ CREATE TABLE IF NOT EXISTS users (
   id INT AUTO_INCREMENT PRIMARY KEY,
   username VARCHAR(50) NOT NULL UNIQUE,
   email VARCHAR(100) NOT NULL UNIQUE,
+  email_verified BOOLEAN NOT NULL DEFAULT 0,
+  email_verified_at DATETIME DEFAULT NULL,
   password VARCHAR(255) NOT NULL,
+  password_set BOOLEAN NOT NULL DEFAULT 1,
   phone VARCHAR(20) DEFAULT '',
   qq VARCHAR(20) DEFAULT '',
   region VARCHAR(100) DEFAULT '',
@@ -12,8 +15,9 @@ CREATE TABLE IF NOT EXISTS users (
   github VARCHAR(50) DEFAULT '',
   twitter VARCHAR(50) DEFAULT '',
   website VARCHAR(255) DEFAULT '',
-  wallet_address VARCHAR(60) DEFAULT NULL,
   avatar VARCHAR(255) DEFAULT '',
+  role ENUM('member', 'moderator', 'admin') NOT NULL DEFAULT 'member',
+  privacy_settings JSON DEFAULT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -21,4 +25,4 @@ CREATE TABLE IF NOT EXISTS users (
 -- 创建索引
 CREATE INDEX idx_username ON users(username);
 CREATE INDEX idx_email ON users(email);
-CREATE INDEX idx_wallet_address ON users(wallet_address); 
\ No newline at end of file
+CREATE INDEX idx_user_role ON users(role); 
\ No newline at end of file
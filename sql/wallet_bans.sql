@@ -0,0 +1,10 @@
+-- 钱包封禁表
+-- 被封禁的钱包不能登录、注册新账户或关联到任何账户
+CREATE TABLE IF NOT EXISTS wallet_bans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  address VARCHAR(60) NOT NULL UNIQUE,
+  reason VARCHAR(500) NOT NULL,
+  banned_by INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (banned_by) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- 钱包登录挑战表（Sign-In With Solana）
+-- 每条记录对应一次性、带过期时间的签名消息，使用后写入used_at防止重放
+CREATE TABLE IF NOT EXISTS wallet_nonces (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  wallet_address VARCHAR(60) NOT NULL,
+  nonce VARCHAR(64) NOT NULL UNIQUE,
+  purpose ENUM('login', 'associate') NOT NULL DEFAULT 'login',
+  message TEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- 创建索引
+CREATE INDEX idx_wallet_nonce_address ON wallet_nonces(wallet_address);
+CREATE INDEX idx_wallet_nonce_expires ON wallet_nonces(expires_at);
@@ -25,6 +25,11 @@ TIMESTAMP=$(date +%s)
 TEST_USERNAME="testuser_forum_${TIMESTAMP}"
 TEST_EMAIL="test_forum_${TIMESTAMP}@example.com"
 
+# 分类和标签的增删改需要管理员权限
+# 先通过 node scripts/promote-admin.js <邮箱> 提升管理员，再通过环境变量提供其账号
+ADMIN_EMAIL="${ADMIN_EMAIL:-}"
+ADMIN_PASSWORD="${ADMIN_PASSWORD:-}"
+
 # 测试用户注册和登录（获取令牌）
 echo -e "${BLUE}▶ 1. 准备测试环境${NC}"
 echo -e "  注册测试用户..."
@@ -65,6 +70,24 @@ echo "  • 用户名: $TEST_USERNAME"
 echo "  • 邮箱: $TEST_EMAIL"
 echo "  • 用户ID: $USER_ID"
 
+echo -e "  登录管理员账号..."
+ADMIN_LOGIN_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/users/login" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "email": "'$ADMIN_EMAIL'",
+    "password": "'$ADMIN_PASSWORD'"
+  }')
+
+ADMIN_TOKEN=$(echo $ADMIN_LOGIN_RESPONSE | grep -o '"token":"[^"]*"' | cut -d '"' -f 4)
+ADMIN_WALLET=$(echo $ADMIN_LOGIN_RESPONSE | grep -o '"walletAddress":"[^"]*"' | cut -d '"' -f 4)
+
+if [ -z "$ADMIN_TOKEN" ]; then
+  echo -e "${YELLOW}⚠ 未能登录管理员账号，分类和标签管理测试将失败${NC}"
+  echo -e "${YELLOW}  请设置 ADMIN_EMAIL 和 ADMIN_PASSWORD 环境变量${NC}"
+else
+  echo -e "${GREEN}✓ 管理员登录成功${NC}"
+fi
+
 echo -e "${BLUE}===============================================${NC}"
 
 # 测试分类CRUD
@@ -92,6 +115,27 @@ GET_CATEGORIES_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/c
 
 echo "  获取分类列表响应: $GET_CATEGORIES_RESPONSE"
 
+# 普通用户创建分类
+echo -e "\n  2.1.1 普通用户创建分类（应失败）"
+# 预期响应：
+# 状态码：403
+# {
+#   "message": "禁止访问，权限不足"
+# }
+echo -e "  发送请求: POST $BASE_URL/api/forum/categories"
+MEMBER_CATEGORY_STATUS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -w "%{http_code}" -X POST "$BASE_URL/api/forum/categories" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{
+    "name": "普通用户分类_'$TIMESTAMP'"
+  }')
+
+if [ "$MEMBER_CATEGORY_STATUS" = "403" ]; then
+  echo -e "${GREEN}✓ 普通用户被正确拒绝创建分类${NC}"
+else
+  echo -e "${RED}✗ 普通用户不应能创建分类，状态码: $MEMBER_CATEGORY_STATUS${NC}"
+fi
+
 # 创建分类
 echo -e "\n  2.2 创建新分类"
 CATEGORY_NAME="测试分类_${TIMESTAMP}"
@@ -111,7 +155,7 @@ CATEGORY_NAME="测试分类_${TIMESTAMP}"
 echo -e "  发送请求: POST $BASE_URL/api/forum/categories"
 CREATE_CATEGORY_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/categories" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "'$CATEGORY_NAME'",
     "description": "这是一个测试分类",
@@ -175,7 +219,7 @@ NEW_CATEGORY_NAME="${CATEGORY_NAME}_updated"
 echo -e "  发送请求: PUT $BASE_URL/api/forum/categories/$CATEGORY_ID"
 UPDATE_CATEGORY_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X PUT "$BASE_URL/api/forum/categories/$CATEGORY_ID" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "'$NEW_CATEGORY_NAME'",
     "description": "这是一个更新后的测试分类",
@@ -208,7 +252,7 @@ echo -e "\n  2.5 删除分类"
 # }
 echo -e "  发送请求: DELETE $BASE_URL/api/forum/categories/$CATEGORY_ID"
 DELETE_CATEGORY_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X DELETE "$BASE_URL/api/forum/categories/$CATEGORY_ID" \
-  -H "Authorization: Bearer $TOKEN")
+  -H "Authorization: Bearer $ADMIN_TOKEN")
 
 echo "  删除分类响应: $DELETE_CATEGORY_RESPONSE"
 
@@ -264,7 +308,7 @@ TAG_NAME="测试标签_${TIMESTAMP}"
 echo -e "  发送请求: POST $BASE_URL/api/forum/tags"
 CREATE_TAG_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/tags" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "'$TAG_NAME'"
   }')
@@ -322,7 +366,7 @@ NEW_TAG_NAME="${TAG_NAME}_updated"
 echo -e "  发送请求: PUT $BASE_URL/api/forum/tags/$TAG_ID"
 UPDATE_TAG_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X PUT "$BASE_URL/api/forum/tags/$TAG_ID" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "'$NEW_TAG_NAME'"
   }')
@@ -347,7 +391,7 @@ echo -e "\n  3.5 删除标签"
 # }
 echo -e "  发送请求: DELETE $BASE_URL/api/forum/tags/$TAG_ID"
 DELETE_TAG_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X DELETE "$BASE_URL/api/forum/tags/$TAG_ID" \
-  -H "Authorization: Bearer $TOKEN")
+  -H "Authorization: Bearer $ADMIN_TOKEN")
 
 echo "  删除标签响应: $DELETE_TAG_RESPONSE"
 
@@ -371,7 +415,7 @@ TOPIC_CATEGORY_NAME="话题测试分类_${TIMESTAMP}"
 # 预期响应与创建分类相同
 CREATE_TOPIC_CATEGORY_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/categories" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "'$TOPIC_CATEGORY_NAME'",
     "description": "用于测试话题的分类"
@@ -471,6 +515,8 @@ echo -e "\n  4.3 获取话题详情"
 #     "id": 作者ID,
 #     "username": "作者用户名",
 #     "avatar": "作者头像URL",
+#     "walletAddress": "主钱包地址（按隐私设置过滤）",
+#     "wallet_address": "同walletAddress，兼容旧客户端",
 #     ...其他作者信息
 #   }
 # }
@@ -488,6 +534,217 @@ else
   echo -e "${RED}✗ 获取话题详情失败${NC}"
 fi
 
+# 作者信息保留旧客户端使用的wallet_address字段
+if [ ! -z "$(echo $GET_TOPIC_RESPONSE | grep -o '"author":{[^}]*"wallet_address":')" ]; then
+  echo -e "${GREEN}✓ 话题作者信息包含wallet_address字段${NC}"
+else
+  echo -e "${RED}✗ 话题作者信息缺少wallet_address字段${NC}"
+fi
+
+echo -e "\n  4.3.1 Markdown渲染"
+# 创建包含代码块和HTML标签的话题，详情中的contentHtml为渲染并过滤后的HTML
+# 预期响应：
+# 状态码：200
+# {
+#   "topic": {
+#     "content": "Markdown源文本",
+#     "contentHtml": "<p><strong>加粗</strong> &lt;script&gt;...</p>\n<pre><code class=\"language-js\">...</code></pre>\n",
+#     ...
+#   }
+# }
+MARKDOWN_TOPIC_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/topics" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{
+    "title": "Markdown测试_'$TIMESTAMP'",
+    "content": "**加粗** <script>alert(1)</script>\n\n```js\nconst a = 1;\n```",
+    "category": "'$TOPIC_CATEGORY_NAME'"
+  }')
+
+MARKDOWN_TOPIC_ID=$(echo $MARKDOWN_TOPIC_RESPONSE | grep -o '"topicId":[0-9]*' | cut -d ':' -f 2)
+
+echo -e "  发送请求: GET $BASE_URL/api/forum/topics/$MARKDOWN_TOPIC_ID"
+MARKDOWN_GET_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$MARKDOWN_TOPIC_ID")
+
+echo "  Markdown话题详情响应: $MARKDOWN_GET_RESPONSE"
+
+MARKDOWN_HTML=$(echo "$MARKDOWN_GET_RESPONSE" | grep -o '"contentHtml":"[^}]*')
+
+if [ ! -z "$(echo "$MARKDOWN_HTML" | grep -o '<strong>加粗</strong>')" ] && \
+   [ ! -z "$(echo "$MARKDOWN_HTML" | grep -o 'class=\\"language-js\\"')" ] && \
+   [ -z "$(echo "$MARKDOWN_HTML" | grep -o '<script>')" ]; then
+  echo -e "${GREEN}✓ Markdown渲染正确，HTML标签已转义${NC}"
+else
+  echo -e "${RED}✗ Markdown渲染结果不正确${NC}"
+fi
+
+if [ ! -z "$MARKDOWN_TOPIC_ID" ]; then
+  curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/forum/topics/$MARKDOWN_TOPIC_ID" \
+    -H "Authorization: Bearer $TOKEN"
+fi
+
+echo -e "\n  4.3.2 话题打赏Action"
+# 测试用户未关联钱包，Action元数据中操作被禁用，生成交易返回Actions错误
+# 预期响应：
+# GET 状态码：200
+# {
+#   "type": "action",
+#   "icon": "https://.../donate-sol.jpg",
+#   "title": "打赏「测试话题_xxx」",
+#   "description": "向作者 xxx 打赏SOL，支持优质内容",
+#   "label": "打赏",
+#   "links": {
+#     "actions": [
+#       { "type": "transaction", "label": "0.01 SOL", "href": "/api/actions/tip/话题ID?amount=0.01" },
+#       { "type": "transaction", "label": "1 USDC", "href": "/api/actions/tip/话题ID?token=USDC&amount=1" },
+#       ...,
+#       { "type": "transaction", "label": "打赏", "href": "...?token={token}&amount={amount}", "parameters": [{ "type": "select", "name": "token", ... }, { "type": "number", "name": "amount", ... }] }
+#     ]
+#   },
+#   "disabled": true,
+#   "error": { "message": "作者尚未关联钱包，暂时无法打赏" }
+# }
+# POST 状态码：400
+# {
+#   "message": "作者尚未关联钱包，暂时无法打赏"
+# }
+echo -e "  发送请求: GET $BASE_URL/api/actions/tip/$TOPIC_ID"
+TIP_ACTION_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/actions/tip/$TOPIC_ID")
+
+echo "  打赏Action响应: $TIP_ACTION_RESPONSE"
+
+echo -e "  发送请求: POST $BASE_URL/api/actions/tip/$TOPIC_ID?amount=0.01"
+TIP_POST_RESPONSE=$(curl -s -m $CURL_TIMEOUT -w "\n%{http_code}" -X POST "$BASE_URL/api/actions/tip/$TOPIC_ID?amount=0.01" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "account": "11111111111111111111111111111111"
+  }')
+TIP_POST_STATUS=$(echo "$TIP_POST_RESPONSE" | tail -n 1)
+
+echo "  打赏交易响应: $(echo "$TIP_POST_RESPONSE" | head -n 1)"
+
+# 不在配置中的代币返回400
+TIP_TOKEN_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/actions/tip/$TOPIC_ID?token=UNKNOWN&amount=1" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "account": "11111111111111111111111111111111"
+  }')
+
+echo "  不支持代币的打赏交易响应: $TIP_TOKEN_RESPONSE"
+
+# 超过u64上限的金额返回400
+TIP_OVERFLOW_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/actions/tip/$TOPIC_ID?amount=99999999999999" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "account": "11111111111111111111111111111111"
+  }')
+
+echo "  超大金额的打赏交易响应: $TIP_OVERFLOW_RESPONSE"
+
+if [ ! -z "$(echo $TIP_ACTION_RESPONSE | grep -o '"type":"action"')" ] && \
+   [ ! -z "$(echo $TIP_ACTION_RESPONSE | grep -o '"disabled":true')" ] && \
+   [ ! -z "$(echo $TIP_ACTION_RESPONSE | grep -o '"name":"token"')" ] && \
+   [ ! -z "$(echo $TIP_TOKEN_RESPONSE | grep -o '"message":"不支持的打赏代币"')" ] && \
+   [ ! -z "$(echo $TIP_OVERFLOW_RESPONSE | grep -o '"message":"请输入有效的打赏金额"')" ] && \
+   [ "$TIP_POST_STATUS" = "400" ]; then
+  echo -e "${GREEN}✓ 作者未关联钱包时打赏Action被禁用并返回错误${NC}"
+else
+  echo -e "${RED}✗ 打赏Action响应不正确，状态码: $TIP_POST_STATUS${NC}"
+fi
+
+echo -e "\n  4.3.3 actions.json与Actions跨域"
+# actions.json返回URL映射规则，Actions接口的OPTIONS请求返回规范要求的跨域和版本头
+# 预期响应：
+# GET /actions.json 状态码：200
+# {
+#   "rules": [{ "pathPattern": "/forum/topics/*", "apiPath": "/api/actions/tip/*" }, ...]
+# }
+# OPTIONS /api/actions/tip/话题ID 状态码：204，响应头包含：
+# Access-Control-Allow-Origin: *
+# X-Action-Version: 2.4
+# X-Blockchain-Ids: solana:...
+echo -e "  发送请求: GET $BASE_URL/actions.json"
+ACTIONS_JSON_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/actions.json")
+
+echo "  actions.json响应: $ACTIONS_JSON_RESPONSE"
+
+echo -e "  发送请求: OPTIONS $BASE_URL/api/actions/tip/$TOPIC_ID"
+ACTIONS_OPTIONS_HEADERS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -D - -X OPTIONS "$BASE_URL/api/actions/tip/$TOPIC_ID" \
+  -H "Origin: https://dial.to" \
+  -H "Access-Control-Request-Method: POST")
+
+if [ ! -z "$(echo $ACTIONS_JSON_RESPONSE | grep -o '"apiPath":"/api/actions/tip/\*"')" ] && \
+   [ ! -z "$(echo "$ACTIONS_OPTIONS_HEADERS" | grep -i '^access-control-allow-origin: \*')" ] && \
+   [ ! -z "$(echo "$ACTIONS_OPTIONS_HEADERS" | grep -i '^x-action-version:')" ] && \
+   [ ! -z "$(echo "$ACTIONS_OPTIONS_HEADERS" | grep -i '^x-blockchain-ids:')" ]; then
+  echo -e "${GREEN}✓ actions.json和Actions跨域头正确${NC}"
+else
+  echo -e "${RED}✗ actions.json或Actions跨域头不正确${NC}"
+fi
+
+echo -e "\n  4.3.4 话题打赏总额"
+# 只统计链上已确认的打赏，测试话题没有打赏时总额为空
+# 预期响应：
+# 状态码：200
+# {
+#   "topicId": 话题ID,
+#   "tips": {
+#     "count": 0,
+#     "totals": []
+#   }
+# }
+echo -e "  发送请求: GET $BASE_URL/api/forum/topics/$TOPIC_ID/tips"
+TOPIC_TIPS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID/tips")
+
+echo "  话题打赏总额响应: $TOPIC_TIPS_RESPONSE"
+
+if [ ! -z "$(echo $TOPIC_TIPS_RESPONSE | grep -o '"tips":{"count":0,"totals":\[\]}')" ]; then
+  echo -e "${GREEN}✓ 话题打赏总额获取成功${NC}"
+else
+  echo -e "${RED}✗ 话题打赏总额响应不正确${NC}"
+fi
+
+echo -e "\n  4.3.5 打赏交易回调与后续操作"
+# 回调的reference没有对应的打赏记录时返回Actions错误，后续操作返回话题页跳转链接
+# 预期响应：
+# POST /api/actions/tip/话题ID/next 状态码：404
+# {
+#   "message": "打赏记录不存在"
+# }
+# POST /api/actions/tip/话题ID/open/topic 状态码：200
+# {
+#   "type": "external-link",
+#   "externalLink": "http://.../forum/topics/话题ID"
+# }
+TIP_SIGNATURE=$(printf '1%.0s' {1..64})
+echo -e "  发送请求: POST $BASE_URL/api/actions/tip/$TOPIC_ID/next?reference=11111111111111111111111111111111"
+TIP_NEXT_RESPONSE=$(curl -s -m $CURL_TIMEOUT -w "\n%{http_code}" -X POST "$BASE_URL/api/actions/tip/$TOPIC_ID/next?reference=11111111111111111111111111111111" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "account": "11111111111111111111111111111111",
+    "signature": "'$TIP_SIGNATURE'"
+  }')
+TIP_NEXT_STATUS=$(echo "$TIP_NEXT_RESPONSE" | tail -n 1)
+
+echo "  打赏回调响应: $(echo "$TIP_NEXT_RESPONSE" | head -n 1)"
+
+echo -e "  发送请求: POST $BASE_URL/api/actions/tip/$TOPIC_ID/open/topic"
+TIP_LINK_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/actions/tip/$TOPIC_ID/open/topic" \
+  -H "Content-Type: application/json" \
+  -d '{
+    "account": "11111111111111111111111111111111"
+  }')
+
+echo "  后续操作响应: $TIP_LINK_RESPONSE"
+
+if [ "$TIP_NEXT_STATUS" = "404" ] && \
+   [ ! -z "$(echo $TIP_LINK_RESPONSE | grep -o '"type":"external-link"')" ] && \
+   [ ! -z "$(echo $TIP_LINK_RESPONSE | grep -o "/forum/topics/$TOPIC_ID\"")" ]; then
+  echo -e "${GREEN}✓ 打赏回调和后续操作响应正确${NC}"
+else
+  echo -e "${RED}✗ 打赏回调或后续操作响应不正确，状态码: $TIP_NEXT_STATUS${NC}"
+fi
+
 # 更新话题
 echo -e "\n  4.4 更新话题"
 NEW_TOPIC_TITLE="${TOPIC_TITLE}_updated"
@@ -517,6 +774,77 @@ else
   echo -e "${RED}✗ 更新话题失败${NC}"
 fi
 
+# 话题历史版本、版本比较和管理员回滚
+echo -e "\n  4.4.1 话题历史版本与回滚"
+# 预期响应：
+# 状态码：200
+# {
+#   "topicId": 话题ID,
+#   "revisions": [
+#     { "revision": 2, "action": "edit", "changedFields": ["title", "content"], ... },
+#     { "revision": 1, "action": "create", "changedFields": [], ... }
+#   ]
+# }
+echo -e "  发送请求: GET $BASE_URL/api/forum/topics/$TOPIC_ID/revisions"
+TOPIC_REVISIONS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID/revisions" \
+  -H "Authorization: Bearer $TOKEN")
+
+echo "  历史版本响应: $TOPIC_REVISIONS_RESPONSE"
+
+if [ ! -z "$(echo $TOPIC_REVISIONS_RESPONSE | grep -o '"revision":2')" ] && \
+   [ ! -z "$(echo $TOPIC_REVISIONS_RESPONSE | grep -o '"changedFields":\["title","content"\]')" ]; then
+  echo -e "${GREEN}✓ 更新话题已记录为新版本${NC}"
+else
+  echo -e "${RED}✗ 未找到更新话题产生的版本${NC}"
+fi
+
+echo -e "  发送请求: GET $BASE_URL/api/forum/topics/$TOPIC_ID/revisions/diff?from=1&to=2"
+TOPIC_DIFF_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID/revisions/diff?from=1&to=2" \
+  -H "Authorization: Bearer $TOKEN")
+
+echo "  版本比较响应: $TOPIC_DIFF_RESPONSE"
+
+if [ ! -z "$(echo $TOPIC_DIFF_RESPONSE | grep -o "\"type\":\"added\",\"line\":\"$NEW_TOPIC_CONTENT\"")" ]; then
+  echo -e "${GREEN}✓ 版本比较返回了正文差异${NC}"
+else
+  echo -e "${RED}✗ 版本比较结果不正确${NC}"
+fi
+
+# 普通用户回滚话题
+# 预期响应：
+# 状态码：403
+echo -e "  发送请求: POST $BASE_URL/api/forum/topics/$TOPIC_ID/revisions/1/rollback (普通用户)"
+USER_ROLLBACK_STATUS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -w "%{http_code}" -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/revisions/1/rollback" \
+  -H "Authorization: Bearer $TOKEN")
+
+if [ "$USER_ROLLBACK_STATUS" = "403" ]; then
+  echo -e "${GREEN}✓ 普通用户无法回滚话题${NC}"
+else
+  echo -e "${RED}✗ 普通用户回滚话题未被拒绝，状态码: $USER_ROLLBACK_STATUS${NC}"
+fi
+
+# 管理员回滚到原始版本后再回滚到更新后的版本，保持后续测试使用的话题内容不变
+# 预期响应：
+# 状态码：200
+# {
+#   "success": true,
+#   "topic": { "id": 话题ID, "title": "原标题", ... }
+# }
+echo -e "  发送请求: POST $BASE_URL/api/forum/topics/$TOPIC_ID/revisions/1/rollback (管理员)"
+ADMIN_ROLLBACK_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/revisions/1/rollback" \
+  -H "Authorization: Bearer $ADMIN_TOKEN")
+
+echo "  回滚话题响应: $ADMIN_ROLLBACK_RESPONSE"
+
+curl -s -m $CURL_TIMEOUT -o /dev/null -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/revisions/2/rollback" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+if [ ! -z "$(echo $ADMIN_ROLLBACK_RESPONSE | grep -o "\"title\":\"$TOPIC_TITLE\"")" ]; then
+  echo -e "${GREEN}✓ 管理员回滚话题成功${NC}"
+else
+  echo -e "${RED}✗ 管理员回滚话题失败${NC}"
+fi
+
 # 测试话题点赞功能
 echo -e "\n  4.5 话题点赞"
 # 预期响应：
@@ -563,6 +891,95 @@ else
   echo -e "${RED}✗ 取消话题点赞失败${NC}"
 fi
 
+# 测试话题管理功能（置顶、锁定）
+echo -e "\n  4.7 话题管理"
+# 普通用户置顶话题
+# 预期响应：
+# 状态码：403
+# {
+#   "message": "禁止访问，权限不足"
+# }
+echo -e "  发送请求: PUT $BASE_URL/api/forum/topics/$TOPIC_ID/pin (普通用户)"
+USER_PIN_STATUS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -w "%{http_code}" -X PUT "$BASE_URL/api/forum/topics/$TOPIC_ID/pin" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"scope": "global"}')
+
+if [ "$USER_PIN_STATUS" = "403" ]; then
+  echo -e "${GREEN}✓ 普通用户无法置顶话题${NC}"
+else
+  echo -e "${RED}✗ 普通用户置顶话题未被拒绝，状态码: $USER_PIN_STATUS${NC}"
+fi
+
+# 管理员全站置顶
+# 预期响应：
+# 状态码：200
+# {
+#   "success": true,
+#   "message": "话题已置顶",
+#   "topic": { "id": 话题ID, "isPinned": true, "pinnedScope": "global", ... }
+# }
+echo -e "  发送请求: PUT $BASE_URL/api/forum/topics/$TOPIC_ID/pin (管理员)"
+PIN_TOPIC_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X PUT "$BASE_URL/api/forum/topics/$TOPIC_ID/pin" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -d '{"scope": "global"}')
+
+echo "  置顶话题响应: $PIN_TOPIC_RESPONSE"
+
+if [ ! -z "$(echo $PIN_TOPIC_RESPONSE | grep -o '"pinnedScope":"global"')" ]; then
+  echo -e "${GREEN}✓ 置顶话题成功${NC}"
+else
+  echo -e "${RED}✗ 置顶话题失败${NC}"
+fi
+
+curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/forum/topics/$TOPIC_ID/pin" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+# 锁定后发表评论
+# 预期响应：
+# 状态码：403
+# {
+#   "error": "话题已锁定，无法发表评论"
+# }
+echo -e "  发送请求: PUT $BASE_URL/api/forum/topics/$TOPIC_ID/lock (管理员)"
+curl -s -m $CURL_TIMEOUT -o /dev/null -X PUT "$BASE_URL/api/forum/topics/$TOPIC_ID/lock" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+LOCKED_COMMENT_STATUS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -w "%{http_code}" -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/comments" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"content": "锁定话题下的评论"}')
+
+curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/forum/topics/$TOPIC_ID/lock" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+if [ "$LOCKED_COMMENT_STATUS" = "403" ]; then
+  echo -e "${GREEN}✓ 锁定的话题拒绝新评论${NC}"
+else
+  echo -e "${RED}✗ 锁定的话题仍可评论，状态码: $LOCKED_COMMENT_STATUS${NC}"
+fi
+
+# 管理记录
+# 预期响应：
+# 状态码：200
+# {
+#   "topicId": 话题ID,
+#   "logs": [ { "action": "unlock", "moderatorId": 管理员ID, "createdAt": "操作时间" }, ... ]
+# }
+echo -e "  发送请求: GET $BASE_URL/api/forum/topics/$TOPIC_ID/moderation-logs"
+MODERATION_LOGS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID/moderation-logs" \
+  -H "Authorization: Bearer $ADMIN_TOKEN")
+
+echo "  管理记录响应: $MODERATION_LOGS_RESPONSE"
+
+if [ ! -z "$(echo $MODERATION_LOGS_RESPONSE | grep -o '"action":"pin"')" ] && \
+   [ ! -z "$(echo $MODERATION_LOGS_RESPONSE | grep -o '"action":"lock"')" ]; then
+  echo -e "${GREEN}✓ 管理操作已记录${NC}"
+else
+  echo -e "${RED}✗ 管理记录不完整${NC}"
+fi
+
 echo -e "${BLUE}===============================================${NC}"
 
 # 测试评论功能
@@ -612,11 +1029,12 @@ echo -e "\n  5.2 获取评论列表"
 #       "content": "评论内容",
 #       "parentId": 父评论ID或null,
 #       "status": "active",
+#       "isDeleted": false,
 #       "likesCount": 点赞数,
+#       "repliesCount": 回复数,
 #       "isLiked": false,
 #       "createdAt": "创建时间",
-#       "updatedAt": "更新时间",
-#       "replies": [] // 回复列表
+#       "updatedAt": "更新时间"
 #     },
 #     ...
 #   ],
@@ -627,6 +1045,62 @@ GET_COMMENTS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/top
 
 echo "  获取评论列表响应: $GET_COMMENTS_RESPONSE"
 
+# 回复评论
+echo -e "\n  5.2.1 回复评论并分页加载回复"
+echo -e "  发送请求: POST $BASE_URL/api/forum/topics/$TOPIC_ID/comments (parentId: $COMMENT_ID)"
+CREATE_REPLY_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/comments" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{
+    "content": "这是一条测试回复_'$TIMESTAMP'",
+    "parentId": '$COMMENT_ID'
+  }')
+
+echo "  回复评论响应: $CREATE_REPLY_RESPONSE"
+REPLY_ID=$(echo $CREATE_REPLY_RESPONSE | grep -o '"commentId":[0-9]*' | cut -d ':' -f 2)
+
+echo -e "  发送请求: GET $BASE_URL/api/forum/comments/$COMMENT_ID/replies"
+GET_REPLIES_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/comments/$COMMENT_ID/replies")
+
+echo "  回复列表响应: $GET_REPLIES_RESPONSE"
+
+if [ ! -z "$REPLY_ID" ] && [ ! -z "$(echo $GET_REPLIES_RESPONSE | grep -o "\"id\":$REPLY_ID,")" ]; then
+  echo -e "${GREEN}✓ 回复评论成功，可通过回复接口加载${NC}"
+else
+  echo -e "${RED}✗ 回复评论失败或回复列表中未找到该回复${NC}"
+fi
+
+# 编辑评论
+echo -e "\n  5.2.2 编辑评论并查看历史版本"
+# 预期响应：
+# 状态码：200
+# {
+#   "success": true,
+#   "comment": { "id": 评论ID, "content": "新内容", "edited": true, "editedAt": "编辑时间" }
+# }
+echo -e "  发送请求: PUT $BASE_URL/api/forum/comments/$COMMENT_ID"
+UPDATE_COMMENT_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X PUT "$BASE_URL/api/forum/comments/$COMMENT_ID" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{
+    "content": "这是一条编辑过的测试评论_'$TIMESTAMP'"
+  }')
+
+echo "  编辑评论响应: $UPDATE_COMMENT_RESPONSE"
+
+echo -e "  发送请求: GET $BASE_URL/api/forum/comments/$COMMENT_ID/revisions"
+REVISIONS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/comments/$COMMENT_ID/revisions" \
+  -H "Authorization: Bearer $TOKEN")
+
+echo "  历史版本响应: $REVISIONS_RESPONSE"
+
+if [ ! -z "$(echo $UPDATE_COMMENT_RESPONSE | grep -o '"edited":true')" ] && \
+   [ ! -z "$(echo $REVISIONS_RESPONSE | grep -o "\"content\":\"$COMMENT_CONTENT\"")" ]; then
+  echo -e "${GREEN}✓ 编辑评论成功，旧内容保存在历史版本中${NC}"
+else
+  echo -e "${RED}✗ 编辑评论失败或历史版本中缺少旧内容${NC}"
+fi
+
 # 测试评论点赞功能
 echo -e "\n  5.3 评论点赞"
 # 预期响应：
@@ -673,6 +1147,201 @@ else
   echo -e "${RED}✗ 取消评论点赞失败${NC}"
 fi
 
+# 测试举报和举报处理
+echo -e "\n  5.4.1 举报评论与处理举报"
+# 举报自己的评论
+# 预期响应：
+# 状态码：400
+# {
+#   "error": "不能举报自己的内容"
+# }
+echo -e "  发送请求: POST $BASE_URL/api/forum/comments/$COMMENT_ID/report (作者本人)"
+SELF_REPORT_STATUS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -w "%{http_code}" -X POST "$BASE_URL/api/forum/comments/$COMMENT_ID/report" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"reason": "spam"}')
+
+if [ "$SELF_REPORT_STATUS" = "400" ]; then
+  echo -e "${GREEN}✓ 不能举报自己的评论${NC}"
+else
+  echo -e "${RED}✗ 举报自己的评论未被拒绝，状态码: $SELF_REPORT_STATUS${NC}"
+fi
+
+# 其他用户举报
+# 预期响应：
+# 状态码：201
+# {
+#   "success": true,
+#   "message": "举报已提交，感谢您的反馈"
+# }
+echo -e "  发送请求: POST $BASE_URL/api/forum/comments/$COMMENT_ID/report (管理员)"
+REPORT_COMMENT_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/comments/$COMMENT_ID/report" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -d '{"reason": "spam", "note": "测试举报"}')
+
+echo "  举报评论响应: $REPORT_COMMENT_RESPONSE"
+
+# 举报队列
+# 预期响应：
+# 状态码：200
+# {
+#   "reports": [
+#     { "targetType": "comment", "targetId": 评论ID, "reportsCount": 1, "reasons": { "spam": 1 }, "target": { ... } }
+#   ],
+#   "totalCount": 待处理内容数量,
+#   "pageCount": 总页数
+# }
+echo -e "  发送请求: GET $BASE_URL/api/forum/reports?type=comment"
+REPORT_QUEUE_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/reports?type=comment&limit=100" \
+  -H "Authorization: Bearer $ADMIN_TOKEN")
+
+if [ ! -z "$(echo $REPORT_QUEUE_RESPONSE | grep -o "\"targetType\":\"comment\",\"targetId\":$COMMENT_ID,")" ]; then
+  echo -e "${GREEN}✓ 举报已进入处理队列${NC}"
+else
+  echo -e "${RED}✗ 处理队列中未找到该举报${NC}"
+fi
+
+# 驳回举报
+# 预期响应：
+# 状态码：200
+# {
+#   "success": true,
+#   "resolution": { "resolutionId": 处理记录ID, "action": "dismiss", "reportsCount": 1, ... }
+# }
+echo -e "  发送请求: POST $BASE_URL/api/forum/reports/comment/$COMMENT_ID/resolve"
+RESOLVE_REPORT_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/reports/comment/$COMMENT_ID/resolve" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -d '{"action": "dismiss", "note": "测试驳回"}')
+
+echo "  处理举报响应: $RESOLVE_REPORT_RESPONSE"
+
+if [ ! -z "$(echo $RESOLVE_REPORT_RESPONSE | grep -o '"action":"dismiss"')" ]; then
+  echo -e "${GREEN}✓ 举报处理成功${NC}"
+else
+  echo -e "${RED}✗ 举报处理失败${NC}"
+fi
+
+# 测试通知
+echo -e "\n  5.4.2 点赞通知与标记已读"
+# 管理员点赞测试用户的话题后，测试用户收到聚合的点赞通知
+# 预期响应：
+# 状态码：200
+# {
+#   "notifications": [
+#     { "id": 通知ID, "type": "topic_like", "message": "xxx 赞了你的话题「...」", "actorsCount": 1, "isRead": false, ... }
+#   ],
+#   "unreadCount": 未读数量,
+#   "totalCount": 通知总数,
+#   "pageCount": 总页数
+# }
+curl -s -m $CURL_TIMEOUT -o /dev/null -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/like" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+echo -e "  发送请求: GET $BASE_URL/api/users/notifications?unread=true"
+NOTIFICATIONS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/users/notifications?unread=true" \
+  -H "Authorization: Bearer $TOKEN")
+
+echo "  通知列表响应: $NOTIFICATIONS_RESPONSE"
+
+# 全部标记为已读
+# 预期响应：
+# 状态码：200
+# {
+#   "message": "所有通知已标记为已读",
+#   "count": 标记数量
+# }
+curl -s -m $CURL_TIMEOUT -o /dev/null -X PUT "$BASE_URL/api/users/notifications/read-all" \
+  -H "Authorization: Bearer $TOKEN"
+
+UNREAD_AFTER_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/users/notifications?unread=true" \
+  -H "Authorization: Bearer $TOKEN")
+
+curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/forum/topics/$TOPIC_ID/like" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+if [ ! -z "$(echo $NOTIFICATIONS_RESPONSE | grep -o '"type":"topic_like"')" ] && \
+   [ ! -z "$(echo $UNREAD_AFTER_RESPONSE | grep -o '"unreadCount":0')" ]; then
+  echo -e "${GREEN}✓ 收到点赞通知，全部标记已读后未读数为0${NC}"
+else
+  echo -e "${RED}✗ 点赞通知或标记已读不正确${NC}"
+fi
+
+echo -e "\n  5.4.3 @提及"
+# 管理员在评论中提到测试用户，评论列表返回提及信息，测试用户收到提及通知
+# 预期响应：
+# 状态码：201
+# {
+#   "success": true,
+#   "commentId": 评论ID
+# }
+# 评论列表中该评论包含：
+# "mentions": [{ "userId": 用户ID, "username": "testuser_forum_xxx", "offset": 3, "length": 用户名长度+1 }]
+echo -e "  发送请求: POST $BASE_URL/api/forum/topics/$TOPIC_ID/comments"
+MENTION_COMMENT_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/comments" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -d '{
+    "content": "请看 @'$TEST_USERNAME' 的观点"
+  }')
+
+echo "  提及评论响应: $MENTION_COMMENT_RESPONSE"
+MENTION_COMMENT_ID=$(echo $MENTION_COMMENT_RESPONSE | grep -o '"commentId":[0-9]*' | cut -d ':' -f 2)
+
+MENTION_COMMENTS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID/comments")
+MENTION_NOTIFICATIONS_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/users/notifications?unread=true" \
+  -H "Authorization: Bearer $TOKEN")
+
+if [ ! -z "$(echo $MENTION_COMMENTS_RESPONSE | grep -o '"mentions":\[{"userId":[0-9]*,"username":"'$TEST_USERNAME'","offset":3')" ] && \
+   [ ! -z "$(echo $MENTION_NOTIFICATIONS_RESPONSE | grep -o '"type":"mention"')" ]; then
+  echo -e "${GREEN}✓ 评论返回提及信息，被提及用户收到通知${NC}"
+else
+  echo -e "${RED}✗ 提及信息或提及通知不正确${NC}"
+fi
+
+if [ ! -z "$MENTION_COMMENT_ID" ]; then
+  curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/forum/comments/$MENTION_COMMENT_ID" \
+    -H "Authorization: Bearer $ADMIN_TOKEN"
+fi
+
+echo -e "\n  5.4.4 实时推送"
+# 订阅话题的实时事件后发表评论，连接中应收到comment.created事件
+# 预期响应（text/event-stream）：
+# event: ready
+# data: {"channels":["topic:话题ID"]}
+#
+# event: comment.created
+# data: {"id":"事件ID","type":"comment.created","data":{"topicId":话题ID,"comment":{...}},"timestamp":"..."}
+STREAM_OUTPUT_FILE=$(mktemp)
+echo -e "  发送请求: GET $BASE_URL/api/realtime/stream?topics=$TOPIC_ID"
+curl -s -N -m 5 "$BASE_URL/api/realtime/stream?topics=$TOPIC_ID&access_token=$TOKEN" > "$STREAM_OUTPUT_FILE" &
+STREAM_PID=$!
+sleep 1
+
+STREAM_COMMENT_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/topics/$TOPIC_ID/comments" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -d '{
+    "content": "实时推送测试评论"
+  }')
+STREAM_COMMENT_ID=$(echo $STREAM_COMMENT_RESPONSE | grep -o '"commentId":[0-9]*' | cut -d ':' -f 2)
+
+wait $STREAM_PID
+echo "  实时推送内容: $(cat "$STREAM_OUTPUT_FILE")"
+
+if [ ! -z "$(grep -o 'event: comment.created' "$STREAM_OUTPUT_FILE")" ]; then
+  echo -e "${GREEN}✓ 实时推送收到新评论事件${NC}"
+else
+  echo -e "${RED}✗ 实时推送未收到新评论事件${NC}"
+fi
+rm -f "$STREAM_OUTPUT_FILE"
+
+if [ ! -z "$STREAM_COMMENT_ID" ]; then
+  curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/forum/comments/$STREAM_COMMENT_ID" \
+    -H "Authorization: Bearer $ADMIN_TOKEN"
+fi
+
 # 测试删除评论
 echo -e "\n  5.5 删除评论"
 # 预期响应：
@@ -695,6 +1364,18 @@ else
   echo -e "${RED}✗ 删除评论失败${NC}"
 fi
 
+# 有回复的评论删除后应以占位形式保留
+echo -e "\n  5.5.1 已删除的父评论以占位形式保留"
+PLACEHOLDER_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID/comments")
+
+echo "  删除后的评论列表响应: $PLACEHOLDER_RESPONSE"
+
+if [ ! -z "$(echo $PLACEHOLDER_RESPONSE | grep -o "\"id\":$COMMENT_ID,[^}]*\"isDeleted\":true")" ]; then
+  echo -e "${GREEN}✓ 已删除的父评论保留为占位，回复串未断开${NC}"
+else
+  echo -e "${RED}✗ 有回复的已删除评论应以占位形式保留${NC}"
+fi
+
 echo -e "${BLUE}===============================================${NC}"
 
 # 测试错误情况
@@ -748,7 +1429,7 @@ echo -e "\n  6.2 测试创建重复标签"
 echo -e "  发送请求: POST $BASE_URL/api/forum/tags"
 DUPLICATE_TAG_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/tags" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "重复标签"
   }')
@@ -756,7 +1437,7 @@ DUPLICATE_TAG_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/t
 # 再次创建相同标签
 DUPLICATE_TAG_RESPONSE2=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/tags" \
   -H "Content-Type: application/json" \
-  -H "Authorization: Bearer $TOKEN" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
   -d '{
     "name": "重复标签"
   }')
@@ -772,6 +1453,79 @@ else
   echo -e "${RED}✗ 测试失败: 系统未正确处理重复标签${NC}"
 fi
 
+echo -e "\n  6.3 测试被封禁用户只能浏览"
+# 管理员封禁测试用户1天
+# 预期响应：
+# 状态码：201
+# {
+#   "message": "用户已被封禁1天",
+#   "suspension": { "reason": "测试封禁", "permanent": false, "expiresAt": "到期时间", ... }
+# }
+echo -e "  发送请求: POST $BASE_URL/api/users/$USER_ID/suspensions"
+SUSPEND_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/users/$USER_ID/suspensions" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $ADMIN_TOKEN" \
+  -d '{"reason": "测试封禁", "durationDays": 1}')
+
+echo "  封禁用户响应: $SUSPEND_RESPONSE"
+
+# 被封禁期间发帖
+# 预期响应：
+# 状态码：403
+# {
+#   "message": "您的账号已被封禁，封禁期间只能浏览内容",
+#   "code": "ACCOUNT_SUSPENDED",
+#   "suspension": { ... }
+# }
+SUSPENDED_POST_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X POST "$BASE_URL/api/forum/topics" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"title": "封禁期间的话题", "content": "不应发布成功", "category": "'$TOPIC_CATEGORY_ID'"}')
+
+SUSPENDED_READ_STATUS=$(curl -s -m $CURL_TIMEOUT -o /dev/null -w "%{http_code}" -X GET "$BASE_URL/api/forum/topics/$TOPIC_ID" \
+  -H "Authorization: Bearer $TOKEN")
+
+echo "  封禁期间发帖响应: $SUSPENDED_POST_RESPONSE"
+
+# 解除封禁，不影响后续清理步骤
+curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/users/$USER_ID/suspensions" \
+  -H "Authorization: Bearer $ADMIN_TOKEN"
+
+if [ ! -z "$(echo $SUSPENDED_POST_RESPONSE | grep -o '"code":"ACCOUNT_SUSPENDED"')" ] && [ "$SUSPENDED_READ_STATUS" = "200" ]; then
+  echo -e "${GREEN}✓ 测试通过: 被封禁用户不能发帖但可以浏览${NC}"
+else
+  echo -e "${RED}✗ 测试失败: 封禁未按预期生效，浏览状态码: $SUSPENDED_READ_STATUS${NC}"
+fi
+
+echo -e "\n  6.4 测试不能封禁管理员的钱包"
+# 管理员账号需已关联钱包（登录响应包含walletAddress）
+# 预期响应：
+# 状态码：403
+# {
+#   "message": "不能封禁版主或管理员的钱包"
+# }
+if [ -z "$ADMIN_WALLET" ]; then
+  echo -e "${YELLOW}⚠ 管理员账号未关联钱包，跳过此测试${NC}"
+else
+  echo -e "  发送请求: POST $BASE_URL/api/users/wallet-bans"
+  ADMIN_WALLET_BAN_RESPONSE=$(curl -s -m $CURL_TIMEOUT -w "\n%{http_code}" -X POST "$BASE_URL/api/users/wallet-bans" \
+    -H "Content-Type: application/json" \
+    -H "Authorization: Bearer $ADMIN_TOKEN" \
+    -d '{"walletAddress": "'$ADMIN_WALLET'", "reason": "测试封禁"}')
+  ADMIN_WALLET_BAN_STATUS=$(echo "$ADMIN_WALLET_BAN_RESPONSE" | tail -n 1)
+
+  echo "  封禁管理员钱包响应: $(echo "$ADMIN_WALLET_BAN_RESPONSE" | head -n 1)"
+
+  if [ "$ADMIN_WALLET_BAN_STATUS" = "403" ]; then
+    echo -e "${GREEN}✓ 测试通过: 管理员的钱包不能被封禁${NC}"
+  else
+    # 防止误封后影响管理员账号
+    curl -s -m $CURL_TIMEOUT -o /dev/null -X DELETE "$BASE_URL/api/users/wallet-bans/$ADMIN_WALLET" \
+      -H "Authorization: Bearer $ADMIN_TOKEN"
+    echo -e "${RED}✗ 测试失败: 管理员的钱包被封禁，状态码: $ADMIN_WALLET_BAN_STATUS${NC}"
+  fi
+fi
+
 echo -e "${BLUE}===============================================${NC}"
 
 # 清理资源
@@ -790,6 +1544,25 @@ DELETE_TOPIC_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X DELETE "$BASE_URL/api/forum/
 
 echo "  删除话题响应: $DELETE_TOPIC_RESPONSE"
 
+# 话题删除后不能再通过回复接口读取其中的评论
+echo -e "\n  7.1.1 测试已删除话题中评论的回复列表"
+# 预期响应：
+# 状态码：404
+# {
+#   "error": "话题不存在"
+# }
+echo -e "  发送请求: GET $BASE_URL/api/forum/comments/$COMMENT_ID/replies"
+DELETED_TOPIC_REPLIES_RESPONSE=$(curl -s -m $CURL_TIMEOUT -w "\n%{http_code}" -X GET "$BASE_URL/api/forum/comments/$COMMENT_ID/replies")
+DELETED_TOPIC_REPLIES_STATUS=$(echo "$DELETED_TOPIC_REPLIES_RESPONSE" | tail -n 1)
+
+echo "  回复列表响应: $(echo "$DELETED_TOPIC_REPLIES_RESPONSE" | head -n 1)"
+
+if [ "$DELETED_TOPIC_REPLIES_STATUS" = "404" ]; then
+  echo -e "${GREEN}✓ 测试通过: 话题删除后回复列表返回404${NC}"
+else
+  echo -e "${RED}✗ 测试失败: 话题删除后回复列表应返回404，实际状态码 $DELETED_TOPIC_REPLIES_STATUS${NC}"
+fi
+
 # 删除分类
 echo -e "\n  7.2 删除测试分类"
 # 预期响应：
@@ -800,7 +1573,7 @@ echo -e "\n  7.2 删除测试分类"
 # 或 400 如果分类下有话题
 echo -e "  发送请求: DELETE $BASE_URL/api/forum/categories/$TOPIC_CATEGORY_ID"
 DELETE_TOPIC_CATEGORY_RESPONSE=$(curl -s -m $CURL_TIMEOUT -X DELETE "$BASE_URL/api/forum/categories/$TOPIC_CATEGORY_ID" \
-  -H "Authorization: Bearer $TOKEN")
+  -H "Authorization: Bearer $ADMIN_TOKEN")
 
 echo "  删除分类响应: $DELETE_TOPIC_CATEGORY_RESPONSE"
 
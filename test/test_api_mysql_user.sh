@@ -470,6 +470,57 @@ else
   echo -e "${YELLOW}实际: $FINAL_PROFILE_UPDATED${NC}"
 fi
 
+echo "6.5 测试获取公开资料（按用户名和ID）"
+# 预期响应：
+# 状态码：200
+# {
+#   "id": 用户ID,
+#   "username": "更新后的用户名",
+#   "stats": { "topicsCount": 0, "commentsCount": 0, "likesReceived": 0 },
+#   ...（不包含email、phone、qq）
+# }
+PUBLIC_BY_NAME=$(curl -s -X GET "$BASE_URL/api/users/$NEW_USERNAME")
+PUBLIC_BY_ID=$(curl -s -X GET "$BASE_URL/api/users/$USER_ID")
+
+echo "按用户名获取公开资料响应: $PUBLIC_BY_NAME"
+echo "按ID获取公开资料响应: $PUBLIC_BY_ID"
+
+PUBLIC_NAME_CHECK=$(echo $PUBLIC_BY_NAME | grep -o '"username":"'$NEW_USERNAME'"')
+PUBLIC_ID_CHECK=$(echo $PUBLIC_BY_ID | grep -o '"username":"'$NEW_USERNAME'"')
+PUBLIC_STATS_CHECK=$(echo $PUBLIC_BY_NAME | grep -o '"stats":{"topicsCount":[0-9]*')
+PRIVATE_FIELDS=$(echo $PUBLIC_BY_NAME $PUBLIC_BY_ID | grep -o '"email"\|"phone"\|"qq"')
+
+if [ ! -z "$PUBLIC_NAME_CHECK" ] && [ ! -z "$PUBLIC_ID_CHECK" ] && [ ! -z "$PUBLIC_STATS_CHECK" ] && [ -z "$PRIVATE_FIELDS" ]; then
+  echo -e "${GREEN}✓ 测试通过: 公开资料包含活动统计且不暴露私密字段${NC}"
+else
+  echo -e "${RED}✗ 测试失败: 公开资料应包含活动统计且不包含邮箱、手机号和QQ${NC}"
+fi
+
+echo "6.6 测试隐私设置"
+# 将手机号设为公开、GitHub设为仅自己可见
+PRIVACY_RESPONSE=$(curl -s -X PUT "$BASE_URL/api/users/profile" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"phone": "13800138000", "privacy": {"phone": "public", "github": "private"}}')
+INVALID_PRIVACY_STATUS=$(curl -s -o /dev/null -w "%{http_code}" -X PUT "$BASE_URL/api/users/profile" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
+  -d '{"privacy": {"phone": "everyone"}}')
+PUBLIC_AFTER_PRIVACY=$(curl -s -X GET "$BASE_URL/api/users/$USER_ID")
+
+echo "更新隐私设置响应: $PRIVACY_RESPONSE"
+echo "无效隐私设置状态码: $INVALID_PRIVACY_STATUS"
+echo "更新后的公开资料: $PUBLIC_AFTER_PRIVACY"
+
+PHONE_VISIBLE=$(echo $PUBLIC_AFTER_PRIVACY | grep -o '"phone":"13800138000"')
+GITHUB_HIDDEN=$(echo $PUBLIC_AFTER_PRIVACY | grep -o '"github"')
+
+if [ ! -z "$PHONE_VISIBLE" ] && [ -z "$GITHUB_HIDDEN" ] && [ "$INVALID_PRIVACY_STATUS" = "400" ]; then
+  echo -e "${GREEN}✓ 测试通过: 公开资料按隐私设置展示字段${NC}"
+else
+  echo -e "${RED}✗ 测试失败: 公开资料应遵循隐私设置${NC}"
+fi
+
 echo "=================="
 
 # 测试删除用户账户
@@ -17,10 +17,44 @@ echo -e "${BLUE}===============================================${NC}"
 echo -e "${BLUE}  Solana Wallet登录/注册/绑定流程测试          ${NC}"
 echo -e "${BLUE}===============================================${NC}"
 
-# 使用提供的Solana钱包地址示例
-WALLET_ADDRESS="HekxQd1SGHP33Pg8y2u1SVM3iE39mDnj5kBJQN3c7hX3"
+# 生成测试用的Solana密钥对（需要在项目根目录执行 npm install）
+# 钱包登录需要对服务端签发的消息签名，因此不能再使用固定的钱包地址示例
+generate_secret_key() {
+  node -e "const nacl=require('tweetnacl');const bs58=require('bs58');console.log(bs58.encode(nacl.sign.keyPair().secretKey))"
+}
+
+secret_to_address() {
+  node -e "const nacl=require('tweetnacl');const bs58=require('bs58');console.log(bs58.encode(nacl.sign.keyPair.fromSecretKey(bs58.decode(process.argv[1])).publicKey))" "$1"
+}
+
+# 请求登录挑战并签名，输出可直接提交的JSON请求体
+# 参数: $1 私钥(base58) $2 用途(login/associate)
+signed_wallet_body() {
+  node -e "
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+const [baseUrl, secret, purpose] = process.argv.slice(1);
+const keyPair = nacl.sign.keyPair.fromSecretKey(bs58.decode(secret));
+const walletAddress = bs58.encode(keyPair.publicKey);
+fetch(baseUrl + '/api/users/wallet/nonce', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ walletAddress, purpose })
+}).then(res => res.json()).then(({ nonce, message }) => {
+  const signature = bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), keyPair.secretKey));
+  console.log(JSON.stringify({ walletAddress, nonce, signature }));
+});
+" "$BASE_URL" "$1" "$2"
+}
+
+WALLET_SECRET=$(generate_secret_key)
+WALLET_ADDRESS=$(secret_to_address "$WALLET_SECRET")
 # 第二个测试地址用于测试绑定功能
-SECOND_WALLET_ADDRESS="HhX31SGHP33Pg8y2u1SVM3iE39mDnj5kBJQN3c7ekxQd"
+SECOND_WALLET_SECRET=$(generate_secret_key)
+SECOND_WALLET_ADDRESS=$(secret_to_address "$SECOND_WALLET_SECRET")
+# 第三个测试地址用于测试同一用户关联多个钱包
+THIRD_WALLET_SECRET=$(generate_secret_key)
+THIRD_WALLET_ADDRESS=$(secret_to_address "$THIRD_WALLET_SECRET")
 
 # 生成测试用户数据
 TIMESTAMP=$(date +%s)
@@ -30,40 +64,27 @@ TEST_PASSWORD="password123"
 WALLET_USERNAME=""  # 用于存储钱包创建的用户名
 WALLET_EMAIL=""     # 用于存储钱包创建的邮箱
 
-# 预清理：尝试删除可能存在的测试用户以确保测试干净
-echo -e "${BLUE}▶ 预清理环境${NC}"
-# 连接钱包地址获取令牌
-echo "  尝试清理使用第一个钱包地址的用户..."
-PRE_CONNECT_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
-  -H "Content-Type: application/json" \
-  -d '{
-    "walletAddress": "'$WALLET_ADDRESS'"
-  }')
-
-PRE_TOKEN=$(echo $PRE_CONNECT_RESPONSE | grep -o '"token":"[^"]*"' | cut -d '"' -f 4)
+# 每次运行都使用新生成的钱包，无需预清理
 
-if [ ! -z "$PRE_TOKEN" ]; then
-  echo "  发现之前的测试用户，删除中..."
-  curl -s -X DELETE "$BASE_URL/api/users/profile" \
-    -H "Authorization: Bearer $PRE_TOKEN" > /dev/null
-  echo "  删除完成"
-fi
-
-# 预清理第二个钱包地址
-echo "  尝试清理使用第二个钱包地址的用户..."
-PRE_CONNECT_RESPONSE2=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
+echo -e "${BLUE}0. 测试未签名的钱包连接（应失败）${NC}"
+# 预期响应：
+# 状态码：400
+# {
+#   "message": "钱包地址、签名和nonce都是必需的"
+# }
+UNSIGNED_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
   -H "Content-Type: application/json" \
   -d '{
-    "walletAddress": "'$SECOND_WALLET_ADDRESS'"
+    "walletAddress": "'$WALLET_ADDRESS'"
   }')
 
-PRE_TOKEN2=$(echo $PRE_CONNECT_RESPONSE2 | grep -o '"token":"[^"]*"' | cut -d '"' -f 4)
+echo "  未签名连接响应: $UNSIGNED_RESPONSE"
 
-if [ ! -z "$PRE_TOKEN2" ]; then
-  echo "  发现之前的测试用户，删除中..."
-  curl -s -X DELETE "$BASE_URL/api/users/profile" \
-    -H "Authorization: Bearer $PRE_TOKEN2" > /dev/null
-  echo "  删除完成"
+if [ -z "$(echo $UNSIGNED_RESPONSE | grep -o '"token"')" ]; then
+  echo -e "${GREEN}✓ 系统正确拒绝未签名的钱包连接${NC}"
+else
+  echo -e "${RED}✗ 系统不应为未签名的请求签发令牌${NC}"
+  echo -e "${YELLOW}  实际: $UNSIGNED_RESPONSE${NC}"
 fi
 
 echo -e "${BLUE}===============================================${NC}"
@@ -82,11 +103,10 @@ echo -e "${BLUE}1. 通过钱包地址创建新用户${NC}"
 #   "token": "JWT令牌",
 #   "isNewUser": true
 # }
+CONNECT_BODY=$(signed_wallet_body "$WALLET_SECRET" login)
 CONNECT_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
   -H "Content-Type: application/json" \
-  -d '{
-    "walletAddress": "'$WALLET_ADDRESS'"
-  }')
+  -d "$CONNECT_BODY")
 
 echo "  钱包连接响应: $CONNECT_RESPONSE"
 
@@ -125,11 +145,10 @@ echo -e "${BLUE}2. 使用相同钱包地址重新连接${NC}"
 #   "token": "JWT令牌",
 #   "isNewUser": false
 # }
-RECONNECT_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
+RECONNECT_BODY=$(signed_wallet_body "$WALLET_SECRET" login)
+CONNECT_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
   -H "Content-Type: application/json" \
-  -d '{
-    "walletAddress": "'$WALLET_ADDRESS'"
-  }')
+  -d "$CONNECT_BODY")
 
 echo "  钱包重新连接响应: $RECONNECT_RESPONSE"
 
@@ -146,6 +165,28 @@ else
   echo -e "${YELLOW}  实际: $RECONNECT_RESPONSE${NC}"
 fi
 
+echo -e "${BLUE}2.1 重放已使用的签名（应失败）${NC}"
+# 预期响应：
+# 状态码：401
+# {
+#   "message": "钱包签名无效或已过期"
+# }
+REPLAY_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
+  -H "Content-Type: application/json" \
+  -d "$CONNECT_BODY")
+
+echo "  重放签名响应: $REPLAY_RESPONSE"
+
+REPLAY_CHECK=$(echo $REPLAY_RESPONSE | grep -o '"message":"钱包签名无效或已过期"')
+
+if [ ! -z "$REPLAY_CHECK" ]; then
+  echo -e "${GREEN}✓ 系统正确拒绝重放的签名${NC}"
+else
+  echo -e "${RED}✗ 系统应拒绝已使用过的nonce${NC}"
+  echo -e "${YELLOW}  预期: 响应应包含签名无效的消息${NC}"
+  echo -e "${YELLOW}  实际: $REPLAY_RESPONSE${NC}"
+fi
+
 echo -e "${BLUE}3. 查看钱包用户资料${NC}"
 WALLET_PROFILE_RESPONSE=$(curl -s -X GET "$BASE_URL/api/users/profile" \
   -H "Authorization: Bearer $WALLET_TOKEN")
@@ -225,9 +266,7 @@ echo -e "${BLUE}2. 关联钱包地址到邮箱注册的用户${NC}"
 ASSOCIATE_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/profile/wallet" \
   -H "Content-Type: application/json" \
   -H "Authorization: Bearer $NORMAL_TOKEN" \
-  -d '{
-    "walletAddress": "'$SECOND_WALLET_ADDRESS'"
-  }')
+  -d "$(signed_wallet_body "$SECOND_WALLET_SECRET" associate)")
 
 echo "  钱包关联响应: $ASSOCIATE_RESPONSE"
 
@@ -256,9 +295,7 @@ echo -e "${BLUE}3. 使用已关联的钱包地址登录${NC}"
 # }
 WALLET_LOGIN_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
   -H "Content-Type: application/json" \
-  -d '{
-    "walletAddress": "'$SECOND_WALLET_ADDRESS'"
-  }')
+  -d "$(signed_wallet_body "$SECOND_WALLET_SECRET" login)")
 
 echo "  钱包登录响应: $WALLET_LOGIN_RESPONSE"
 
@@ -314,30 +351,117 @@ echo -e "${BLUE}===============================================${NC}"
 echo -e "${BLUE}▶ 安全限制测试${NC}"
 echo -e "${BLUE}===============================================${NC}"
 
-echo -e "${BLUE}1. 测试尝试更改已设置的钱包地址（应失败）${NC}"
+echo -e "${BLUE}1. 测试为同一用户关联第二个钱包${NC}"
 # 预期响应：
-# 状态码：400
+# 状态码：200
 # {
-#   "message": "您已关联钱包地址，不支持修改"
+#   "walletAddress": "主钱包地址（仍为第一个关联的钱包）",
+#   "wallets": [...],
+#   "message": "钱包地址关联成功"
 # }
-CHANGE_WALLET_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/profile/wallet" \
+SECOND_LINK_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/profile/wallet" \
   -H "Content-Type: application/json" \
   -H "Authorization: Bearer $NORMAL_TOKEN" \
-  -d '{
-    "walletAddress": "TestNewWalletAddressXXXXXXXXXXXXXXXXXXXXXX"
-  }')
+  -d "$(signed_wallet_body "$THIRD_WALLET_SECRET" associate | sed 's/}$/,"label":"热钱包"}/')")
 
-echo "  更改钱包地址响应: $CHANGE_WALLET_RESPONSE"
+echo "  关联第二个钱包响应: $SECOND_LINK_RESPONSE"
 
-# 检查是否正确拒绝更改
-ERROR_CHECK=$(echo $CHANGE_WALLET_RESPONSE | grep -o '"message":"您已关联钱包地址，不支持修改"')
+SECOND_LINK_CHECK=$(echo $SECOND_LINK_RESPONSE | grep -o '"message":"钱包地址关联成功"')
+PRIMARY_UNCHANGED=$(echo $SECOND_LINK_RESPONSE | grep -o "\"walletAddress\":\"$SECOND_WALLET_ADDRESS\"")
 
-if [ ! -z "$ERROR_CHECK" ]; then
-  echo -e "${GREEN}✓ 系统正确拒绝用户更改已设置的钱包地址${NC}"
+if [ ! -z "$SECOND_LINK_CHECK" ] && [ ! -z "$PRIMARY_UNCHANGED" ]; then
+  echo -e "${GREEN}✓ 用户可以关联多个钱包，主钱包保持不变${NC}"
 else
-  echo -e "${RED}✗ 系统应拒绝用户更改已设置的钱包地址${NC}"
-  echo -e "${YELLOW}  预期: 响应应包含不支持修改的消息${NC}"
-  echo -e "${YELLOW}  实际: $CHANGE_WALLET_RESPONSE${NC}"
+  echo -e "${RED}✗ 用户应能关联第二个钱包且主钱包不变${NC}"
+  echo -e "${YELLOW}  实际: $SECOND_LINK_RESPONSE${NC}"
+fi
+
+echo -e "${BLUE}1.1 测试使用第二个钱包登录${NC}"
+THIRD_WALLET_LOGIN=$(curl -s -X POST "$BASE_URL/api/users/wallet" \
+  -H "Content-Type: application/json" \
+  -d "$(signed_wallet_body "$THIRD_WALLET_SECRET" login)")
+
+echo "  第二个钱包登录响应: $THIRD_WALLET_LOGIN"
+THIRD_LOGIN_USER_ID=$(echo $THIRD_WALLET_LOGIN | grep -o '"id":[0-9]*' | cut -d ':' -f 2)
+
+if [ "$THIRD_LOGIN_USER_ID" = "$NORMAL_USER_ID" ]; then
+  echo -e "${GREEN}✓ 任意已关联钱包都可以登录同一账户${NC}"
+else
+  echo -e "${RED}✗ 使用已关联的第二个钱包应登录同一账户${NC}"
+fi
+
+echo -e "${BLUE}1.2 测试钱包列表和设置主钱包${NC}"
+WALLETS_RESPONSE=$(curl -s -X GET "$BASE_URL/api/users/wallets" \
+  -H "Authorization: Bearer $NORMAL_TOKEN")
+
+echo "  钱包列表响应: $WALLETS_RESPONSE"
+THIRD_WALLET_ID=$(echo $WALLETS_RESPONSE | grep -o "\"id\":[0-9]*,\"address\":\"$THIRD_WALLET_ADDRESS\"" | grep -o '[0-9]*' | head -1)
+
+SET_PRIMARY_RESPONSE=$(curl -s -X PUT "$BASE_URL/api/users/wallets/$THIRD_WALLET_ID/primary" \
+  -H "Authorization: Bearer $NORMAL_TOKEN")
+PRIMARY_PROFILE=$(curl -s -X GET "$BASE_URL/api/users/profile" \
+  -H "Authorization: Bearer $NORMAL_TOKEN")
+
+echo "  设置主钱包响应: $SET_PRIMARY_RESPONSE"
+
+if [ ! -z "$(echo $PRIMARY_PROFILE | grep -o "\"walletAddress\":\"$THIRD_WALLET_ADDRESS\"")" ]; then
+  echo -e "${GREEN}✓ 个人资料中展示新的主钱包${NC}"
+else
+  echo -e "${RED}✗ 设置主钱包后个人资料应展示新的主钱包${NC}"
+  echo -e "${YELLOW}  实际: $PRIMARY_PROFILE${NC}"
+fi
+
+echo -e "${BLUE}1.3 测试解除钱包关联${NC}"
+UNLINK_RESPONSE=$(curl -s -X DELETE "$BASE_URL/api/users/wallets/$THIRD_WALLET_ID" \
+  -H "Authorization: Bearer $NORMAL_TOKEN")
+UNLINK_PROFILE=$(curl -s -X GET "$BASE_URL/api/users/profile" \
+  -H "Authorization: Bearer $NORMAL_TOKEN")
+
+echo "  解除关联响应: $UNLINK_RESPONSE"
+
+if [ ! -z "$(echo $UNLINK_RESPONSE | grep -o '"message":"钱包关联已解除"')" ] && \
+   [ ! -z "$(echo $UNLINK_PROFILE | grep -o "\"walletAddress\":\"$SECOND_WALLET_ADDRESS\"")" ]; then
+  echo -e "${GREEN}✓ 解除主钱包后剩余钱包自动成为主钱包${NC}"
+else
+  echo -e "${RED}✗ 解除主钱包后应由剩余钱包接替${NC}"
+fi
+
+echo -e "${BLUE}1.4 测试钱包用户解除唯一的钱包（应失败）${NC}"
+ONLY_WALLET_ID=$(curl -s -X GET "$BASE_URL/api/users/wallets" \
+  -H "Authorization: Bearer $WALLET_TOKEN" | grep -o '"id":[0-9]*' | head -1 | cut -d ':' -f 2)
+LAST_UNLINK_RESPONSE=$(curl -s -X DELETE "$BASE_URL/api/users/wallets/$ONLY_WALLET_ID" \
+  -H "Authorization: Bearer $WALLET_TOKEN")
+
+echo "  解除唯一钱包响应: $LAST_UNLINK_RESPONSE"
+
+if [ ! -z "$(echo $LAST_UNLINK_RESPONSE | grep -o '"message":"这是您唯一的登录方式，请先设置邮箱或关联其他钱包"')" ]; then
+  echo -e "${GREEN}✓ 系统正确拒绝移除唯一的登录方式${NC}"
+else
+  echo -e "${RED}✗ 系统应拒绝移除唯一的登录方式${NC}"
+fi
+
+echo -e "${BLUE}1.5 测试钱包用户设置未验证的邮箱后解除唯一的钱包（应失败）${NC}"
+# 预期响应：
+# 状态码：400
+# {
+#   "message": "这是您唯一的登录方式，请先设置邮箱或关联其他钱包"
+# }
+UNVERIFIED_EMAIL="wallet_unverified_${TIMESTAMP}@example.com"
+SET_EMAIL_RESPONSE=$(curl -s -X PUT "$BASE_URL/api/users/profile" \
+  -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $WALLET_TOKEN" \
+  -d '{"email": "'$UNVERIFIED_EMAIL'"}')
+
+echo "  设置邮箱响应: $SET_EMAIL_RESPONSE"
+
+UNVERIFIED_UNLINK_STATUS=$(curl -s -o /dev/null -w "%{http_code}" -X DELETE "$BASE_URL/api/users/wallets/$ONLY_WALLET_ID" \
+  -H "Authorization: Bearer $WALLET_TOKEN")
+
+if [ ! -z "$(echo $SET_EMAIL_RESPONSE | grep -o '"emailVerified":false')" ] && [ "$UNVERIFIED_UNLINK_STATUS" = "400" ]; then
+  echo -e "${GREEN}✓ 邮箱未验证时系统正确拒绝移除唯一的钱包${NC}"
+else
+  echo -e "${RED}✗ 邮箱未验证且未设置密码时应拒绝移除唯一的钱包${NC}"
+  echo -e "${YELLOW}  实际状态码: $UNVERIFIED_UNLINK_STATUS${NC}"
 fi
 
 echo -e "${BLUE}2. 测试使用已关联的钱包地址（应失败）${NC}"
@@ -349,9 +473,7 @@ echo -e "${BLUE}2. 测试使用已关联的钱包地址（应失败）${NC}"
 DUPLICATE_WALLET_RESPONSE=$(curl -s -X POST "$BASE_URL/api/users/profile/wallet" \
   -H "Content-Type: application/json" \
   -H "Authorization: Bearer $WALLET_TOKEN" \
-  -d '{
-    "walletAddress": "'$SECOND_WALLET_ADDRESS'"
-  }')
+  -d "$(signed_wallet_body "$SECOND_WALLET_SECRET" associate)")
 
 echo "  使用已关联钱包地址响应: $DUPLICATE_WALLET_RESPONSE"
 
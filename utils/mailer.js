@@ -0,0 +1,112 @@
+/**
+ * 邮件发送工具模块
+ * 通过MAIL_TRANSPORT环境变量选择发送方式：
+ * - smtp: 通过SMTP服务器发送（生产环境）
+ * - file: 将邮件写入本地JSON文件（本地开发和测试）
+ * - console: 将邮件输出到日志（默认）
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+/**
+ * 各发送方式的工厂函数
+ * 每个发送方式只需提供 sendMail(mail) 方法，与nodemailer的transport接口一致
+ */
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined
+  }),
+
+  file: () => {
+    const mailDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../tmp/mails');
+    return {
+      sendMail: async (mail) => {
+        await fs.mkdir(mailDir, { recursive: true });
+        const fileName = `${Date.now()}_${mail.to.replace(/[^\w.@-]/g, '_')}.json`;
+        const filePath = path.join(mailDir, fileName);
+        await fs.writeFile(filePath, JSON.stringify(mail, null, 2), 'utf8');
+        return { messageId: fileName, filePath };
+      }
+    };
+  },
+
+  console: () => ({
+    sendMail: async (mail) => {
+      logger.info('[邮件] 控制台发送方式，邮件未实际发出', mail);
+      return { messageId: `console_${Date.now()}` };
+    }
+  })
+};
+
+let transport = null;
+
+/**
+ * 获取当前发送方式（首次调用时按配置创建）
+ * @returns {Object} 带sendMail方法的发送方式对象
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`不支持的邮件发送方式: ${name}`);
+    }
+
+    transport = factory();
+    logger.info('邮件发送方式已初始化', { transport: name });
+  }
+
+  return transport;
+};
+
+/**
+ * 替换当前发送方式
+ * 用于接入自定义的邮件服务，或在测试中捕获邮件
+ * @param {Object} customTransport - 带sendMail方法的对象
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * 发送邮件
+ * @param {Object} mail - 邮件内容
+ * @param {String} mail.to - 收件人
+ * @param {String} mail.subject - 主题
+ * @param {String} mail.text - 纯文本正文
+ * @param {String} [mail.html] - HTML正文
+ * @returns {Promise<Object>} 发送结果
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    logger.info('尝试发送邮件', { to, subject });
+
+    const result = await getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'Solana Blinks <no-reply@localhost>',
+      to,
+      subject,
+      text,
+      html
+    });
+
+    logger.info('邮件发送成功', { to, subject, messageId: result.messageId });
+    return result;
+  } catch (error) {
+    logger.error('邮件发送失败', { to, subject, error });
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
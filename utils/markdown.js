@@ -0,0 +1,73 @@
+/**
+ * Markdown渲染工具模块
+ * 话题和评论写入时把Markdown源文本渲染为经过过滤的HTML，客户端直接展示contentHtml即可
+ */
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// 不允许内嵌原始HTML，源文本中的标签会按普通文本转义
+const markdown = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: true
+});
+
+// 代码块只保留合法的语言名（如 js、c++、objective-c），其余信息丢弃
+const renderFence = markdown.renderer.rules.fence;
+markdown.renderer.rules.fence = (tokens, idx, options, env, self) => {
+  const token = tokens[idx];
+  const language = token.info.trim().split(/\s+/)[0];
+  token.info = /^[\w+#.-]{1,30}$/.test(language) ? language : '';
+  return renderFence(tokens, idx, options, env, self);
+};
+
+// 渲染结果只保留Markdown会生成的标签，防止链接和图片注入脚本
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'em', 's', 'code', 'pre',
+    'ul', 'ol', 'li',
+    'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style']
+  },
+  // 代码块的语言标记以 language-xxx 类名输出，供客户端做语法高亮
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+  }
+};
+
+/**
+ * 将Markdown渲染为安全的HTML
+ * @param {String} source - Markdown源文本
+ * @returns {String} 过滤后的HTML
+ */
+const renderMarkdown = (source) => {
+  if (!source) {
+    return '';
+  }
+
+  return sanitizeHtml(markdown.render(String(source)), SANITIZE_OPTIONS);
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,80 @@
+/**
+ * @提及解析工具模块
+ * 从话题和评论正文中找出 @用户名，并解析为实际存在的用户
+ */
+const User = require('../models/User');
+
+// 单条内容最多解析的不同用户名数量，避免一条内容触发大量查询和通知
+const MAX_MENTIONS = 20;
+
+// @前面不能是字母数字、@或点，避免把邮箱地址识别为提及
+const MENTION_PATTERN = /(^|[^\w@.])@([\w一-龥][\w一-龥.-]{0,49})/g;
+
+/**
+ * 提取正文中的 @用户名
+ * @param {String} content - 正文
+ * @returns {Array} 提及列表，每项为 { username, offset, length }，offset为@符号所在的字符位置
+ */
+const extractMentions = (content) => {
+  const mentions = [];
+
+  if (!content) {
+    return mentions;
+  }
+
+  for (const match of String(content).matchAll(MENTION_PATTERN)) {
+    // 句末的点和连字符不属于用户名
+    const username = match[2].replace(/[.-]+$/, '');
+    if (username) {
+      mentions.push({
+        username,
+        offset: match.index + match[1].length,
+        length: username.length + 1
+      });
+    }
+  }
+
+  return mentions;
+};
+
+/**
+ * 解析正文中的提及，只保留存在的用户
+ * @param {String} content - 正文
+ * @returns {Promise<Array>} 按用户分组的提及列表，每项为 { userId, username, offsets: [{ offset, length }] }
+ */
+const resolveMentions = async (content) => {
+  const byUsername = new Map();
+
+  for (const mention of extractMentions(content)) {
+    if (!byUsername.has(mention.username)) {
+      if (byUsername.size >= MAX_MENTIONS) {
+        continue;
+      }
+      byUsername.set(mention.username, []);
+    }
+    byUsername.get(mention.username).push({ offset: mention.offset, length: mention.length });
+  }
+
+  // 用户名不区分大小写，不同写法可能对应同一用户，按用户ID合并
+  const byUserId = new Map();
+
+  for (const [username, offsets] of byUsername) {
+    const user = await User.findByUsername(username);
+    if (!user) {
+      continue;
+    }
+
+    if (byUserId.has(user.id)) {
+      byUserId.get(user.id).offsets.push(...offsets);
+    } else {
+      byUserId.set(user.id, { userId: user.id, username, offsets });
+    }
+  }
+
+  return [...byUserId.values()];
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions
+};
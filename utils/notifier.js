@@ -0,0 +1,41 @@
+/**
+ * 通知发送工具模块
+ * 业务代码通过notify发送通知：跳过发给自己的通知，发送失败只记录日志，不影响主流程。
+ * 通知保存后推送到接收者的实时频道
+ */
+const Notification = require('../models/Notification');
+const { publishUserEvent } = require('./realtime');
+const logger = require('./logger');
+
+/**
+ * 发送通知
+ * @param {Object} notification - 通知数据，字段同Notification.create
+ * @returns {Promise<Object|null>} 创建结果，跳过或失败时返回null
+ */
+const notify = async (notification) => {
+  const { userId, actorId, type } = notification;
+
+  if (!userId || userId === actorId) {
+    return null;
+  }
+
+  try {
+    const result = await Notification.create(notification);
+
+    const created = await Notification.findById(result.id);
+    if (created) {
+      publishUserEvent(userId, result.aggregated ? 'notification.updated' : 'notification.created', {
+        notification: created
+      });
+    }
+
+    return result;
+  } catch (error) {
+    logger.warn('发送通知失败', { userId, type, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  notify
+};
@@ -0,0 +1,142 @@
+/**
+ * 发布订阅工具模块
+ * 实时推送通过这里分发事件，后端可替换：
+ * - 默认使用进程内后端，只能在单个Node进程内分发
+ * - 配置PUBSUB_REDIS_URL后使用Redis后端，多个进程之间共享事件
+ * - 也可以通过setBackend接入其他实现，只需提供publish和subscribe两个方法
+ */
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * 创建进程内后端
+ * @returns {Object} 后端对象
+ */
+const createMemoryBackend = () => {
+  const emitter = new EventEmitter();
+  // 每个在线连接都会订阅频道，不限制监听器数量
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+/**
+ * 创建Redis后端
+ * 发布和订阅各使用一个连接，同一频道在本进程内只向Redis订阅一次
+ * @param {String} url - Redis连接地址
+ * @returns {Object} 后端对象
+ */
+const createRedisBackend = (url) => {
+  const { createClient } = require('redis');
+
+  const publisher = createClient({ url });
+  const subscriber = publisher.duplicate();
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  publisher.on('error', error => logger.error('Redis发布连接出错', { error: error.message }));
+  subscriber.on('error', error => logger.error('Redis订阅连接出错', { error: error.message }));
+
+  const ready = Promise.all([publisher.connect(), subscriber.connect()]);
+  ready
+    .then(() => logger.info('Redis发布订阅已连接'))
+    .catch(error => logger.error('Redis发布订阅连接失败', { error: error.message }));
+
+  const onMessage = (raw, channel) => {
+    try {
+      emitter.emit(channel, JSON.parse(raw));
+    } catch (error) {
+      logger.warn('忽略无法解析的Redis消息', { channel, error: error.message });
+    }
+  };
+
+  return {
+    name: 'redis',
+
+    async publish(channel, message) {
+      // 连接未就绪（启动中、断线重连或Redis不可达）时直接丢弃事件，避免命令排队等待
+      if (!publisher.isReady) {
+        throw new Error('Redis发布连接未就绪，事件已丢弃');
+      }
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+
+    subscribe(channel, handler) {
+      if (emitter.listenerCount(channel) === 0) {
+        ready
+          .then(() => subscriber.subscribe(channel, onMessage))
+          .catch(error => logger.error('Redis订阅频道失败', { channel, error: error.message }));
+      }
+      emitter.on(channel, handler);
+
+      return () => {
+        emitter.off(channel, handler);
+        if (emitter.listenerCount(channel) === 0) {
+          ready
+            .then(() => subscriber.unsubscribe(channel))
+            .catch(error => logger.warn('Redis取消订阅频道失败', { channel, error: error.message }));
+        }
+      };
+    }
+  };
+};
+
+let backend = null;
+
+/**
+ * 获取当前后端，首次使用时按配置创建
+ * @returns {Object} 后端对象
+ */
+const getBackend = () => {
+  if (!backend) {
+    backend = process.env.PUBSUB_REDIS_URL
+      ? createRedisBackend(process.env.PUBSUB_REDIS_URL)
+      : createMemoryBackend();
+    logger.info('发布订阅后端已初始化', { backend: backend.name });
+  }
+  return backend;
+};
+
+/**
+ * 替换发布订阅后端（需在应用处理请求前调用）
+ * @param {Object} customBackend - 提供publish(channel, message)和subscribe(channel, handler)的对象，
+ *                                 subscribe需返回取消订阅的函数
+ */
+const setBackend = (customBackend) => {
+  backend = customBackend;
+};
+
+/**
+ * 发布消息到频道
+ * @param {String} channel - 频道名
+ * @param {Object} message - 可JSON序列化的消息
+ * @returns {Promise<void>}
+ */
+const publish = (channel, message) => getBackend().publish(channel, message);
+
+/**
+ * 订阅频道
+ * @param {String} channel - 频道名
+ * @param {Function} handler - 消息处理函数
+ * @returns {Function} 取消订阅的函数
+ */
+const subscribe = (channel, handler) => getBackend().subscribe(channel, handler);
+
+module.exports = {
+  createMemoryBackend,
+  createRedisBackend,
+  setBackend,
+  publish,
+  subscribe
+};
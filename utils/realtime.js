@@ -0,0 +1,65 @@
+/**
+ * 实时事件工具模块
+ * 论坛和通知产生的事件通过发布订阅分发到频道，客户端按话题、分类或自己的通知订阅：
+ * - topic:{话题ID}    话题内的评论、点赞数、编辑和删除
+ * - category:{分类名} 分类下新话题，以及分类内所有话题的上述事件
+ * - user:{用户ID}     用户自己的通知
+ * 发布在后台进行，不阻塞请求；发布失败只记录日志，不影响主流程
+ */
+const crypto = require('crypto');
+const { publish } = require('./pubsub');
+const logger = require('./logger');
+
+const channels = {
+  topic: (topicId) => `topic:${topicId}`,
+  category: (category) => `category:${category}`,
+  user: (userId) => `user:${userId}`
+};
+
+/**
+ * 发布事件到多个频道
+ * @param {Array<String>} targets - 频道列表
+ * @param {String} type - 事件类型
+ * @param {Object} data - 事件数据
+ */
+const publishEvent = (targets, type, data) => {
+  // 同一事件会发到多个频道，客户端连接按id去重
+  const message = { id: crypto.randomUUID(), type, data, timestamp: new Date().toISOString() };
+
+  for (const channel of targets) {
+    Promise.resolve()
+      .then(() => publish(channel, message))
+      .catch(error => logger.warn('发布实时事件失败', { channel, type, error: error.message }));
+  }
+};
+
+/**
+ * 发布话题相关事件（同时发送到话题频道和所属分类频道）
+ * @param {Object} topic - 话题，至少包含id和category
+ * @param {String} type - 事件类型，如 comment.created、topic.likes
+ * @param {Object} data - 事件数据
+ */
+const publishTopicEvent = (topic, type, data) => {
+  const targets = [channels.topic(topic.id)];
+  if (topic.category) {
+    targets.push(channels.category(topic.category));
+  }
+
+  publishEvent(targets, type, { topicId: topic.id, ...data });
+};
+
+/**
+ * 发布用户私有事件
+ * @param {Number} userId - 用户ID
+ * @param {String} type - 事件类型
+ * @param {Object} data - 事件数据
+ */
+const publishUserEvent = (userId, type, data) => {
+  publishEvent([channels.user(userId)], type, data);
+};
+
+module.exports = {
+  channels,
+  publishTopicEvent,
+  publishUserEvent
+};
@@ -0,0 +1,107 @@
+/**
+ * Solana钱包签名工具模块
+ * 提供Sign-In With Solana (SIWS) 消息构建、钱包地址校验和ed25519签名验证功能
+ */
+const nacl = require('tweetnacl');
+const bs58 = require('bs58');
+
+/**
+ * 判断字符串是否为合法的Solana公钥（base58编码的32字节）
+ * @param {String} address - 钱包地址
+ * @returns {Boolean} 是否合法
+ */
+const isValidWalletAddress = (address) => {
+  if (typeof address !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return false;
+  }
+
+  try {
+    return bs58.decode(address).length === nacl.sign.publicKeyLength;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 解码客户端提交的签名
+ * 钱包适配器通常返回Uint8Array，前端可能以base58或base64编码后提交
+ * @param {String} signature - 编码后的签名
+ * @returns {Uint8Array|null} 64字节签名，无法解码时返回null
+ */
+const decodeSignature = (signature) => {
+  if (typeof signature !== 'string' || !signature) {
+    return null;
+  }
+
+  try {
+    const bytes = bs58.decode(signature);
+    if (bytes.length === nacl.sign.signatureLength) {
+      return bytes;
+    }
+  } catch (error) {
+    // 不是base58编码，继续尝试base64
+  }
+
+  const bytes = Buffer.from(signature, 'base64');
+  return bytes.length === nacl.sign.signatureLength ? new Uint8Array(bytes) : null;
+};
+
+/**
+ * 构建SIWS格式的登录消息
+ * @param {Object} fields - 消息字段
+ * @param {String} fields.address - 钱包地址
+ * @param {String} fields.nonce - 一次性随机数
+ * @param {Date} fields.issuedAt - 签发时间
+ * @param {Date} fields.expirationTime - 过期时间
+ * @param {String} [fields.statement] - 提示语
+ * @returns {String} 待签名的消息文本
+ */
+const buildSignInMessage = ({ address, nonce, issuedAt, expirationTime, statement }) => {
+  const domain = process.env.SIWS_DOMAIN || 'localhost';
+  const uri = process.env.SIWS_URI || `https://${domain}`;
+  const chainId = process.env.SIWS_CHAIN_ID || 'mainnet';
+
+  return [
+    `${domain} wants you to sign in with your Solana account:`,
+    address,
+    '',
+    statement || '登录Solana Blinks社区',
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`
+  ].join('\n');
+};
+
+/**
+ * 验证消息是否由指定钱包签名
+ * @param {String} message - 原始消息文本
+ * @param {String} signature - base58或base64编码的签名
+ * @param {String} address - base58编码的钱包公钥
+ * @returns {Boolean} 签名是否有效
+ */
+const verifySignature = (message, signature, address) => {
+  if (!isValidWalletAddress(address)) {
+    return false;
+  }
+
+  const signatureBytes = decodeSignature(signature);
+  if (!signatureBytes) {
+    return false;
+  }
+
+  return nacl.sign.detached.verify(
+    new TextEncoder().encode(message),
+    signatureBytes,
+    bs58.decode(address)
+  );
+};
+
+module.exports = {
+  isValidWalletAddress,
+  buildSignInMessage,
+  verifySignature
+};
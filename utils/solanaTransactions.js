@@ -0,0 +1,181 @@
+/**
+ * Solana交易构建工具模块
+ * 为Solana Actions生成由用户钱包签名的未签名交易
+ */
+const {
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const { connection } = require('../config/solana');
+
+// SPL Memo程序，用于在交易中附带打赏对象等说明
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+// SOL的精度（1 SOL = 10^9 lamports）
+const SOL_DECIMALS = 9;
+
+// 链上数量为u64，超过该值的金额无法转账
+const MAX_BASE_UNITS = 2n ** 64n - 1n;
+
+const TOKEN_PROGRAM_IDS = {
+  'spl-token': TOKEN_PROGRAM_ID,
+  'token-2022': TOKEN_2022_PROGRAM_ID
+};
+
+/**
+ * 将十进制金额换算为链上最小单位，按字符串计算以避免浮点误差
+ * @param {String|Number} amount - 金额，如 "0.05"
+ * @param {Number} decimals - 精度
+ * @returns {BigInt|null} 最小单位数量，金额无效、为0、小数位超过精度或超过u64上限时返回null
+ */
+const toBaseUnits = (amount, decimals) => {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(amount).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    return null;
+  }
+
+  const units = BigInt(whole + fraction.padEnd(decimals, '0'));
+  return units > 0n && units <= MAX_BASE_UNITS ? units : null;
+};
+
+/**
+ * 将链上最小单位换算为十进制金额字符串
+ * @param {BigInt|String|Number} units - 最小单位数量
+ * @param {Number} decimals - 精度
+ * @returns {String} 十进制金额，如 "0.05"
+ */
+const fromBaseUnits = (units, decimals) => {
+  const digits = BigInt(String(units).split('.')[0]).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  return fraction ? `${whole}.${fraction}` : whole;
+};
+
+/**
+ * 在转账指令中附加reference账户（只读、非签名），之后可通过该地址在链上查到这笔交易
+ * @param {TransactionInstruction} instruction - 转账指令
+ * @param {String} [reference] - reference公钥
+ * @returns {TransactionInstruction} 原指令
+ */
+const withReference = (instruction, reference) => {
+  if (reference) {
+    instruction.keys.push({ pubkey: new PublicKey(reference), isSigner: false, isWritable: false });
+  }
+  return instruction;
+};
+
+/**
+ * 构建Memo指令
+ * @param {String} memo - 备注内容（UTF-8）
+ * @returns {TransactionInstruction} Memo指令
+ */
+const createMemoInstruction = (memo) => {
+  return new TransactionInstruction({
+    programId: MEMO_PROGRAM_ID,
+    keys: [],
+    data: Buffer.from(memo, 'utf8')
+  });
+};
+
+/**
+ * 组装并序列化未签名交易（付款人为手续费支付者）
+ * @param {PublicKey} payerKey - 付款人公钥
+ * @param {Array<TransactionInstruction>} instructions - 交易指令
+ * @param {String} [memo] - 交易备注
+ * @returns {Promise<String>} base64编码的序列化交易
+ */
+const serializeTransaction = async (payerKey, instructions, memo) => {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+
+  const transaction = new Transaction({
+    feePayer: payerKey,
+    blockhash,
+    lastValidBlockHeight
+  }).add(...instructions);
+
+  if (memo) {
+    transaction.add(createMemoInstruction(memo));
+  }
+
+  return transaction
+    .serialize({ requireAllSignatures: false, verifySignatures: false })
+    .toString('base64');
+};
+
+/**
+ * 构建SOL转账交易
+ * @param {Object} params - 交易参数
+ * @param {String} params.payer - 付款钱包地址
+ * @param {String} params.recipient - 收款钱包地址
+ * @param {BigInt} params.lamports - 转账数量（lamports）
+ * @param {String} [params.memo] - 交易备注
+ * @param {String} [params.reference] - reference公钥，用于之后在链上查找交易
+ * @returns {Promise<String>} base64编码的序列化交易
+ */
+const buildSolTransferTransaction = async ({ payer, recipient, lamports, memo, reference }) => {
+  const payerKey = new PublicKey(payer);
+
+  return serializeTransaction(payerKey, [
+    withReference(SystemProgram.transfer({
+      fromPubkey: payerKey,
+      toPubkey: new PublicKey(recipient),
+      lamports
+    }), reference)
+  ], memo);
+};
+
+/**
+ * 构建SPL代币转账交易（transferChecked）
+ * 收款人的关联代币账户不存在时由付款人创建（幂等指令，已存在时不做任何操作）
+ * @param {Object} params - 交易参数
+ * @param {String} params.payer - 付款钱包地址
+ * @param {String} params.recipient - 收款钱包地址
+ * @param {Object} params.token - 代币配置（mint、decimals、tokenProgram）
+ * @param {BigInt} params.amount - 转账数量（最小单位）
+ * @param {String} [params.memo] - 交易备注
+ * @param {String} [params.reference] - reference公钥，用于之后在链上查找交易
+ * @returns {Promise<String>} base64编码的序列化交易
+ */
+const buildTokenTransferTransaction = async ({ payer, recipient, token, amount, memo, reference }) => {
+  const payerKey = new PublicKey(payer);
+  const recipientKey = new PublicKey(recipient);
+  const mintKey = new PublicKey(token.mint);
+  const programId = TOKEN_PROGRAM_IDS[token.tokenProgram];
+
+  const source = getAssociatedTokenAddressSync(mintKey, payerKey, false, programId);
+  const destination = getAssociatedTokenAddressSync(mintKey, recipientKey, false, programId);
+
+  return serializeTransaction(payerKey, [
+    createAssociatedTokenAccountIdempotentInstruction(payerKey, destination, recipientKey, mintKey, programId),
+    withReference(
+      createTransferCheckedInstruction(source, mintKey, destination, payerKey, amount, token.decimals, [], programId),
+      reference
+    )
+  ], memo);
+};
+
+module.exports = {
+  MEMO_PROGRAM_ID,
+  SOL_DECIMALS,
+  toBaseUnits,
+  fromBaseUnits,
+  createMemoInstruction,
+  buildSolTransferTransaction,
+  buildTokenTransferTransaction
+};
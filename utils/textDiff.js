@@ -0,0 +1,110 @@
+/**
+ * 文本差异工具模块
+ * 基于最长公共子序列(LCS)按行比较两段文本，用于展示话题版本之间的差异，
+ * 超过MAX_DIFF_LINES行的文本不做比较，避免LCS矩阵占用过多内存
+ */
+
+// 参与比较的最大行数（每段文本），LCS矩阵大小与两段行数的乘积成正比
+const MAX_DIFF_LINES = 3000;
+
+/**
+ * 按行拆分文本
+ * @param {String} text - 文本
+ * @returns {Array<String>} 行列表
+ */
+const splitLines = (text) => (text || '').split('\n');
+
+/**
+ * 判断两段文本是否超过可比较的行数上限
+ * @param {String} oldText - 旧文本
+ * @param {String} newText - 新文本
+ * @returns {Boolean} 是否超过上限
+ */
+const exceedsDiffLimit = (oldText, newText) => {
+  return splitLines(oldText).length > MAX_DIFF_LINES || splitLines(newText).length > MAX_DIFF_LINES;
+};
+
+/**
+ * 按行比较两段文本
+ * 先跳过相同的开头和结尾，只对中间不同的部分计算LCS
+ * @param {String} oldText - 旧文本
+ * @param {String} newText - 新文本
+ * @returns {Array} 差异片段列表，每项为 { type: 'equal'|'added'|'removed', line }
+ */
+const diffLines = (oldText, newText) => {
+  if (exceedsDiffLimit(oldText, newText)) {
+    throw new Error(`文本超过${MAX_DIFF_LINES}行，无法比较差异`);
+  }
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const m = oldEnd - start;
+  const n = newEnd - start;
+
+  // lcs[i][j] 为 oldLines[start+i..oldEnd) 与 newLines[start+j..newEnd) 的最长公共子序列长度
+  const lcs = Array.from({ length: m + 1 }, () => new Uint16Array(n + 1));
+  for (let i = m - 1; i >= 0; i--) {
+    for (let j = n - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[start + i] === newLines[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = oldLines.slice(0, start).map(line => ({ type: 'equal', line }));
+  let i = 0;
+  let j = 0;
+  while (i < m && j < n) {
+    if (oldLines[start + i] === newLines[start + j]) {
+      changes.push({ type: 'equal', line: oldLines[start + i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', line: oldLines[start + i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: newLines[start + j] });
+      j++;
+    }
+  }
+  while (i < m) {
+    changes.push({ type: 'removed', line: oldLines[start + i++] });
+  }
+  while (j < n) {
+    changes.push({ type: 'added', line: newLines[start + j++] });
+  }
+  oldLines.slice(oldEnd).forEach(line => changes.push({ type: 'equal', line }));
+
+  return changes;
+};
+
+/**
+ * 比较两组标签
+ * @param {Array} oldTags - 旧标签名称列表
+ * @param {Array} newTags - 新标签名称列表
+ * @returns {Object} 包含新增和移除标签的对象
+ */
+const diffTags = (oldTags = [], newTags = []) => ({
+  added: newTags.filter(tag => !oldTags.includes(tag)),
+  removed: oldTags.filter(tag => !newTags.includes(tag))
+});
+
+module.exports = {
+  MAX_DIFF_LINES,
+  exceedsDiffLimit,
+  diffLines,
+  diffTags
+};
@@ -0,0 +1,186 @@
+/**
+ * 打赏确认任务
+ * 定时按reference在Solana RPC（SOLANA_RPC_URL，可指向本地测试验证节点）上查找待确认打赏的交易，
+ * 核对收款钱包实际收到的金额后将打赏标记为已确认；找到的交易执行失败或金额不符时标记为失败，
+ * 超过有效期仍未上链的标记为过期
+ */
+const { PublicKey } = require('@solana/web3.js');
+const { connection } = require('../config/solana');
+const Tip = require('../models/Tip');
+const logger = require('./logger');
+
+// 轮询间隔（毫秒）
+const CONFIRMATION_INTERVAL = parseInt(process.env.TIP_CONFIRMATION_INTERVAL_MS) || 15000;
+
+// 待确认打赏的有效期（分钟），交易的blockhash过期后不可能再上链
+const PENDING_TTL_MINUTES = parseInt(process.env.TIP_PENDING_TTL_MINUTES) || 30;
+
+// 确认级别：confirmed（默认）或 finalized
+const COMMITMENT = process.env.TIP_CONFIRMATION_COMMITMENT === 'finalized' ? 'finalized' : 'confirmed';
+
+// 每轮检查的打赏数量
+const BATCH_SIZE = 20;
+
+/**
+ * 计算交易中收款钱包实际收到的数量（最小单位）
+ * @param {Object} transaction - getParsedTransaction的结果
+ * @param {Object} tip - 打赏记录
+ * @returns {BigInt} 收到的数量
+ */
+const getReceivedAmount = (transaction, tip) => {
+  const { meta } = transaction;
+
+  if (!tip.mint) {
+    const index = transaction.transaction.message.accountKeys
+      .findIndex(key => key.pubkey.toBase58() === tip.recipient_wallet);
+
+    return index === -1 ? 0n : BigInt(meta.postBalances[index]) - BigInt(meta.preBalances[index]);
+  }
+
+  const sumBalances = (balances = []) => balances
+    .filter(balance => balance.owner === tip.recipient_wallet && balance.mint === tip.mint)
+    .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+
+  return sumBalances(meta.postTokenBalances) - sumBalances(meta.preTokenBalances);
+};
+
+/**
+ * 核对交易是否为该打赏记录生成的交易且已成功付款
+ * @param {Object} tip - 打赏记录
+ * @param {String} signature - 交易签名
+ * @returns {Promise<Object>} { status, payerWallet, reason }，status为
+ *          confirmed（核对通过）、invalid（交易不符或执行失败）或 unresolved（RPC暂时查不到交易）
+ */
+const verifyTipTransaction = async (tip, signature) => {
+  const transaction = await connection.getParsedTransaction(signature, {
+    commitment: COMMITMENT,
+    maxSupportedTransactionVersion: 0
+  });
+
+  if (!transaction || !transaction.meta) {
+    return { status: 'unresolved' };
+  }
+
+  const accountKeys = transaction.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+
+  if (!accountKeys.includes(tip.reference)) {
+    return { status: 'invalid', reason: '交易与打赏记录不符' };
+  }
+
+  if (transaction.meta.err) {
+    return { status: 'invalid', reason: '链上交易执行失败' };
+  }
+
+  if (getReceivedAmount(transaction, tip) < BigInt(tip.amount)) {
+    return { status: 'invalid', reason: '收款金额与打赏记录不符' };
+  }
+
+  // 第一个账户为手续费支付者，即实际付款钱包
+  return { status: 'confirmed', payerWallet: accountKeys[0] };
+};
+
+/**
+ * 检查单笔打赏的链上状态
+ * @param {Object} tip - 打赏记录
+ * @returns {Promise<String>} 检查后的状态
+ */
+const checkTip = async (tip) => {
+  const signatures = await connection.getSignaturesForAddress(
+    new PublicKey(tip.reference),
+    { limit: 10 },
+    COMMITMENT
+  );
+
+  let unresolved = false;
+  let failureReason = '链上交易执行失败';
+
+  for (const { signature, err } of signatures) {
+    if (err) {
+      continue;
+    }
+
+    const result = await verifyTipTransaction(tip, signature);
+
+    if (result.status === 'confirmed') {
+      await Tip.updateStatus(tip.id, 'confirmed', { signature, payerWallet: result.payerWallet });
+      return 'confirmed';
+    }
+
+    // RPC暂时查不到交易详情时下一轮再检查
+    if (result.status === 'unresolved') {
+      unresolved = true;
+    } else {
+      failureReason = result.reason;
+    }
+  }
+
+  if (signatures.length > 0 && !unresolved) {
+    await Tip.updateStatus(tip.id, 'failed', {
+      signature: signatures[0].signature,
+      failureReason
+    });
+    return 'failed';
+  }
+
+  const ageMinutes = (Date.now() - new Date(tip.created_at).getTime()) / 60000;
+  if (signatures.length === 0 && ageMinutes > PENDING_TTL_MINUTES) {
+    await Tip.updateStatus(tip.id, 'expired', { failureReason: '交易未在有效期内上链' });
+    return 'expired';
+  }
+
+  // 仅记录检查时间，让其他待确认打赏优先检查
+  await Tip.updateStatus(tip.id, 'pending');
+  return 'pending';
+};
+
+/**
+ * 检查一批待确认的打赏
+ * @returns {Promise<Object>} 各状态的数量
+ */
+const confirmPendingTips = async () => {
+  const tips = await Tip.findPending(BATCH_SIZE);
+  const summary = { checked: tips.length, confirmed: 0, failed: 0, expired: 0, pending: 0 };
+
+  for (const tip of tips) {
+    try {
+      summary[await checkTip(tip)] += 1;
+    } catch (error) {
+      summary.pending += 1;
+      logger.warn('检查打赏状态失败', { tipId: tip.id, reference: tip.reference, error: error.message });
+    }
+  }
+
+  if (tips.length > 0) {
+    logger.info('打赏确认任务完成一轮检查', summary);
+  }
+  return summary;
+};
+
+/**
+ * 启动打赏确认任务（上一轮结束后才开始下一轮，避免重叠）
+ * 设置TIP_CONFIRMATION_ENABLED=false可关闭，例如多进程部署时只在一个进程中运行
+ */
+const startTipConfirmationWorker = () => {
+  if (process.env.TIP_CONFIRMATION_ENABLED === 'false') {
+    logger.info('打赏确认任务已关闭');
+    return;
+  }
+
+  const run = async () => {
+    try {
+      await confirmPendingTips();
+    } catch (error) {
+      logger.error('打赏确认任务出错', { error: error.message });
+    }
+    setTimeout(run, CONFIRMATION_INTERVAL).unref();
+  };
+
+  logger.info('打赏确认任务已启动', { interval: CONFIRMATION_INTERVAL, commitment: COMMITMENT });
+  setTimeout(run, CONFIRMATION_INTERVAL).unref();
+};
+
+module.exports = {
+  verifyTipTransaction,
+  confirmPendingTips,
+  startTipConfirmationWorker
+};
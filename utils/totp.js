@@ -0,0 +1,153 @@
+/**
+ * TOTP工具模块
+ * 按RFC 6238实现基于时间的一次性密码（HMAC-SHA1，30秒步长，6位数字），
+ * 与Google Authenticator、1Password等常见验证器应用兼容
+ */
+const crypto = require('crypto');
+
+// 时间步长（秒）
+const STEP_SECONDS = 30;
+
+// 验证码位数
+const DIGITS = 6;
+
+// base32字母表（RFC 4648）
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * base32编码
+ * @param {Buffer} buffer - 原始字节
+ * @returns {String} 不带填充的base32字符串
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * base32解码
+ * @param {String} input - base32字符串（忽略大小写、空格和填充）
+ * @returns {Buffer} 原始字节
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('无效的base32字符');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 生成新的共享密钥
+ * @returns {String} base32编码的160位密钥
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * 计算指定时间步的验证码
+ * @param {String} secret - base32编码的共享密钥
+ * @param {Number} step - 时间步
+ * @returns {String} 验证码
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * 获取当前时间步
+ * @returns {Number} 时间步
+ */
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * 验证用户输入的验证码
+ * 允许前后各一个时间步的误差，以容忍客户端时钟偏差
+ * @param {String} secret - base32编码的共享密钥
+ * @param {String} code - 用户输入的验证码
+ * @param {Number} [window] - 允许的时间步误差
+ * @returns {Number|null} 匹配的时间步，验证失败时返回null
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 构建验证器应用可识别的otpauth URI（通常渲染为二维码）
+ * @param {Object} options - URI参数
+ * @param {String} options.secret - base32编码的共享密钥
+ * @param {String} options.accountName - 账户名（通常为邮箱）
+ * @param {String} options.issuer - 服务名称
+ * @returns {String} otpauth://totp/... URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri
+};
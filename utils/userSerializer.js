@@ -0,0 +1,131 @@
+/**
+ * 用户序列化工具模块
+ * 所有对外返回用户信息的地方（个人资料、公开资料、话题作者、搜索、统计）都通过这里输出，
+ * 根据用户的隐私设置和查看者身份决定返回哪些字段
+ */
+
+// 可见范围：所有人、登录用户、仅自己
+const VISIBILITY_LEVELS = ['public', 'members', 'private'];
+
+/**
+ * 受隐私设置控制的字段及默认可见范围
+ * 键为返回给客户端的字段名，column为数据库列名
+ */
+const PRIVACY_FIELDS = {
+  email: { column: 'email', default: 'private' },
+  phone: { column: 'phone', default: 'private' },
+  qq: { column: 'qq', default: 'private' },
+  region: { column: 'region', default: 'members' },
+  github: { column: 'github', default: 'public' },
+  twitter: { column: 'twitter', default: 'public' },
+  website: { column: 'website', default: 'public' },
+  walletAddress: { column: 'wallet_address', default: 'public' }
+};
+
+/**
+ * 始终公开的字段
+ * 键为返回给客户端的字段名，值为数据库列名
+ */
+const PUBLIC_FIELDS = {
+  id: 'id',
+  username: 'username',
+  avatar: 'avatar',
+  bio: 'bio',
+  techStack: 'tech_stack',
+  role: 'role',
+  created_at: 'created_at'
+};
+
+/**
+ * 获取用户的隐私设置（未设置的字段使用默认值）
+ * @param {Object} user - 数据库中的用户记录
+ * @returns {Object} 字段名到可见范围的映射
+ */
+const getPrivacySettings = (user) => {
+  let saved = user && user.privacy_settings;
+
+  if (typeof saved === 'string') {
+    try {
+      saved = JSON.parse(saved);
+    } catch (error) {
+      saved = null;
+    }
+  }
+
+  const settings = {};
+  for (const [field, config] of Object.entries(PRIVACY_FIELDS)) {
+    settings[field] = saved && VISIBILITY_LEVELS.includes(saved[field]) ? saved[field] : config.default;
+  }
+  return settings;
+};
+
+/**
+ * 校验客户端提交的隐私设置
+ * @param {Object} input - 客户端提交的设置，如 { phone: 'members' }
+ * @returns {Object} 包含错误信息或校验后设置的对象
+ */
+const validatePrivacySettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: '隐私设置格式无效' };
+  }
+
+  for (const [field, visibility] of Object.entries(input)) {
+    if (!PRIVACY_FIELDS[field]) {
+      return { error: `不支持设置字段 ${field} 的可见范围` };
+    }
+    if (!VISIBILITY_LEVELS.includes(visibility)) {
+      return { error: `可见范围必须是 ${VISIBILITY_LEVELS.join('、')} 之一` };
+    }
+  }
+
+  return { settings: input };
+};
+
+/**
+ * 判断查看者能否看到某个可见范围的字段
+ * @param {String} visibility - 可见范围
+ * @param {Object|null} viewer - 当前登录用户，未登录为null
+ * @param {Boolean} isSelf - 是否在查看自己的资料
+ * @returns {Boolean} 是否可见
+ */
+const canView = (visibility, viewer, isSelf) => {
+  if (isSelf || visibility === 'public') {
+    return true;
+  }
+  return visibility === 'members' && !!viewer;
+};
+
+/**
+ * 序列化用户信息
+ * 只输出用户记录中存在的字段，查询时未选取的列不会出现在结果中
+ * @param {Object} user - 数据库中的用户记录
+ * @param {Object|null} [viewer] - 当前登录用户（req.user），未登录为null
+ * @returns {Object} 可以返回给客户端的用户对象
+ */
+const serializeUser = (user, viewer = null) => {
+  const isSelf = !!viewer && viewer.id === user.id;
+  const settings = getPrivacySettings(user);
+  const result = {};
+
+  for (const [field, column] of Object.entries(PUBLIC_FIELDS)) {
+    if (user[column] !== undefined) {
+      result[field] = user[column] === null && field !== 'created_at' ? '' : user[column];
+    }
+  }
+
+  for (const [field, config] of Object.entries(PRIVACY_FIELDS)) {
+    if (user[config.column] !== undefined && canView(settings[field], viewer, isSelf)) {
+      result[field] = user[config.column] || '';
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  PRIVACY_FIELDS,
+  getPrivacySettings,
+  validatePrivacySettings,
+  serializeUser
+};